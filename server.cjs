@@ -3,111 +3,37 @@ const cors = require('cors');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const bodyParser = require('body-parser');
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const fs = require('fs');
 const fetch = require('node-fetch');
 require('dotenv').config();
-const OpenAI = require('openai');
-const twilio = require('twilio');
-const https = require('https');
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
-// Ensure data directory exists
-// Use Render's persistent volume if available, otherwise use local path
-const dataDir = process.env.RENDER_VOLUME_PATH || path.join(__dirname, 'data');
-if (!require('fs').existsSync(dataDir)) {
-  require('fs').mkdirSync(dataDir, { recursive: true });
-  console.log('Created data directory:', dataDir);
-}
-
-// Initialize SQLite database with absolute path
-const dbPath = path.join(dataDir, 'calls.db');
-console.log('Using database path:', dbPath);
-
-// Function to initialize database
-function initializeDatabase() {
-  return new Promise((resolve, reject) => {
-    console.log('Initializing database at:', dbPath);
-    const db = new sqlite3.Database(dbPath, sqlite3.OPEN_CREATE | sqlite3.OPEN_READWRITE, async (err) => {
-      if (err) {
-        console.error('Error connecting to database:', err);
-        reject(err);
-        return;
-      }
-      console.log('Connected to SQLite database');
-      
-      try {
-        // Drop existing table if it exists
-        await new Promise((resolve, reject) => {
-          db.run('DROP TABLE IF EXISTS calls', (err) => {
-            if (err) {
-              console.error('Error dropping table:', err);
-              reject(err);
-              return;
-            }
-            console.log('Dropped existing calls table');
-            resolve();
-          });
-        });
-
-        // Create calls table with updated schema
-        await new Promise((resolve, reject) => {
-          db.run(`
-            CREATE TABLE calls (
-              id TEXT PRIMARY KEY,
-              timestamp TEXT NOT NULL,
-              transcript TEXT NOT NULL,
-              caller_name TEXT NOT NULL,
-              caller_phone TEXT NOT NULL,
-              sentiment TEXT NOT NULL,
-              summary TEXT NOT NULL,
-              agent_assessment TEXT,
-              recording_url TEXT,
-              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-              UNIQUE(id)
-            )
-          `, (err) => {
-            if (err) {
-              console.error('Error creating table:', err);
-              reject(err);
-              return;
-            }
-            console.log('Created calls table with new schema');
-            resolve();
-          });
-        });
-
-        // Create index for faster queries
-        await new Promise((resolve, reject) => {
-          db.run(`CREATE INDEX IF NOT EXISTS idx_calls_timestamp ON calls(timestamp DESC)`, (err) => {
-            if (err) {
-              console.error('Error creating index:', err);
-              reject(err);
-              return;
-            }
-            console.log('Created timestamp index');
-            resolve();
-          });
-        });
-
-        resolve(db);
-      } catch (error) {
-        console.error('Error during database initialization:', error);
-        reject(error);
-      }
-    });
-  });
-}
-
-// Initialize database
-let db;
-initializeDatabase()
-  .then((database) => {
-    db = database;
+const database = require('./server/db.cjs');
+const queue = require('./server/queue.cjs');
+const webhooks = require('./server/webhooks.cjs');
+const auth = require('./server/auth.cjs');
+const audit = require('./server/audit.cjs');
+const redaction = require('./server/redaction.cjs');
+const recordings = require('./server/recordings.cjs');
+const audio = require('./server/audio.cjs');
+const outbound = require('./server/outbound.cjs');
+const callStatus = require('./server/callStatus.cjs');
+const agentProfiles = require('./server/agentProfiles.cjs');
+const promptTemplate = require('./server/promptTemplate.cjs');
+const campaigns = require('./server/campaigns.cjs');
+const scheduledCalls = require('./server/scheduledCalls.cjs');
+const { enrichCall, canReanalyze, reanalyzeCall } = require('./server/enrichment.cjs');
+
+// Initialize database, then start processing queued jobs
+database.init()
+  .then(() => {
     console.log('Database setup complete');
+    return auth.ensureInitialAdmin();
+  })
+  .then(() => {
+    recordings.startEviction();
+    campaigns.startScheduler();
+    scheduledCalls.startScheduler();
+    return queue.startWorker();
   })
   .catch((err) => {
     console.error('Failed to initialize database:', err);
@@ -115,6 +41,11 @@ initializeDatabase()
   });
 
 const app = express();
+
+// Render terminates TLS at a proxy; trust it so req.ip is the client address
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
 const httpServer = createServer(app);
 const io = new Server(httpServer, {
   cors: {
@@ -125,8 +56,31 @@ const io = new Server(httpServer, {
   transports: ['websocket', 'polling']
 });
 
+// Only signed-in users receive call events
+io.use(async (socket, next) => {
+  try {
+    const user = await auth.getSessionUser(auth.sessionToken(socket.handshake.headers.cookie));
+    if (!user) {
+      console.warn('Socket connection rejected: not authenticated');
+      return next(new Error('Unauthorized'));
+    }
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    console.error('Socket authentication error:', error);
+    next(new Error('Unauthorized'));
+  }
+});
+
+// Each socket joins a room for every role its user has, so events for
+// supervisors and up can go to roleRoom('supervisor')
+function roleRoom(role) {
+  return `role:${role}`;
+}
+
 io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+  console.log('Client connected:', socket.id, socket.data.user.username);
+  socket.join(auth.ROLES.filter(role => auth.hasRole(socket.data.user, role)).map(roleRoom));
   
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
@@ -162,8 +116,15 @@ const validateApiKey = (req, res, next) => {
 
 app.use(validateApiKey);
 
-// Body parser middleware
-app.use(bodyParser.json());
+// Body parser middleware; keeps the raw bytes for webhook signature checks
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Resolve the signed-in user (req.user) from the session cookie
+app.use(auth.loadUser);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -179,7 +140,7 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     env: process.env.NODE_ENV,
-    dbPath: dbPath.replace(process.env.HOME || '', '~'),
+    dbPath: database.dbPath.replace(process.env.HOME || '', '~'),
     cors: {
       origin: corsOptions.origin,
       methods: corsOptions.methods,
@@ -188,68 +149,175 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Get call recording with proper streaming
-app.get('/calls/:callId/recording', async (req, res) => {
-  const { callId } = req.params;
-  console.log(`[Audio] Fetching recording for call: ${callId}`);
-  
+// Role allowed to see unredacted transcripts and full phone numbers
+const PII_VIEW_ROLE = process.env.PII_VIEW_ROLE || 'admin';
+if (!auth.ROLES.includes(PII_VIEW_ROLE)) {
+  throw new Error(`PII_VIEW_ROLE must be one of ${auth.ROLES.join(', ')}`);
+}
+
+// Signed-in user as sent to the browser
+function sessionUser(user) {
+  return { ...user, can_view_pii: auth.hasRole(user, PII_VIEW_ROLE) };
+}
+
+// Sign in with a local account; sets the session cookie
+app.post('/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
   try {
-    // First check if the call exists in our database
-    const call = await new Promise((resolve, reject) => {
-      db.get('SELECT recording_url FROM calls WHERE id = ?', [callId], (err, row) => {
-        if (err) {
-          console.error('[Audio] Database error:', err);
-          reject(err);
-          return;
-        }
-        resolve(row);
-      });
-    });
+    const user = await auth.authenticate(username, password);
+    if (!user) {
+      console.warn(`[Auth] Failed login for "${username}" from ${req.ip}`);
+      await audit.record(req, 'auth.login_failed', { username: String(username || '').slice(0, 64) });
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    const { token, expiresAt } = await auth.createSession(user.id);
+    res.setHeader('Set-Cookie', auth.sessionCookie(token, expiresAt));
+    console.log(`[Auth] ${user.username} signed in`);
+    req.user = user;
+    await audit.record(req, 'auth.login');
+    res.json({ user: sessionUser(user) });
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ error: 'Login failed', details: err.message });
+  }
+});
 
-    if (!call) {
-      console.error(`[Audio] Call not found: ${callId}`);
-      res.status(404).json({ error: 'Call not found' });
-      return;
+app.post('/auth/logout', async (req, res) => {
+  try {
+    await auth.deleteSession(auth.sessionToken(req.headers.cookie));
+    res.setHeader('Set-Cookie', auth.sessionCookie(''));
+    res.json({ status: 'signed out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Logout failed', details: err.message });
+  }
+});
+
+app.get('/auth/me', auth.requireRole('viewer'), (req, res) => {
+  res.json({ user: sessionUser(req.user) });
+});
+
+// User management (admin only)
+app.get('/admin/users', auth.requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ users: await auth.listUsers(), roles: auth.ROLES });
+  } catch (err) {
+    console.error('Error listing users:', err);
+    res.status(500).json({ error: 'Database query failed', details: err.message });
+  }
+});
+
+app.post('/admin/users', auth.requireRole('admin'), async (req, res) => {
+  const { username, password, role } = req.body || {};
+  const error = auth.validateUserFields({ username, password, role });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  try {
+    res.status(201).json(await auth.createUser({ username, password, role }));
+  } catch (err) {
+    if (err.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'Username already exists' });
     }
+    console.error('Error creating user:', err);
+    res.status(500).json({ error: 'Failed to create user', details: err.message });
+  }
+});
 
-    const ultravoxUrl = `https://api.ultravox.ai/api/calls/${callId}/recording`;
-    console.log('[Audio] Fetching from Ultravox URL:', ultravoxUrl);
+// Change a user's role, password or disabled flag
+app.post('/admin/users/:id', auth.requireRole('admin'), async (req, res) => {
+  const { password, role, disabled } = req.body || {};
+  const error = auth.validateUserFields({ password, role }, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (String(req.user.id) === req.params.id && (disabled || (role && role !== 'admin'))) {
+    return res.status(400).json({ error: 'You cannot disable or demote your own account' });
+  }
+  try {
+    if (!await auth.getUser(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(await auth.updateUser(req.params.id, { password, role, disabled }));
+  } catch (err) {
+    console.error('Error updating user:', err);
+    res.status(500).json({ error: 'Failed to update user', details: err.message });
+  }
+});
 
-    const options = {
-      method: 'GET',
-      headers: {
-        'X-API-Key': req.apiKey,
-        'Accept': 'audio/wav,audio/*;q=0.9,*/*;q=0.8',
-        'User-Agent': 'JTXViewer/1.0'
-      }
-    };
+// Recording formats that can be asked for with ?format=
+const RECORDING_FORMATS = Object.fromEntries(
+  Object.entries(audio.TRANSCODE_FORMATS).map(([contentType, format]) => [format.name, contentType])
+);
+
+// Media types the Accept header names outright (not through a wildcard),
+// leaving out any refused with q=0
+function namedAcceptTypes(req) {
+  return (req.get('Accept') || '').split(',')
+    .map(part => part.split(';').map(piece => piece.trim().toLowerCase()))
+    .filter(([type, ...params]) => type && !type.includes('*') && !params.some(param => /^q=0(\.0*)?$/.test(param)))
+    .map(([type]) => type);
+}
 
-    console.log('[Audio] Sending request with options:', {
-      ...options,
-      headers: {
-        ...options.headers,
-        'X-API-Key': '[REDACTED]'
-      }
+// Pick the file to serve for a recording request. ?format= or an Accept header
+// naming a compressed type gets that copy, transcoded now if need be.
+// Otherwise (e.g. an <audio> element's Accept: */*) the compressed copy is
+// served only once it exists: the original is served meanwhile and the copy
+// made in the background, so the first play doesn't wait on ffmpeg.
+// ?format=original always gets the file as recorded.
+async function negotiateRecording(req, recording) {
+  const { format } = req.query;
+  if (format === 'original' || !audio.transcodingEnabled()) return recording;
+
+  const named = Object.keys(audio.TRANSCODE_FORMATS).filter(type => namedAcceptTypes(req).includes(type));
+  const requested = Boolean(format) || named.length > 0;
+  const contentType = RECORDING_FORMATS[format]
+    || req.accepts([...(requested ? named : Object.keys(audio.TRANSCODE_FORMATS)), recording.content_type]);
+  if (!contentType || contentType === recording.content_type) return recording;
+
+  if (!requested) {
+    const variant = await recordings.findVariant(recording, contentType);
+    if (variant) return variant;
+    recordings.getVariant(recording, contentType).catch((error) => {
+      console.error(`[Audio] Background transcoding failed for call ${recording.call_id}:`, error.message);
     });
+    return recording;
+  }
 
-    const response = await fetch(ultravoxUrl, options);
-    
-    console.log('[Audio] Ultravox response:', {
-      status: response.status,
-      statusText: response.statusText,
-      headers: Object.fromEntries(response.headers.entries())
+  try {
+    return await recordings.getVariant(recording, contentType);
+  } catch (error) {
+    console.error(`[Audio] Transcoding failed, serving original for call ${recording.call_id}:`, error.message);
+    return recording;
+  }
+}
+
+// Serve a call's recording from the disk cache (downloaded from Ultravox on
+// first use), with single-range 206 responses for seeking
+app.get('/calls/:callId/recording', auth.requireRole('viewer'), async (req, res) => {
+  const { callId } = req.params;
+  console.log(`[Audio] Recording requested for call: ${callId}`, req.headers.range || '');
+
+  const { format } = req.query;
+  if (format !== undefined && format !== 'original' && !RECORDING_FORMATS[format]) {
+    return res.status(400).json({
+      error: `format must be one of: original, ${Object.keys(RECORDING_FORMATS).join(', ')}`
     });
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('[Audio] Failed to fetch recording:', {
-        status: response.status,
-        statusText: response.statusText,
-        error: errorText
-      });
-      throw new Error(`Failed to fetch recording: ${response.statusText}`);
+  try {
+    // First check if the call exists in our database
+    const call = await database.getCallSummary(callId);
+
+    if (!call) {
+      console.error(`[Audio] Call not found: ${callId}`);
+      res.status(404).json({ error: 'Call not found' });
+      return;
     }
 
+    const recording = await recordings.getRecording(callId);
+    const file = await negotiateRecording(req, recording);
+
     // Set CORS headers based on request origin
     const origin = req.get('Origin');
     if (origin && corsOptions.origin.includes(origin)) {
@@ -260,571 +328,1216 @@ app.get('/calls/:callId/recording', async (req, res) => {
       res.setHeader('Vary', 'Origin');
     }
 
-    // Get content type and size
-    const contentType = response.headers.get('content-type');
-    const contentLength = response.headers.get('content-length');
-
-    console.log('[Audio] Recording details:', {
-      contentType,
-      contentLength,
-      status: response.status,
-      origin,
-      corsHeaders: {
-        origin: res.getHeader('Access-Control-Allow-Origin'),
-        methods: res.getHeader('Access-Control-Allow-Methods'),
-        headers: res.getHeader('Access-Control-Allow-Headers'),
-        credentials: res.getHeader('Access-Control-Allow-Credentials'),
-        vary: res.getHeader('Vary')
-      }
-    });
+    res.vary('Accept');
+    res.setHeader('Content-Type', file.content_type);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', file.etag);
+    res.setHeader('Last-Modified', new Date(file.created_at || file.fetched_at).toUTCString());
+    // Recordings need a session, so only the browser may keep a copy and it
+    // must revalidate it
+    res.setHeader('Cache-Control', 'private, no-cache');
+
+    if (req.fresh) {
+      res.status(304).end();
+      return;
+    }
+
+    // If-Range: a stale validator gets the whole file instead of a range
+    const ifRange = req.headers['if-range'];
+    const range = !ifRange || ifRange === file.etag
+      ? recordings.parseRange(req.headers.range, file.size)
+      : null;
 
-    // Set audio headers
-    res.setHeader('Content-Type', contentType || 'audio/wav');
-    if (contentLength) {
-      res.setHeader('Content-Length', contentLength);
+    if (range?.unsatisfiable) {
+      res.setHeader('Content-Range', `bytes */${file.size}`);
+      res.status(416).end();
+      return;
     }
-    res.setHeader('Accept-Ranges', 'bytes');
-    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    res.setHeader('Expires', '0');
 
-    // Handle range requests
-    const range = req.headers.range;
+    const { start, end } = range || { start: 0, end: file.size - 1 };
     if (range) {
-      console.log('[Audio] Range request:', range);
-      const parts = range.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : contentLength - 1;
-      const chunksize = (end - start) + 1;
-
       res.status(206);
-      res.setHeader('Content-Range', `bytes ${start}-${end}/${contentLength}`);
-      res.setHeader('Content-Length', chunksize);
-
-      console.log('[Audio] Serving range:', {
-        start,
-        end,
-        chunksize,
-        totalSize: contentLength
-      });
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${file.size}`);
     }
+    res.setHeader('Content-Length', file.size ? end - start + 1 : 0);
 
-    // Create a buffer to collect chunks
-    const chunks = [];
-    let totalSize = 0;
-
-    // Handle streaming
-    response.body.on('data', (chunk) => {
-      chunks.push(chunk);
-      totalSize += chunk.length;
-      console.log(`[Audio] Received chunk: ${chunk.length} bytes, Total: ${totalSize} bytes`);
-    });
-
-    response.body.on('end', () => {
-      console.log(`[Audio] Finished receiving data. Total size: ${totalSize} bytes`);
-      const buffer = Buffer.concat(chunks);
-
-      if (range) {
-        const parts = range.replace(/bytes=/, '').split('-');
-        const start = parseInt(parts[0], 10);
-        const end = parts[1] ? parseInt(parts[1], 10) : buffer.length - 1;
-        res.end(buffer.slice(start, end + 1));
-      } else {
-        res.end(buffer);
-      }
-    });
+    if (req.method === 'HEAD' || !file.size) {
+      res.end();
+      return;
+    }
 
-    // Handle errors during streaming
-    response.body.on('error', (error) => {
+    const stream = fs.createReadStream(file.path, { start, end });
+    stream.on('error', (error) => {
       console.error('[Audio] Error streaming audio:', error);
       if (!res.headersSent) {
         res.status(500).json({ error: 'Error streaming audio' });
+      } else {
+        res.destroy(error);
       }
     });
-
-    // Log when streaming is complete
-    res.on('finish', () => {
-      console.log(`[Audio] Finished streaming audio for call: ${callId}`);
-    });
-
+    stream.pipe(res);
   } catch (error) {
     console.error('[Audio] Error fetching recording:', error);
     if (!res.headersSent) {
-      res.status(500).json({ 
-        error: 'Failed to fetch recording',
+      const notFound = error.status === 404;
+      res.status(notFound ? 404 : 502).json({
+        error: notFound ? 'Recording not available' : 'Failed to fetch recording',
         message: error.message
       });
     }
   }
 });
 
-// Get all calls
-app.get('/calls', (req, res) => {
-  console.log('GET /calls - Request received');
-  
-  db.all(`
-    SELECT id, timestamp, transcript, caller_name, caller_phone, sentiment, summary, recording_url, agent_assessment
-    FROM calls 
-    ORDER BY timestamp DESC
-  `, [], async (err, rows) => {
-    if (err) {
-      console.error('Database error:', err);
-      return res.status(500).json({
-        error: 'Database query failed',
-        details: err.message
-      });
+// The player reports when playback of a recording starts. Audio requests
+// can't be audited themselves: the browser fetches metadata as soon as a
+// call is opened, and again for every seek.
+app.post('/calls/:callId/recording/play', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const call = await database.getCallSummary(req.params.callId);
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
     }
+    await audit.record(req, 'recording.play', { callId: call.id });
+    res.status(204).end();
+  } catch (err) {
+    console.error('Error recording playback:', err);
+    res.status(500).json({ error: 'Failed to record playback', details: err.message });
+  }
+});
 
-    try {
-      // Format each call record to match the expected structure
-      const calls = rows.map(row => {
-        const formattedCall = {
-          id: row.id,
-          timestamp: row.timestamp,
-          transcript: row.transcript,
-          caller: {
-            name: row.caller_name,
-            phone: row.caller_phone
-          },
-          sentiment: row.sentiment?.toLowerCase() || 'neutral',
-          summary: row.summary,
-          recording_url: row.recording_url,
-          agent_assessment: row.agent_assessment
-        };
-        return formattedCall;
-      });
-
-      // Log sample of response data
-      if (calls.length > 0) {
-        console.log('Sample call data:', JSON.stringify(calls[0], null, 2));
-      }
+// Waveform peaks and silence gaps of a call's recording, for the scrubber
+app.get('/calls/:callId/waveform', auth.requireRole('viewer'), async (req, res) => {
+  const { callId } = req.params;
+  try {
+    const call = await database.getCallSummary(callId);
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
 
-      res.json(calls);
-      console.log('GET /calls - Response sent successfully');
-    } catch (formatError) {
-      console.error('Error formatting call data:', formatError);
-      res.status(500).json({
-        error: 'Data formatting failed',
-        details: formatError.message
-      });
+    const waveform = await recordings.getWaveform(callId);
+    if (!waveform) {
+      return res.status(422).json({ error: 'Waveform not available for this recording format' });
     }
-  });
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.json(waveform);
+  } catch (error) {
+    console.error('[Audio] Error loading waveform:', error);
+    const notFound = error.status === 404;
+    res.status(notFound ? 404 : 502).json({
+      error: notFound ? 'Recording not available' : 'Failed to load waveform',
+      details: error.message
+    });
+  }
 });
 
-const processedCalls = new Set();
-
-async function extractCustomerName(transcript) {
-  try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "Extract only the customer's full name from the provided conversation transcript. If the name is not mentioned or unclear, respond with 'Unknown Caller'. Return only the name or 'Unknown Caller', no other text."
-        },
-        {
-          role: "user",
-          content: transcript
-        }
-      ],
-      temperature: 0,
-      max_tokens: 20
-    });
+const CALL_FILTER_VALUES = {
+  sentiment: ['positive', 'neutral', 'negative'],
+  churnRisk: ['High', 'Medium', 'Low'],
+  escalation: ['Yes', 'No']
+};
 
-    const name = completion.choices[0].message.content.trim();
-    return name === 'Unknown Caller' ? 'Unknown Caller' : name;
-  } catch (error) {
-    console.error('Error extracting customer name:', error);
-    return 'Unknown Caller';
+// Validate GET /calls query params; returns { error } or { filters }
+function parseCallListQuery(query, user) {
+  const filters = {};
+
+  for (const [name, allowed] of Object.entries(CALL_FILTER_VALUES)) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const value = allowed.find(option => option.toLowerCase() === String(query[name]).toLowerCase());
+    if (!value) {
+      return { error: `${name} must be one of: ${allowed.join(', ')}` };
+    }
+    filters[name] = value;
   }
+
+  for (const name of ['from', 'to']) {
+    if (!query[name]) continue;
+    const date = new Date(query[name]);
+    if (isNaN(date.getTime())) {
+      return { error: `${name} must be an ISO date` };
+    }
+    filters[name] = date.toISOString();
+  }
+
+  // While numbers are masked, users who can't see them match only the last
+  // four digits, the part they are shown
+  if (query.phone) {
+    if (redaction.phoneMaskingEnabled() && !auth.hasRole(user, PII_VIEW_ROLE)) {
+      const digits = String(query.phone).replace(/\D/g, '').slice(-4);
+      if (digits) filters.phoneEnding = digits;
+    } else {
+      filters.phone = String(query.phone).trim();
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (!(limit >= 1 && limit <= 100)) {
+      return { error: 'limit must be between 1 and 100' };
+    }
+    filters.limit = limit;
+  }
+
+  if (query.cursor) {
+    try {
+      database.decodeCursor(String(query.cursor));
+    } catch (err) {
+      return { error: err.message };
+    }
+    filters.cursor = String(query.cursor);
+  }
+
+  return { filters };
 }
 
-async function assessAgentPerformance(transcript) {
-  try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: `You are an expert customer experience analyst. Analyze the provided transcript between a customer and an AI support agent. Provide concise, customer-focused insights in the following categories:
-
-IMPORTANT: Answer each category with 3-7 words ONLY. Do NOT explain your reasoning.
-
-
-1. Sentiment Progression: [Improved/Deteriorated/Same]
-2. Frustration Level: [High/Medium/Low]
-3. Resolution Confidence: [High/Moderate/Low]
-4. Escalation Needed: [Yes/No]
-5. Repeat Contact Likelihood: [High/Moderate/Low]
-6. Customer Intents: [Complaint/Query/Feedback/Support] can have multiple intents comma seperated
-7. Key Issue: [Short phrase identifying core issue]
-8. Suggested Next Step: [Short recommended follow-up action]
-9. Tags: [Up to 5 comma-separated short tags regarding the call & topic]
-10. Escalation Recommended: [Yes/No]
-11. Proactive Opportunity: [Up-sell/Cross-sell/None]
-12. Churn Risk: [High/Medium/Low]
-13. Customer Satisfaction: [High/Moderate/Low]
-14. NPS Prediction: [Promoter/Passive/Detractor]
-15. Issue Complexity: [High/Medium/Low]
-
-Be consistent, precise, and strictly concise.`
-        },
-        {
-          role: "user",
-          content: transcript
-        }
-      ],
-      temperature: 0.4,
-      max_tokens: 1000
+// List calls (paginated, without transcripts)
+app.get('/calls', auth.requireRole('viewer'), async (req, res) => {
+  console.log('GET /calls - Request received:', req.query);
+
+  const { error, filters } = parseCallListQuery(req.query, req.user);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const page = await database.listCalls(filters);
+    res.json(page);
+    console.log(`GET /calls - Sent ${page.calls.length} of ${page.total} calls`);
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({
+      error: 'Database query failed',
+      details: err.message
     });
+  }
+});
 
-    return completion.choices[0].message.content.trim();
-  } catch (error) {
-    console.error('Error assessing agent performance:', error);
-    return 'Error generating agent assessment';
+// Full-text search; registered before /calls/:id so "search" isn't an id
+app.get('/calls/search', auth.requireRole('viewer'), async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+
+  const limit = req.query.limit === undefined ? 25 : parseInt(req.query.limit, 10);
+  if (!(limit >= 1 && limit <= 100)) {
+    return res.status(400).json({ error: 'limit must be between 1 and 100' });
   }
+
+  try {
+    const { terms, results } = await database.searchCalls(q, { limit });
+    console.log(`GET /calls/search - ${results.length} results for "${q}"`);
+    res.json({ query: q, terms, results });
+  } catch (err) {
+    console.error('Search error:', err);
+    res.status(500).json({
+      error: 'Search failed',
+      details: err.message
+    });
+  }
+});
+
+// Browser navigations to API URLs that double as SPA routes (deep links)
+// skip to the SPA catch-all
+const spaNavigation = (req, res, next) => {
+  next(req.accepts(['json', 'html']) === 'html' ? 'route' : undefined);
+};
+
+// The agent setup of a call as shown in the viewer. The context and prompt
+// are redacted like transcripts unless the user may see PII.
+function callAgent(req, agent) {
+  if (!agent || auth.hasRole(req.user, PII_VIEW_ROLE)) return agent;
+  return {
+    ...agent,
+    context: Object.fromEntries(Object.entries(agent.context)
+      .map(([name, value]) => [name, redaction.redactText(value).text])),
+    system_prompt: redaction.redactText(agent.system_prompt).text
+  };
 }
 
-// Webhook endpoint
-app.post('/webhook', async (req, res) => {
-  const { event, call } = req.body;
-  console.log('Webhook req.body:', req.body);
-  
-  if (event === 'call.ended') {
-    console.log('Call ended:', call);
-
-    // Check if this call ID has already been processed
-    if (processedCalls.has(call.callId)) {
-        console.log('Duplicate call event ignored:', call.callId);
-        return res.sendStatus(200); // Early return for duplicates
-    }
-
-    const callData = {
-      id: call.callId || 'call_' + Date.now(),
-      timestamp: new Date().toISOString(),
-      caller_name: 'Unknown Caller',
-      caller_phone: call.caller?.phoneNumber || 'Unknown Number',
-      sentiment: 'neutral',
-      summary: call.shortSummary || 'Call transcript',
-      agent_assessment: null,
-      recording_url: process.env.NODE_ENV === 'production'
-        ? `https://jtxviewer.onrender.com/calls/${call.callId}/recording`
-        : `http://localhost:3000/calls/${call.callId}/recording`
-    };
-    
-    // Fetch messages from Ultravox API to get transcript
-    try {
-      const options = {
-        method: 'GET',
-        headers: {
-          'X-API-Key': process.env.ULTRAVOX_API_KEY
-        }
-      };
-      
-      const response = await fetch(`https://api.ultravox.ai/api/calls/${callData.id}/messages`, options);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch messages: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      console.log('Fetched messages:', data);
-      
-      // Extract and combine all message texts
-      const messageTexts = data.results
-        .filter(msg => msg.text) // Only include messages that have text
-        .map(msg => msg.text)
-        .join('\n');
-        
-      callData.transcript = messageTexts || 'No transcript available';
-      
-      // Extract customer name from transcript using OpenAI
-      if (callData.transcript !== 'No transcript available') {
-        callData.caller_name = await extractCustomerName(callData.transcript);
-        callData.sentiment = await analyzeSentiment(callData.transcript);
-        callData.agent_assessment = await assessAgentPerformance(callData.transcript);
-      }
-      
-    } catch (error) {
-      console.error('Error fetching messages:', error);
-      callData.transcript = 'Error fetching transcript';
+// Get a single call with its transcript and assessment. Browser navigations
+// to the same URL (deep links) fall through to the SPA catch-all instead.
+// Only ?view=1 requests, sent when a user opens the call, are audited;
+// refetches after live updates are not.
+app.get('/calls/:id', spaNavigation, auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const call = await database.getCallById(req.params.id);
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    if (req.query.view === '1') {
+      await audit.record(req, 'call.view', { callId: call.id });
     }
+    res.json({
+      ...call,
+      agent: callAgent(req, await agentProfiles.getCallAgent(call.id)),
+      dial_statuses: await callStatus.listStatusEvents(call.id)
+    });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({
+      error: 'Database query failed',
+      details: err.message
+    });
+  }
+});
 
-    processedCalls.add(call.callId); // Mark this call ID as processed
+// Unredacted transcript and full phone number of a call. Only the texts
+// that were redacted are returned; without PII_ENCRYPTION_KEY nothing was kept.
+app.get('/calls/:id/original', auth.requireRole(PII_VIEW_ROLE), async (req, res) => {
+  try {
+    const original = await database.getCallOriginal(req.params.id);
+    if (!original) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    await audit.record(req, 'pii.view', { callId: original.id });
+    res.json({
+      id: original.id,
+      caller_phone: original.caller_phone,
+      transcript: redaction.decrypt(original.transcript_original),
+      messages: original.messages.map(message => ({
+        ordinal: message.ordinal,
+        text: redaction.decrypt(message.text_original)
+      }))
+    });
+  } catch (err) {
+    console.error('Original transcript error:', err);
+    res.status(500).json({
+      error: 'Could not load the original transcript',
+      details: err.message
+    });
+  }
+});
 
-    // Save to database
+// Prior analyses of a call, newest first
+app.get('/calls/:id/analyses', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    const call = await database.getCallSummary(req.params.id);
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    res.json({ analyses: await database.getCallAnalyses(req.params.id) });
+  } catch (err) {
+    console.error('Database error:', err);
+    res.status(500).json({
+      error: 'Database query failed',
+      details: err.message
+    });
+  }
+});
+
+// Re-run the analysis on the stored transcript; the previous analysis is
+// kept as a prior version. Responds with the updated call.
+app.post('/calls/:id/reanalyze', auth.requireRole('supervisor'), async (req, res) => {
+  try {
+    const call = await database.getCallById(req.params.id);
+    if (!call) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    if (call.call_status === 'in_progress' || ['pending', 'enriching'].includes(call.processing_status)) {
+      return res.status(409).json({ error: 'Call is still being processed' });
+    }
+    if (!canReanalyze(call)) {
+      return res.status(422).json({ error: 'Call has no transcript to analyze' });
+    }
+
+    console.log(`[Reanalyze] Re-analyzing call ${call.id}`);
     try {
-      console.log('Saving call to database:', callData);
-      const stmt = db.prepare(`
-        INSERT INTO calls (id, timestamp, transcript, caller_name, caller_phone, sentiment, summary, agent_assessment, recording_url)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-
-      stmt.run(
-        callData.id,
-        callData.timestamp,
-        callData.transcript,
-        callData.caller_name,
-        callData.caller_phone,
-        callData.sentiment,
-        callData.summary,
-        callData.agent_assessment,
-        callData.recording_url,
-        function(err) {
-          if (err) {
-            console.error('Error inserting call:', err);
-            throw err;
-          }
-          console.log(`Call inserted successfully. Row ID: ${this.lastID}`);
-        }
-      );
-      
-      stmt.finalize();
-      
-      // Emit to all connected clients
-      io.emit('newCall', {
-        ...callData,
-        caller: {
-          name: callData.caller_name,
-          phone: callData.caller_phone
-        }
-      });
-      console.log('Emitted newCall event to all clients');
-      
-      res.status(200).json({ status: 'success' });
+      await reanalyzeCall(call.id, { onStatus: emitCallUpdate });
     } catch (err) {
-      console.error('Error saving call:', err);
-      res.status(500).json({ error: 'Failed to save call' });
-    }
-  } 
-});
-
-async function analyzeSentiment(transcript) {
-  try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-3.5-turbo",
-      messages: [
-        {
-          role: "system",
-          content: "You are a sentiment analysis expert. Analyze the following transcript and return ONLY one of these words: positive, neutral, or negative. Return only the word, no other text."
-        },
-        {
-          role: "user",
-          content: transcript
-        }
-      ],
-      temperature: 0,
-      max_tokens: 10
+      console.error(`[Reanalyze] Failed for call ${call.id}:`, err);
+      return res.status(502).json({ error: 'Analysis failed', details: err.message });
+    }
+    res.json(await database.getCallById(call.id));
+  } catch (err) {
+    console.error('Error re-analyzing call:', err);
+    res.status(500).json({
+      error: 'Failed to re-analyze call',
+      details: err.message
     });
-
-    const sentiment = completion.choices[0].message.content.trim().toLowerCase();
-    return ['positive', 'neutral', 'negative'].includes(sentiment) ? sentiment : 'neutral';
-  } catch (error) {
-    console.error('Error analyzing sentiment:', error);
-    return 'neutral'; // Default to neutral on error
   }
-}
+});
 
-// Simple summary generation (replace with actual NLP in production)
-function generateSummary(transcript) {
-  return transcript.split(' ').slice(0, 20).join(' ') + '...';
+// Ultravox's short summary can repeat what the caller said
+function redactedSummary(call) {
+  return call.shortSummary ? redaction.redactText(call.shortSummary).text : undefined;
 }
 
-// Twilio configuration
-const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
-const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
-const TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER;
+// New calls row for an Ultravox call; the transcript and analysis are filled
+// in by the enrichment job
+function newCallRecord(call, fields) {
+  return {
+    id: call.callId,
+    timestamp: new Date().toISOString(),
+    transcript: '',
+    caller: {
+      name: 'Unknown Caller',
+      phone: call.caller?.phoneNumber || 'Unknown Number'
+    },
+    sentiment: 'neutral',
+    summary: redactedSummary(call) || 'Call transcript',
+    assessment: null,
+    recording_url: process.env.NODE_ENV === 'production'
+      ? `https://jtxviewer.onrender.com/calls/${call.callId}/recording`
+      : `http://localhost:3000/calls/${call.callId}/recording`,
+    processing_status: 'pending',
+    ...fields
+  };
+}
 
-// Ultravox configuration
-const ULTRAVOX_API_KEY = process.env.ULTRAVOX_API_KEY;
-const ULTRAVOX_API_URL = 'https://api.ultravox.ai/api/calls';  
-const SYSTEM_PROMPT = 'Your name is Krishna, a customer relationship manager. You are an employee of Jio in India. You are calling a person on the phone for sales of Jio Products or issue followup. Ask them their name and see how they are doing. You have to answer all the questions they ask you in a patient and friendly manner. Keep your answers and conversations crisp, concise and to the point.';
+// Show the call as in progress as soon as it starts (or the user joins)
+async function handleCallStarted({ event, call }) {
+  console.log(`Call ${event === 'call.joined' ? 'joined' : 'started'}:`, call.callId);
 
-// Format phone number to E.164 format
-function formatPhoneNumber(phoneNumber) {
-  // Remove all non-digit characters
-  let cleaned = phoneNumber.replace(/\D/g, '');
-  
-  // For India numbers
-  if (!cleaned.startsWith('91') && cleaned.length === 10) {
-    cleaned = '91' + cleaned;
+  if (await database.getCallSummary(call.callId)) {
+    console.log('Call already stored:', call.callId);
+    return;
   }
-  
-  // Add + prefix if not present
-  if (!cleaned.startsWith('+')) {
-    cleaned = '+' + cleaned;
+
+  const savedCall = await database.saveCall(newCallRecord(call, {
+    summary: 'Call in progress',
+    call_status: 'in_progress'
+  }));
+  io.emit('newCall', savedCall);
+  console.log('Emitted newCall event for in-progress call');
+}
+
+// Download the recording into the cache in the background so the first play
+// is served from disk. Ultravox may still be finalizing the file when the
+// call ends; the queue retries until it is available.
+async function queueRecordingPrefetch(callId) {
+  if (process.env.RECORDING_PREFETCH === 'off') return;
+  if (await queue.hasActiveJob('prefetch_recording', callId)) return;
+  await queue.enqueue('prefetch_recording', { callId }, { callId });
+}
+
+// Save the call as 'pending' (or update the in-progress call in place) and
+// queue its enrichment. When the call already ended (a replayed event) it is
+// reset to 'pending' and enriched again.
+async function handleCallEnded({ call }) {
+  console.log('Call ended:', call);
+
+  const existing = await database.getCallSummary(call.callId);
+  if (existing) {
+    if (existing.call_status === 'in_progress') {
+      await database.markCallEnded(call.callId, { endedAt: call.ended, summary: redactedSummary(call) });
+    } else if (await queue.hasActiveJob('enrich_call', call.callId)) {
+      console.log('Enrichment already queued for call:', call.callId);
+      return;
+    } else {
+      await database.setProcessingStatus(call.callId, 'pending');
+    }
+    await queue.enqueue('enrich_call', { callId: call.callId }, { callId: call.callId });
+    await queueRecordingPrefetch(call.callId);
+    await emitCallUpdate(call.callId);
+    return;
   }
-  
-  return cleaned;
+
+  const callData = newCallRecord(call, { ended_at: call.ended });
+  console.log('Saving call to database:', callData);
+  const savedCall = await database.saveCall(callData);
+  await queue.enqueue('enrich_call', { callId: callData.id }, { callId: callData.id });
+  await queueRecordingPrefetch(callData.id);
+
+  // Emit to all connected clients
+  io.emit('newCall', savedCall);
+  console.log('Emitted newCall event to all clients');
 }
 
-const ULTRAVOX_CALL_CONFIG = {
-    systemPrompt: SYSTEM_PROMPT,
-    model: 'fixie-ai/ultravox',
-    voice: 'Krishna-Hindi-Urdu',
-    temperature: 0.3,
-    firstSpeaker: 'FIRST_SPEAKER_USER',
-    medium: { twilio: {} },
-    recordingEnabled: true
+// Webhook handlers by event type; they also run when an event is replayed.
+// Other events are stored and acknowledged with { status: 'ignored' }.
+const webhookHandlers = {
+  'call.started': handleCallStarted,
+  'call.joined': handleCallStarted,
+  'call.ended': handleCallEnded
+};
+
+// Reject webhook requests not signed with ULTRAVOX_WEBHOOK_SECRET. Without a
+// secret, requests are accepted in development and refused in production.
+const verifyUltravoxSignature = (req, res, next) => {
+  const secret = process.env.ULTRAVOX_WEBHOOK_SECRET;
+  if (!secret) {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('[Webhook] ULTRAVOX_WEBHOOK_SECRET not configured; rejecting request');
+      return res.status(500).json({ error: 'Webhook secret not configured' });
+    }
+    console.warn('[Webhook] ULTRAVOX_WEBHOOK_SECRET not set; skipping signature check');
+    return next();
+  }
+
+  const { valid, reason } = webhooks.verifySignature({
+    rawBody: req.rawBody,
+    timestamp: req.get(webhooks.TIMESTAMP_HEADER),
+    signature: req.get(webhooks.SIGNATURE_HEADER),
+    secret
+  });
+  if (!valid) {
+    console.warn(`[Webhook] Rejected request from ${req.ip}: ${reason}`);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+  next();
 };
 
-async function createUltravoxCall() {
-    if (!ULTRAVOX_API_KEY) {
-        throw new Error('Ultravox API Key is missing');
+// Webhook endpoint
+app.post('/webhook', verifyUltravoxSignature, async (req, res) => {
+  const { event, call } = req.body;
+  console.log('Webhook req.body:', req.body);
+
+  // Events are keyed by call ID, so one without it can't be deduplicated
+  if (!event || !call?.callId) {
+    console.warn('Webhook rejected: missing event or call.callId');
+    return res.status(400).json({ error: 'Missing event or call.callId' });
+  }
+
+  try {
+    const { event: storedEvent, duplicate } = await webhooks.recordEvent(call.callId, event, req.body);
+    if (duplicate) {
+      console.log(`Duplicate ${event} event ignored:`, call.callId);
+      return res.status(200).json({ status: 'duplicate' });
     }
 
-    console.log('Creating Ultravox call with config:', {
-        ...ULTRAVOX_CALL_CONFIG,
-        systemPrompt: '(hidden)'
+    const { status } = await webhooks.processEvent(storedEvent, webhookHandlers);
+    res.status(status === 'processed' ? 202 : 200).json({ status });
+  } catch (err) {
+    console.error('Error handling webhook:', err);
+    res.status(500).json({ error: 'Failed to process webhook event' });
+  }
+});
+
+// Audit log, newest first. Filters: username, action, call_id, from, to
+// (ISO dates); page with ?before=<id of the last entry>. Browser navigations
+// load the admin page instead.
+app.get('/admin/audit', spaNavigation, auth.requireRole('admin'), async (req, res) => {
+  const { username, action, call_id } = req.query;
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+  const before = req.query.before === undefined ? undefined : parseInt(req.query.before, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 200' });
+  }
+  if (before !== undefined && !Number.isInteger(before)) {
+    return res.status(400).json({ error: 'before must be an entry id' });
+  }
+  if (action && !audit.AUDIT_ACTIONS[action]) {
+    return res.status(400).json({ error: `action must be one of: ${Object.keys(audit.AUDIT_ACTIONS).join(', ')}` });
+  }
+  const range = {};
+  for (const name of ['from', 'to']) {
+    if (!req.query[name]) continue;
+    const date = new Date(req.query[name]);
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ error: `${name} must be an ISO date` });
+    }
+    range[name] = date.toISOString();
+  }
+
+  try {
+    const entries = await audit.listEntries({ username, action, callId: call_id, ...range, before, limit });
+    res.json({
+      entries,
+      actions: audit.AUDIT_ACTIONS,
+      nextBefore: entries.length === limit ? entries[entries.length - 1].id : null
     });
-    
-    return new Promise((resolve, reject) => {
-        const request = https.request(ULTRAVOX_API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-API-Key': ULTRAVOX_API_KEY
-            }
-        });
-
-        let data = '';
-
-        request.on('response', (response) => {
-            console.log('Ultravox API response status:', response.statusCode);
-            console.log('Ultravox API response headers:', response.headers);
-
-            response.on('data', chunk => {
-                data += chunk;
-                console.log('Received chunk:', chunk.toString());
-            });
-            
-            response.on('end', () => {
-                console.log('Raw response data:', data);
-                
-                if (response.statusCode !== 200 && response.statusCode !== 201) {
-                    console.error('Ultravox API error:', response.statusCode);
-                    try {
-                        const errorData = JSON.parse(data);
-                        reject(new Error(`Ultravox API error: ${errorData.error || errorData.message || 'Unknown error'}`));
-                    } catch (e) {
-                        reject(new Error(`Ultravox API returned status ${response.statusCode}: ${data}`));
-                    }
-                    return;
-                }
-                
-                try {
-                    const parsedData = JSON.parse(data);
-                    console.log('Ultravox response:', parsedData);
-                    if (!parsedData.joinUrl) {
-                        reject(new Error('No joinUrl in Ultravox response'));
-                        return;
-                    }
-                    resolve(parsedData);
-                } catch (error) {
-                    console.error('Error parsing Ultravox response:', error);
-                    console.error('Raw response:', data);
-                    reject(error);
-                }
-            });
-        });
-
-        request.on('error', (error) => {
-            console.error('Ultravox request error:', error);
-            reject(error);
-        });
-
-        request.on('timeout', () => {
-            console.error('Ultravox request timed out');
-            request.destroy();
-            reject(new Error('Request timed out'));
-        });
-        
-        request.write(JSON.stringify(ULTRAVOX_CALL_CONFIG));
-        request.end();
+  } catch (err) {
+    console.error('Error listing audit log:', err);
+    res.status(500).json({ error: 'Database query failed', details: err.message });
+  }
+});
+
+// Raw webhook events, newest first. Filters: call_id, event, status;
+// page with ?before=<id of the last event>
+app.get('/admin/webhook-events', auth.requireRole('admin'), async (req, res) => {
+  const { call_id, event, status } = req.query;
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+  const before = req.query.before === undefined ? undefined : parseInt(req.query.before, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 200' });
+  }
+  if (before !== undefined && !Number.isInteger(before)) {
+    return res.status(400).json({ error: 'before must be an event id' });
+  }
+
+  try {
+    const events = await webhooks.listEvents({ callId: call_id, event, status, before, limit });
+    res.json({
+      events,
+      nextBefore: events.length === limit ? events[events.length - 1].id : null
     });
+  } catch (err) {
+    console.error('Error listing webhook events:', err);
+    res.status(500).json({ error: 'Database query failed', details: err.message });
+  }
+});
+
+app.get('/admin/webhook-events/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const event = await webhooks.getEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    res.json(event);
+  } catch (err) {
+    console.error('Error fetching webhook event:', err);
+    res.status(500).json({ error: 'Database query failed', details: err.message });
+  }
+});
+
+// Run a stored event through the pipeline again, e.g. after a failure
+app.post('/admin/webhook-events/:id/replay', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const event = await webhooks.getEvent(req.params.id);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    console.log(`[Webhook] Replaying event ${event.id} (${event.event}) for call ${event.call_id}`);
+    try {
+      await webhooks.processEvent(event, webhookHandlers, { replay: true });
+    } catch {
+      // outcome is recorded on the event
+    }
+    res.json(await webhooks.getEvent(event.id));
+  } catch (err) {
+    console.error('Error replaying webhook event:', err);
+    res.status(500).json({ error: 'Failed to replay event', details: err.message });
+  }
+});
+
+// Push a call's current list entry (including its processing status) to
+// connected clients
+async function emitCallUpdate(callId) {
+  const call = await database.getCallSummary(callId);
+  if (call) {
+    io.emit('callUpdated', call);
+  }
 }
 
+queue.registerHandler('enrich_call', (job) =>
+  enrichCall(job.payload.callId, { onStatus: emitCallUpdate })
+);
+
+queue.registerHandler('prefetch_recording', (job) =>
+  recordings.prefetchRecording(job.payload.callId)
+);
+
+// Book a callback when the analysis suggests one (AUTO_CALLBACKS=on)
+queue.events.on('done', async (job) => {
+  if (job.type !== 'enrich_call') return;
+  try {
+    await scheduledCalls.bookSuggestedCallback(job.call_id);
+  } catch (err) {
+    console.error('Error booking suggested callback:', err);
+  }
+});
+
+// Failed attempts go back to 'pending' until the job gives up
+queue.events.on('retry', async (job, error) => {
+  if (job.type !== 'enrich_call') return;
+  try {
+    await database.setProcessingStatus(job.call_id, 'pending', error.message);
+    await emitCallUpdate(job.call_id);
+  } catch (err) {
+    console.error('Error updating processing status:', err);
+  }
+});
+
+queue.events.on('failed', async (job, error) => {
+  if (job.type !== 'enrich_call') return;
+  try {
+    await database.setProcessingStatus(job.call_id, 'failed', error.message);
+    await emitCallUpdate(job.call_id);
+  } catch (err) {
+    console.error('Error updating processing status:', err);
+  }
+});
+
 // Make outbound call endpoint
-app.post('/make-call', async (req, res) => {
-  const { phoneNumber } = req.body;
+// Optional profileId picks the agent profile; the default is used otherwise.
+// `context` fills the {{variables}} in the profile's prompt, e.g.
+// { customer_name, plan, ticket_id, language }.
+app.post('/make-call', auth.requireRole('supervisor'), async (req, res) => {
+  const { phoneNumber, profileId, context } = req.body;
   
   if (!phoneNumber) {
     return res.status(400).json({ error: 'Phone number is required' });
   }
+  const contextError = promptTemplate.validateContext(context);
+  if (contextError) {
+    return res.status(400).json({ error: contextError });
+  }
 
   // Check configurations
-  if (!ULTRAVOX_API_KEY) {
-    return res.status(500).json({ error: 'Ultravox API Key is missing' });
-  }
-  if (!TWILIO_ACCOUNT_SID) {
-    return res.status(500).json({ error: 'Twilio Account SID is missing' });
-  }
-  if (!TWILIO_AUTH_TOKEN) {
-    return res.status(500).json({ error: 'Twilio Auth Token is missing' });
-  }
-  if (!TWILIO_PHONE_NUMBER) {
-    return res.status(500).json({ error: 'Twilio Phone Number is missing' });
+  const configError = outbound.missingConfig();
+  if (configError) {
+    return res.status(500).json({ error: configError });
   }
 
+  let profile;
   try {
-    console.log('Original phone number:', phoneNumber);
-    const formattedPhoneNumber = formatPhoneNumber(phoneNumber);
-    console.log('Formatted phone number:', formattedPhoneNumber);
-
-    console.log('Creating Ultravox call...');
-    const ultravoxResponse = await createUltravoxCall();
-    console.log('Full Ultravox response:', ultravoxResponse);
-    
-    if (!ultravoxResponse.joinUrl) {
-      throw new Error('No joinUrl received from Ultravox');
+    profile = await agentProfiles.resolveProfile(profileId);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
     }
-    console.log('Got joinUrl:', ultravoxResponse.joinUrl);
+    console.error('Error loading agent profile:', err);
+    return res.status(500).json({ error: 'Failed to load agent profile', details: err.message });
+  }
 
-    const client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
-    console.log('Twilio config:', {
-      from: TWILIO_PHONE_NUMBER,
-      to: formattedPhoneNumber
-      // statusCallback: process.env.NODE_ENV === 'production' 
-      //   ? 'https://jtxviewer.onrender.com/webhook'
-      //   : 'http://localhost:3000/webhook'
-    });
+  try {
+    const { missing } = promptTemplate.renderPrompt(profile.system_prompt, context);
+    if (missing.length) {
+      return res.status(400).json({ error: `Missing context for the prompt: ${missing.join(', ')}`, missing });
+    }
 
-    const twiml = `<Response><Connect><Stream url="${ultravoxResponse.joinUrl}"/></Connect></Response>`;
-    console.log('TwiML:', twiml);
-
-    const call = await client.calls.create({
-      twiml: twiml,
-      to: formattedPhoneNumber,
-      from: TWILIO_PHONE_NUMBER,
-      // statusCallback: process.env.NODE_ENV === 'production' 
-      //   ? 'https://jtxviewer.onrender.com/webhook'
-      //   : 'http://localhost:3000/webhook'
-      // statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
-      // statusCallbackMethod: 'POST'
+    const call = await outbound.placeCall(phoneNumber, { profile, context });
+    await audit.record(req, 'call.dial', {
+      callId: call.ultravoxCallId,
+      details: { to: call.to, callSid: call.callSid, status: call.status, profileId: call.profile.id, profileVersion: call.profile.version }
     });
-
-    console.log('Call initiated:', call.sid);
-    console.log('Call status:', call.status);
-    console.log('Full call response:', call);
     res.json({ 
-      callSid: call.sid,
+      callSid: call.callSid,
+      callId: call.ultravoxCallId,
       status: call.status,
-      to: formattedPhoneNumber,
-      from: TWILIO_PHONE_NUMBER
+      to: call.to,
+      from: call.from,
+      profile: call.profile
     });
   } catch (error) {
     console.error('Detailed error:', error);
     console.error('Error stack:', error.stack);
     const errorMessage = error.message || 'Failed to initiate call';
+    await audit.record(req, 'call.dial', { details: { to: phoneNumber, error: errorMessage } });
     res.status(500).json({ error: errorMessage });
   }
 });
 
-// // Webhook endpoint for call status updates
-// app.post('/webhook', (req, res) => {
-//   const callStatus = req.body;
-//   console.log('Call status update:', JSON.stringify(callStatus, null, 2));
-//   res.sendStatus(200);
-// });
+// Reject status callbacks not signed by Twilio with TWILIO_AUTH_TOKEN
+const verifyTwilioSignature = (req, res, next) => {
+  const { valid, reason } = outbound.verifyTwilioSignature({
+    signature: req.get('X-Twilio-Signature'),
+    path: req.originalUrl,
+    params: req.body
+  });
+  if (!valid) {
+    console.warn(`[CallStatus] Rejected callback from ${req.ip}: ${reason}`);
+    return res.status(403).json({ error: 'Invalid Twilio signature' });
+  }
+  next();
+};
+
+// Twilio status callbacks (form-encoded) for calls placed by placeCall
+app.post(outbound.STATUS_CALLBACK_PATH, bodyParser.urlencoded({ extended: false }), verifyTwilioSignature,
+  async (req, res) => {
+    const callback = callStatus.parseStatusCallback(req.body);
+    if (!callback) {
+      return res.status(400).json({ error: 'Missing CallSid or CallStatus' });
+    }
+    const { callSid, twilioStatus, duration } = callback;
+    try {
+      const result = await callStatus.recordStatus(callSid, twilioStatus, { duration, payload: req.body });
+      if (!result) {
+        console.log(`[CallStatus] Ignoring status ${twilioStatus} for ${callSid}`);
+      }
+      // Twilio only needs a 2xx; an empty TwiML response keeps its logs clean
+      res.type('text/xml').send('<Response/>');
+    } catch (err) {
+      console.error('Error recording call status:', err);
+      res.status(500).json({ error: 'Failed to record call status' });
+    }
+  });
+
+// Outbound calls in progress, and ones that ended in the last few minutes
+app.get('/active-calls', auth.requireRole('supervisor'), async (req, res) => {
+  try {
+    const calls = await callStatus.listActiveCalls();
+    res.json({ calls: calls.map(call => withMaskedPhone(req, call)) });
+  } catch (err) {
+    console.error('Error listing active calls:', err);
+    res.status(500).json({ error: 'Failed to list active calls', details: err.message });
+  }
+});
+
+// Clients refetch the active calls, which only supervisors may list.
+// Campaigns check their calls' outcomes right away.
+callStatus.events.on('updated', (update) => {
+  io.to(roleRoom('supervisor')).emit('callStatusUpdated', update);
+  if (callStatus.FINAL_STATUSES.includes(update.status)) {
+    campaigns.wake();
+  }
+});
+
+// Agent profiles. Supervisors can list the active ones to pick from when
+// dialing; admins manage them. Browser navigations to /admin/agent-profiles
+// load the admin page instead.
+function profileFields(body = {}) {
+  const fields = {};
+  for (const key of agentProfiles.PROFILE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+app.get('/agent-profiles', auth.requireRole('supervisor'), async (req, res) => {
+  try {
+    const profiles = await agentProfiles.listProfiles();
+    res.json({
+      profiles: profiles.map(({ id, name, description, version, is_default, voice, language_hint, variables }) =>
+        ({ id, name, description, version, is_default, voice, language_hint, variables }))
+    });
+  } catch (err) {
+    console.error('Error listing agent profiles:', err);
+    res.status(500).json({ error: 'Failed to list agent profiles', details: err.message });
+  }
+});
+
+app.get('/admin/agent-profiles', spaNavigation, auth.requireRole('admin'), async (req, res) => {
+  try {
+    res.json({
+      profiles: await agentProfiles.listProfiles({ includeArchived: true }),
+      first_speakers: agentProfiles.FIRST_SPEAKERS
+    });
+  } catch (err) {
+    console.error('Error listing agent profiles:', err);
+    res.status(500).json({ error: 'Failed to list agent profiles', details: err.message });
+  }
+});
+
+app.post('/admin/agent-profiles', auth.requireRole('admin'), async (req, res) => {
+  const fields = {
+    model: 'fixie-ai/ultravox',
+    temperature: 0.3,
+    first_speaker: 'FIRST_SPEAKER_USER',
+    ...profileFields(req.body)
+  };
+  const error = agentProfiles.validateProfileFields(fields);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const profile = await agentProfiles.createProfile(fields, req.user.username);
+    await audit.record(req, 'profile.create', { details: { profileId: profile.id, name: profile.name } });
+    res.status(201).json(profile);
+  } catch (err) {
+    if (err.status === 409) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('Error creating agent profile:', err);
+    res.status(500).json({ error: 'Failed to create agent profile', details: err.message });
+  }
+});
+
+// A profile with its saved versions, newest first
+app.get('/admin/agent-profiles/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const profile = await agentProfiles.getProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Agent profile not found' });
+    }
+    res.json({ ...profile, versions: await agentProfiles.listVersions(profile.id) });
+  } catch (err) {
+    console.error('Error loading agent profile:', err);
+    res.status(500).json({ error: 'Failed to load agent profile', details: err.message });
+  }
+});
+
+// Edit a profile; changing the prompt or a call setting makes a new version
+app.post('/admin/agent-profiles/:id', auth.requireRole('admin'), async (req, res) => {
+  const fields = profileFields(req.body);
+  const error = agentProfiles.validateProfileFields(fields, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const before = await agentProfiles.getProfile(req.params.id);
+    if (!before) {
+      return res.status(404).json({ error: 'Agent profile not found' });
+    }
+    const profile = await agentProfiles.updateProfile(before.id, fields, req.user.username);
+    if (profile.updated_at !== before.updated_at) {
+      await audit.record(req, 'profile.update', {
+        details: { profileId: profile.id, name: profile.name, version: profile.version }
+      });
+    }
+    res.json({ ...profile, versions: await agentProfiles.listVersions(profile.id) });
+  } catch (err) {
+    if (err.status === 409) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('Error updating agent profile:', err);
+    res.status(500).json({ error: 'Failed to update agent profile', details: err.message });
+  }
+});
+
+app.post('/admin/agent-profiles/:id/default', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const profile = await agentProfiles.getProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Agent profile not found' });
+    }
+    if (profile.archived) {
+      return res.status(409).json({ error: 'Agent profile is archived' });
+    }
+    await audit.record(req, 'profile.default', { details: { profileId: profile.id, name: profile.name } });
+    res.json(await agentProfiles.setDefaultProfile(profile.id));
+  } catch (err) {
+    console.error('Error setting default agent profile:', err);
+    res.status(500).json({ error: 'Failed to set default agent profile', details: err.message });
+  }
+});
+
+// Archive ({ archived: true }) or restore a profile. The default profile
+// can't be archived.
+app.post('/admin/agent-profiles/:id/archive', auth.requireRole('admin'), async (req, res) => {
+  const archived = req.body?.archived !== false;
+  try {
+    const profile = await agentProfiles.getProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Agent profile not found' });
+    }
+    if (archived && profile.is_default) {
+      return res.status(409).json({ error: 'The default profile cannot be archived' });
+    }
+    await audit.record(req, archived ? 'profile.archive' : 'profile.restore', {
+      details: { profileId: profile.id, name: profile.name }
+    });
+    res.json(await agentProfiles.setArchived(profile.id, archived));
+  } catch (err) {
+    console.error('Error archiving agent profile:', err);
+    res.status(500).json({ error: 'Failed to archive agent profile', details: err.message });
+  }
+});
+
+// Campaigns (supervisors and admins). Browser navigations to /campaigns and
+// /campaigns/:id load the campaign dashboard instead.
+const CONTACT_PAGE_LIMIT = 200;
+
+function campaignFields(body = {}) {
+  const fields = {};
+  for (const key of ['name', 'concurrency', 'timezone', 'calling_hours_start', 'calling_hours_end',
+    'max_attempts', 'retry_delay_minutes', 'retry_on', 'profile_id', 'context']) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+// Phone numbers of campaign contacts and scheduled calls are masked like
+// callers' unless the user may see PII
+function withMaskedPhone(req, record) {
+  return redaction.phoneMaskingEnabled() && !auth.hasRole(req.user, PII_VIEW_ROLE)
+    ? { ...record, phone: redaction.maskPhone(record.phone) }
+    : record;
+}
+
+app.get('/campaigns', spaNavigation, auth.requireRole('supervisor'), async (req, res) => {
+  try {
+    res.json({
+      campaigns: await campaigns.listCampaigns(),
+      retry_results: campaigns.RETRYABLE_RESULTS
+    });
+  } catch (err) {
+    console.error('Error listing campaigns:', err);
+    res.status(500).json({ error: 'Failed to list campaigns', details: err.message });
+  }
+});
+
+app.post('/campaigns', auth.requireRole('supervisor'), async (req, res) => {
+  const fields = {
+    concurrency: 1,
+    timezone: 'Asia/Kolkata',
+    calling_hours_start: '09:00',
+    calling_hours_end: '20:00',
+    max_attempts: 3,
+    retry_delay_minutes: 60,
+    retry_on: ['no-answer', 'busy'],
+    ...campaignFields(req.body)
+  };
+  const error = campaigns.validateCampaignFields(fields);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const campaign = await campaigns.createCampaign(fields, req.user.username);
+    await audit.record(req, 'campaign.create', { details: { campaignId: campaign.id, name: campaign.name } });
+    res.status(201).json(campaign);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error creating campaign:', err);
+    res.status(500).json({ error: 'Failed to create campaign', details: err.message });
+  }
+});
+
+app.get('/campaigns/:id', spaNavigation, auth.requireRole('supervisor'), async (req, res) => {
+  try {
+    const campaign = await campaigns.getCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    res.json(campaign);
+  } catch (err) {
+    console.error('Error loading campaign:', err);
+    res.status(500).json({ error: 'Failed to load campaign', details: err.message });
+  }
+});
+
+// Change a campaign's settings
+app.post('/campaigns/:id', auth.requireRole('supervisor'), async (req, res) => {
+  const fields = campaignFields(req.body);
+  const error = campaigns.validateCampaignFields(fields, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const campaign = await campaigns.getCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (campaign.status === 'completed') {
+      return res.status(409).json({ error: 'Campaign is completed' });
+    }
+    res.json(await campaigns.updateCampaign(campaign.id, fields));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error updating campaign:', err);
+    res.status(500).json({ error: 'Failed to update campaign', details: err.message });
+  }
+});
+
+// Upload contacts as CSV (text/csv request body)
+app.post('/campaigns/:id/contacts', auth.requireRole('supervisor'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+    if (typeof req.body !== 'string') {
+      return res.status(415).json({ error: 'Send the contacts as text/csv' });
+    }
+    try {
+      const campaign = await campaigns.getCampaign(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      if (campaign.status === 'completed') {
+        return res.status(409).json({ error: 'Campaign is completed' });
+      }
+      const result = await campaigns.addContacts(campaign.id, req.body);
+      res.json({ ...result, campaign: await campaigns.getCampaign(campaign.id) });
+    } catch (err) {
+      if (err.code) {
+        console.error('Error adding contacts:', err);
+        return res.status(500).json({ error: 'Failed to add contacts', details: err.message });
+      }
+      // Problems with the file itself
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+// Per-contact outcomes; ?status= filters, ?limit= and ?offset= page
+app.get('/campaigns/:id/contacts', auth.requireRole('supervisor'), async (req, res) => {
+  const { status } = req.query;
+  if (status && !campaigns.CONTACT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${campaigns.CONTACT_STATUSES.join(', ')}` });
+  }
+  const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+  const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset, 10);
+  if (!(limit >= 1 && limit <= CONTACT_PAGE_LIMIT) || !(offset >= 0)) {
+    return res.status(400).json({ error: `limit must be between 1 and ${CONTACT_PAGE_LIMIT} and offset 0 or more` });
+  }
+  try {
+    if (!await campaigns.getCampaign(req.params.id)) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const page = await campaigns.listContacts(req.params.id, { status, limit, offset });
+    res.json({ ...page, contacts: page.contacts.map(contact => withMaskedPhone(req, contact)) });
+  } catch (err) {
+    console.error('Error listing contacts:', err);
+    res.status(500).json({ error: 'Failed to list contacts', details: err.message });
+  }
+});
+
+// One contact with every dial attempt
+app.get('/campaigns/:id/contacts/:contactId', auth.requireRole('supervisor'), async (req, res) => {
+  try {
+    const contact = await campaigns.getContact(req.params.id, req.params.contactId);
+    if (!contact) {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+    res.json(withMaskedPhone(req, contact));
+  } catch (err) {
+    console.error('Error loading contact:', err);
+    res.status(500).json({ error: 'Failed to load contact', details: err.message });
+  }
+});
+
+// Start or resume dialing. Every pending contact needs a value for each
+// required prompt variable.
+app.post('/campaigns/:id/start', auth.requireRole('supervisor'), async (req, res) => {
+  try {
+    const campaign = await campaigns.getCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (!['draft', 'paused'].includes(campaign.status)) {
+      return res.status(409).json({ error: `Campaign is ${campaign.status}` });
+    }
+    if (!campaign.counts.pending && !campaign.counts.dialing) {
+      return res.status(409).json({ error: 'Campaign has no contacts left to call' });
+    }
+    const configError = outbound.missingConfig();
+    if (configError) {
+      return res.status(500).json({ error: configError });
+    }
+    await campaigns.checkContactContext(campaign);
+    await audit.record(req, 'campaign.start', { details: { campaignId: campaign.id, name: campaign.name } });
+    res.json(await campaigns.setCampaignStatus(campaign.id, 'running'));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error starting campaign:', err);
+    res.status(500).json({ error: 'Failed to start campaign', details: err.message });
+  }
+});
+
+// Stop dialing new contacts; calls in progress finish normally
+app.post('/campaigns/:id/pause', auth.requireRole('supervisor'), async (req, res) => {
+  try {
+    const campaign = await campaigns.getCampaign(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (campaign.status !== 'running') {
+      return res.status(409).json({ error: `Campaign is ${campaign.status}` });
+    }
+    await audit.record(req, 'campaign.pause', { details: { campaignId: campaign.id, name: campaign.name } });
+    res.json(await campaigns.setCampaignStatus(campaign.id, 'paused'));
+  } catch (err) {
+    console.error('Error pausing campaign:', err);
+    res.status(500).json({ error: 'Failed to pause campaign', details: err.message });
+  }
+});
+
+campaigns.events.on('updated', async (campaignId) => {
+  try {
+    const campaign = await campaigns.getCampaign(campaignId);
+    if (campaign) {
+      io.to(roleRoom('supervisor')).emit('campaignUpdated', campaign);
+    }
+  } catch (err) {
+    console.error('Error emitting campaign update:', err);
+  }
+});
+
+// Scheduled calls and callbacks (supervisors and admins). Browser navigations
+// to /scheduled-calls load the schedule page instead.
+function scheduleFields(body = {}) {
+  const fields = {};
+  for (const key of ['phone', 'name', 'notes', 'scheduled_at', 'source_call_id', 'profile_id', 'context']) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+app.get('/scheduled-calls', spaNavigation, auth.requireRole('supervisor'), async (req, res) => {
+  const { status, call_id } = req.query;
+  if (status && !scheduledCalls.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${scheduledCalls.STATUSES.join(', ')}` });
+  }
+  try {
+    const calls = await scheduledCalls.listScheduledCalls({ status, sourceCallId: call_id });
+    res.json({ scheduled_calls: calls.map(call => withMaskedPhone(req, call)) });
+  } catch (err) {
+    console.error('Error listing scheduled calls:', err);
+    res.status(500).json({ error: 'Failed to list scheduled calls', details: err.message });
+  }
+});
+
+// Book a call. Give either a phone number or the source_call_id of a call to
+// ring the same caller back. profile_id and context set up the agent; the
+// prompt's required variables must all have values.
+app.post('/scheduled-calls', auth.requireRole('supervisor'), async (req, res) => {
+  const fields = scheduleFields(req.body);
+  if (!fields.phone && !fields.source_call_id) {
+    return res.status(400).json({ error: 'phone or source_call_id is required' });
+  }
+  const error = scheduledCalls.validateScheduleFields(fields, { partial: true });
+  if (error || !fields.scheduled_at) {
+    return res.status(400).json({ error: error || 'scheduled_at is required' });
+  }
+  try {
+    if (fields.source_call_id && !(await database.getCallSummary(fields.source_call_id))) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    const call = await scheduledCalls.createScheduledCall(fields, { createdBy: req.user.username });
+    await audit.record(req, 'schedule.create', {
+      callId: call.source_call_id,
+      details: { scheduledCallId: call.id, scheduledAt: call.scheduled_at }
+    });
+    res.status(201).json(withMaskedPhone(req, call));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error scheduling call:', err);
+    res.status(500).json({ error: 'Failed to schedule call', details: err.message });
+  }
+});
+
+// Reschedule, or change the number, name, notes, profile or context
+app.post('/scheduled-calls/:id', auth.requireRole('supervisor'), async (req, res) => {
+  const fields = scheduleFields(req.body);
+  delete fields.source_call_id;
+  const error = scheduledCalls.validateScheduleFields(fields, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const existing = await scheduledCalls.getScheduledCall(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Scheduled call not found' });
+    }
+    if (!scheduledCalls.OPEN_STATUSES.includes(existing.status)) {
+      return res.status(409).json({ error: `Call is ${existing.status}` });
+    }
+    const call = await scheduledCalls.updateScheduledCall(existing.id, fields);
+    await audit.record(req, 'schedule.update', {
+      callId: call.source_call_id,
+      details: { scheduledCallId: call.id, scheduledAt: call.scheduled_at }
+    });
+    res.json(withMaskedPhone(req, call));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error rescheduling call:', err);
+    res.status(500).json({ error: 'Failed to reschedule call', details: err.message });
+  }
+});
+
+app.post('/scheduled-calls/:id/cancel', auth.requireRole('supervisor'), async (req, res) => {
+  try {
+    const existing = await scheduledCalls.getScheduledCall(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Scheduled call not found' });
+    }
+    if (!scheduledCalls.OPEN_STATUSES.includes(existing.status)) {
+      return res.status(409).json({ error: `Call is ${existing.status}` });
+    }
+    const call = await scheduledCalls.cancelScheduledCall(existing.id);
+    await audit.record(req, 'schedule.cancel', {
+      callId: call.source_call_id,
+      details: { scheduledCallId: call.id }
+    });
+    res.json(withMaskedPhone(req, call));
+  } catch (err) {
+    console.error('Error canceling scheduled call:', err);
+    res.status(500).json({ error: 'Failed to cancel call', details: err.message });
+  }
+});
+
+// Clients refetch the schedule, which only supervisors may list; the event
+// carries no phone number, since sockets don't know which users may see it
+scheduledCalls.events.on('updated', (id) => {
+  io.to(roleRoom('supervisor')).emit('scheduledCallUpdated', { id });
+});
 
 // Serve static files from the dist directory AFTER API routes
 app.use(express.static(path.join(__dirname, 'dist')));
@@ -0,0 +1,260 @@
+const sqlite = require('./sqlite.cjs');
+const database = require('./db.cjs');
+const promptTemplate = require('./promptTemplate.cjs');
+
+// Agent profiles: the system prompt, voice, model, temperature, first
+// speaker and language an outbound call is made with. Changing any of those
+// call settings bumps the profile's version and keeps a copy of the new
+// settings, so each placed call can be traced to the exact prompt it used.
+// Names and descriptions aren't versioned. The prompt is a template; see
+// promptTemplate.cjs for its {{variables}}.
+
+const FIRST_SPEAKERS = ['FIRST_SPEAKER_USER', 'FIRST_SPEAKER_AGENT'];
+
+// Settings sent to Ultravox; changing any of them makes a new version
+const VERSIONED_FIELDS = ['system_prompt', 'voice', 'model', 'temperature', 'first_speaker', 'language_hint'];
+const PROFILE_FIELDS = ['name', 'description', ...VERSIONED_FIELDS];
+
+const MAX_PROMPT_LENGTH = 20000;
+
+// Returns an error message, or null when the fields are valid. With `partial`
+// only the fields present are checked.
+function validateProfileFields(fields, { partial = false } = {}) {
+  const has = (key) => !partial || fields[key] !== undefined;
+  const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+
+  if (has('name') && !isText(fields.name, 100)) {
+    return 'name must be 1-100 characters';
+  }
+  if (fields.description !== undefined && fields.description !== null
+    && (typeof fields.description !== 'string' || fields.description.length > 300)) {
+    return 'description must be at most 300 characters';
+  }
+  if (has('system_prompt') && !isText(fields.system_prompt, MAX_PROMPT_LENGTH)) {
+    return `system_prompt must be 1-${MAX_PROMPT_LENGTH} characters`;
+  }
+  if (fields.system_prompt !== undefined) {
+    const templateError = promptTemplate.validateTemplate(fields.system_prompt);
+    if (templateError) return templateError;
+  }
+  for (const key of ['voice', 'model']) {
+    if (has(key) && !isText(fields[key], 200)) {
+      return `${key} must be 1-200 characters`;
+    }
+  }
+  if (has('temperature') && (typeof fields.temperature !== 'number' || !(fields.temperature >= 0 && fields.temperature <= 1))) {
+    return 'temperature must be a number from 0 to 1';
+  }
+  if (has('first_speaker') && !FIRST_SPEAKERS.includes(fields.first_speaker)) {
+    return `first_speaker must be one of ${FIRST_SPEAKERS.join(', ')}`;
+  }
+  if (fields.language_hint !== undefined && fields.language_hint !== null
+    && (typeof fields.language_hint !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(fields.language_hint))) {
+    return 'language_hint must be a language code such as hi or en-IN';
+  }
+  return null;
+}
+
+// Profiles carry the variables their prompt uses, as [{ name, default }]
+function toProfile(row) {
+  return row ? {
+    ...row,
+    is_default: Boolean(row.is_default),
+    archived: Boolean(row.archived),
+    variables: promptTemplate.parseTemplate(row.system_prompt)
+  } : null;
+}
+
+function cleanText(value) {
+  return typeof value === 'string' ? value.trim() || null : null;
+}
+
+async function getProfile(id) {
+  return toProfile(await sqlite.get(database.getDb(), 'SELECT * FROM agent_profiles WHERE id = ?', [id]));
+}
+
+async function getDefaultProfile() {
+  return toProfile(await sqlite.get(database.getDb(),
+    'SELECT * FROM agent_profiles WHERE is_default = 1 AND archived = 0'));
+}
+
+// The profile a call is placed with: `profileId`, or the default profile
+// when none is given. Throws with `status` 404 or 409 when the profile can't
+// be used, and 500 when no default is set.
+async function resolveProfile(profileId) {
+  if (profileId === undefined || profileId === null || profileId === '') {
+    const profile = await getDefaultProfile();
+    if (!profile) {
+      throw Object.assign(new Error('No default agent profile is set'), { status: 500 });
+    }
+    return profile;
+  }
+  const profile = Number.isInteger(Number(profileId)) && await getProfile(Number(profileId));
+  if (!profile) {
+    throw Object.assign(new Error('Agent profile not found'), { status: 404 });
+  }
+  if (profile.archived) {
+    throw Object.assign(new Error('Agent profile is archived'), { status: 409 });
+  }
+  return profile;
+}
+
+// Default first, then by name
+async function listProfiles({ includeArchived = false } = {}) {
+  const rows = await sqlite.all(database.getDb(), `
+    SELECT * FROM agent_profiles ${includeArchived ? '' : 'WHERE archived = 0'}
+    ORDER BY is_default DESC, archived, name
+  `);
+  return rows.map(toProfile);
+}
+
+// Saved versions of a profile, newest first
+async function listVersions(id) {
+  return sqlite.all(database.getDb(),
+    'SELECT * FROM agent_profile_versions WHERE profile_id = ? ORDER BY version DESC', [id]);
+}
+
+async function saveVersion(profile, createdBy) {
+  await sqlite.run(database.getDb(), `
+    INSERT INTO agent_profile_versions (profile_id, version, system_prompt, voice, model, temperature,
+      first_speaker, language_hint, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [profile.id, profile.version, ...VERSIONED_FIELDS.map(key => profile[key]), createdBy, profile.updated_at]);
+}
+
+async function findByName(name, exceptId = null) {
+  return sqlite.get(database.getDb(),
+    'SELECT id FROM agent_profiles WHERE name = ? AND id IS NOT ?', [name.trim(), exceptId]);
+}
+
+// Throws with `status` 409 when the name is taken
+async function createProfile(fields, createdBy = null) {
+  const error = validateProfileFields(fields);
+  if (error) throw new Error(error);
+  if (await findByName(fields.name)) {
+    throw Object.assign(new Error('A profile with this name already exists'), { status: 409 });
+  }
+
+  const now = new Date().toISOString();
+  const { lastID } = await sqlite.run(database.getDb(), `
+    INSERT INTO agent_profiles (name, description, system_prompt, voice, model, temperature, first_speaker,
+      language_hint, created_by, created_at, updated_by, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [fields.name.trim(), cleanText(fields.description), fields.system_prompt.trim(), fields.voice.trim(),
+    fields.model.trim(), fields.temperature, fields.first_speaker, cleanText(fields.language_hint),
+    createdBy, now, createdBy, now]);
+  const profile = await getProfile(lastID);
+  await saveVersion(profile, createdBy);
+  console.log(`[Profiles] Created profile ${lastID} "${profile.name}"`);
+  return profile;
+}
+
+// Apply changed fields; a new version is saved when a call setting changed.
+// Throws with `status` 409 when the new name is taken.
+async function updateProfile(id, fields, updatedBy = null) {
+  const error = validateProfileFields(fields, { partial: true });
+  if (error) throw new Error(error);
+  const current = await getProfile(id);
+  if (!current) return null;
+  if (fields.name !== undefined && await findByName(fields.name, current.id)) {
+    throw Object.assign(new Error('A profile with this name already exists'), { status: 409 });
+  }
+
+  const next = {};
+  for (const key of PROFILE_FIELDS) {
+    if (fields[key] === undefined) continue;
+    next[key] = ['description', 'language_hint'].includes(key) ? cleanText(fields[key])
+      : typeof fields[key] === 'string' ? fields[key].trim() : fields[key];
+  }
+  const changed = Object.keys(next).filter(key => next[key] !== current[key]);
+  if (!changed.length) return current;
+
+  const newVersion = changed.some(key => VERSIONED_FIELDS.includes(key));
+  next.version = newVersion ? current.version + 1 : current.version;
+  next.updated_by = updatedBy;
+  next.updated_at = new Date().toISOString();
+
+  const keys = Object.keys(next);
+  await sqlite.run(database.getDb(), `
+    UPDATE agent_profiles SET ${keys.map(key => `${key} = ?`).join(', ')} WHERE id = ?
+  `, [...keys.map(key => next[key]), current.id]);
+  const profile = await getProfile(current.id);
+  if (newVersion) {
+    await saveVersion(profile, updatedBy);
+    console.log(`[Profiles] Profile ${profile.id} is now version ${profile.version}`);
+  }
+  return profile;
+}
+
+// Make a profile the one used when a call doesn't name one
+async function setDefaultProfile(id) {
+  await sqlite.run(database.getDb(), 'UPDATE agent_profiles SET is_default = (id = ?)', [id]);
+  console.log(`[Profiles] Profile ${id} is now the default`);
+  return getProfile(id);
+}
+
+// Archived profiles can't be used for new calls but stay linked to old ones
+async function setArchived(id, archived) {
+  await sqlite.run(database.getDb(), 'UPDATE agent_profiles SET archived = ? WHERE id = ?', [archived ? 1 : 0, id]);
+  return getProfile(id);
+}
+
+// Ultravox call settings for a profile, with its prompt already rendered
+function callConfig(profile, systemPrompt) {
+  return {
+    systemPrompt,
+    model: profile.model,
+    voice: profile.voice,
+    temperature: profile.temperature,
+    firstSpeaker: profile.first_speaker,
+    ...(profile.language_hint ? { languageHint: profile.language_hint } : {})
+  };
+}
+
+// Remember which profile version, context and rendered prompt an outbound
+// call was placed with
+async function recordOutboundCall({ callId, callSid, to, profile, context, systemPrompt }) {
+  await sqlite.run(database.getDb(), `
+    INSERT OR REPLACE INTO outbound_calls (call_id, call_sid, to_phone, profile_id, profile_version, context,
+      system_prompt, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `, [callId, callSid, to, profile.id, profile.version, JSON.stringify(context || {}), systemPrompt,
+    new Date().toISOString()]);
+}
+
+// What the agent on a call was set up with: { profile: { id, name, version },
+// context, system_prompt }. Null for calls not placed by this server (or
+// placed before profiles existed).
+async function getCallAgent(callId) {
+  const row = await sqlite.get(database.getDb(), `
+    SELECT agent_profiles.id, agent_profiles.name, outbound_calls.profile_version AS version,
+      outbound_calls.context, outbound_calls.system_prompt
+    FROM outbound_calls JOIN agent_profiles ON agent_profiles.id = outbound_calls.profile_id
+    WHERE outbound_calls.call_id = ?
+  `, [callId]);
+  if (!row) return null;
+  return {
+    profile: { id: row.id, name: row.name, version: row.version },
+    context: row.context ? JSON.parse(row.context) : {},
+    system_prompt: row.system_prompt
+  };
+}
+
+module.exports = {
+  FIRST_SPEAKERS,
+  VERSIONED_FIELDS,
+  PROFILE_FIELDS,
+  validateProfileFields,
+  getProfile,
+  getDefaultProfile,
+  resolveProfile,
+  listProfiles,
+  listVersions,
+  createProfile,
+  updateProfile,
+  setDefaultProfile,
+  setArchived,
+  callConfig,
+  recordOutboundCall,
+  getCallAgent
+};
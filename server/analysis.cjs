@@ -0,0 +1,73 @@
+const llm = require('./llm/index.cjs');
+const { validateAnalysis } = require('./assessment.cjs');
+
+const ANALYSIS_MAX_ATTEMPTS = 3;
+
+// Used when no attempt produces a valid analysis
+const FALLBACK_ANALYSIS = {
+  customerName: 'Unknown Caller',
+  sentiment: 'neutral',
+  summary: null,
+  assessment: null
+};
+
+function usageRecord(task, result) {
+  return {
+    task,
+    provider: result.provider,
+    model: result.model,
+    prompt_tokens: result.usage?.prompt_tokens ?? null,
+    completion_tokens: result.usage?.completion_tokens ?? null,
+    total_tokens: result.usage?.total_tokens ?? null,
+    cost_usd: result.cost_usd
+  };
+}
+
+// Analyze a transcript in one structured LLM request: customer name,
+// sentiment, summary and agent assessment. Invalid output is sent back to the
+// model with the validation errors and retried. Returns the analysis and one
+// usage record per request made, so retries are counted in the call's cost.
+// Throws when no request succeeded at all (e.g. the provider is unreachable)
+// so the caller can retry later instead of storing the fallback.
+async function analyzeCall(transcript) {
+  const messages = [{ role: 'user', content: transcript }];
+  const usage = [];
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= ANALYSIS_MAX_ATTEMPTS; attempt++) {
+    try {
+      const result = await llm.complete('analysis', messages);
+      usage.push(usageRecord('analysis', result));
+
+      let parsed = null;
+      try {
+        parsed = JSON.parse(result.content);
+      } catch {
+        // reported as a validation error below
+      }
+
+      const { valid, errors, analysis } = validateAnalysis(parsed);
+      if (valid) {
+        return { ...analysis, usage };
+      }
+
+      console.warn(`Invalid call analysis (attempt ${attempt}/${ANALYSIS_MAX_ATTEMPTS}):`, errors);
+      messages.push(
+        { role: 'assistant', content: result.content },
+        { role: 'user', content: `That response was invalid: ${errors.join('; ')}. Reply with the corrected JSON object only.` }
+      );
+    } catch (error) {
+      console.error(`Error analyzing call (attempt ${attempt}/${ANALYSIS_MAX_ATTEMPTS}):`, error);
+      lastError = error;
+    }
+  }
+
+  if (!usage.length && lastError) {
+    throw lastError;
+  }
+
+  console.error('Giving up on call analysis after', ANALYSIS_MAX_ATTEMPTS, 'attempts');
+  return { ...FALLBACK_ANALYSIS, usage };
+}
+
+module.exports = { analyzeCall };
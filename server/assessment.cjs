@@ -0,0 +1,171 @@
+// Schema, prompt and validation for the single-pass call analysis (customer
+// name, sentiment, summary and the structured agent assessment)
+
+const LEVELS = ['High', 'Medium', 'Low'];
+
+// Field rules: `enum` values are matched case-insensitively and normalized,
+// arrays validate each item against `items`.
+const ASSESSMENT_SCHEMA = {
+  sentimentProgression: { enum: ['Improved', 'Deteriorated', 'Same'] },
+  frustrationLevel: { enum: LEVELS },
+  resolutionConfidence: { enum: LEVELS },
+  escalationNeeded: { type: 'boolean' },
+  repeatContactLikelihood: { enum: LEVELS },
+  customerIntents: { type: 'array', items: { enum: ['Complaint', 'Query', 'Feedback', 'Support'] }, minItems: 1 },
+  keyIssue: { type: 'string', maxLength: 120, description: 'short phrase identifying the core issue' },
+  suggestedNextStep: { type: 'string', maxLength: 160, description: 'short recommended follow-up action' },
+  tags: { type: 'array', items: { type: 'string', maxLength: 40 }, maxItems: 5, description: 'short tags about the call and topic' },
+  escalationRecommended: { type: 'boolean' },
+  proactiveOpportunity: { enum: ['Up-sell', 'Cross-sell', 'None'] },
+  churnRisk: { enum: LEVELS },
+  customerSatisfaction: { enum: LEVELS },
+  npsPrediction: { enum: ['Promoter', 'Passive', 'Detractor'] },
+  issueComplexity: { enum: LEVELS }
+};
+
+// Validate one value against a rule; returns [normalizedValue, errors]
+function validateField(rule, value, name) {
+  if (rule.enum) {
+    const match = typeof value === 'string' &&
+      rule.enum.find(option => option.toLowerCase() === value.trim().toLowerCase());
+    return match
+      ? [match, []]
+      : [undefined, [`${name} must be one of ${rule.enum.join(', ')}`]];
+  }
+
+  if (rule.type === 'boolean') {
+    return typeof value === 'boolean'
+      ? [value, []]
+      : [undefined, [`${name} must be true or false`]];
+  }
+
+  if (rule.type === 'string') {
+    if (typeof value !== 'string' || !value.trim()) {
+      return [undefined, [`${name} must be a non-empty string`]];
+    }
+    if (rule.maxLength && value.trim().length > rule.maxLength) {
+      return [undefined, [`${name} must be at most ${rule.maxLength} characters`]];
+    }
+    return [value.trim(), []];
+  }
+
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) {
+      return [undefined, [`${name} must be an array`]];
+    }
+    if (rule.minItems && value.length < rule.minItems) {
+      return [undefined, [`${name} must have at least ${rule.minItems} item(s)`]];
+    }
+    if (rule.maxItems && value.length > rule.maxItems) {
+      return [undefined, [`${name} must have at most ${rule.maxItems} items`]];
+    }
+    const items = [];
+    const errors = [];
+    value.forEach((item, index) => {
+      const [normalized, itemErrors] = validateField(rule.items, item, `${name}[${index}]`);
+      items.push(normalized);
+      errors.push(...itemErrors);
+    });
+    return [errors.length ? undefined : items, errors];
+  }
+
+  return [undefined, [`${name} has an unsupported rule`]];
+}
+
+// Validate model output. Unknown keys are dropped; every schema field is required.
+function validateAssessment(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, errors: ['assessment must be a JSON object'], assessment: null };
+  }
+
+  const assessment = {};
+  const errors = [];
+  for (const [name, rule] of Object.entries(ASSESSMENT_SCHEMA)) {
+    if (value[name] === undefined || value[name] === null) {
+      errors.push(`${name} is required`);
+      continue;
+    }
+    const [normalized, fieldErrors] = validateField(rule, value[name], name);
+    assessment[name] = normalized;
+    errors.push(...fieldErrors);
+  }
+
+  return { valid: errors.length === 0, errors, assessment: errors.length ? null : assessment };
+}
+
+// Human-readable assessment schema for the system prompt
+function describeSchema(indent = '  ') {
+  const describe = (rule) => {
+    if (rule.enum) return rule.enum.map(option => `"${option}"`).join(' | ');
+    if (rule.type === 'array') {
+      const limits = [rule.minItems && `min ${rule.minItems}`, rule.maxItems && `max ${rule.maxItems}`].filter(Boolean);
+      return `array of (${describe(rule.items)})${limits.length ? ` [${limits.join(', ')}]` : ''}`;
+    }
+    return rule.type;
+  };
+
+  return Object.entries(ASSESSMENT_SCHEMA)
+    .map(([name, rule]) => `${indent}"${name}": ${describe(rule)}${rule.description ? ` (${rule.description})` : ''}`)
+    .join(',\n');
+}
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+const ANALYSIS_PROMPT = `You are an expert customer experience analyst. Analyze the provided transcript between a customer and an AI support agent and provide concise, customer-focused insights.
+
+Respond with a single JSON object with exactly these fields:
+{
+  "customerName": string (the customer's full name, or "Unknown Caller" if it is not mentioned or unclear),
+  "sentiment": ${SENTIMENTS.map(option => `"${option}"`).join(' | ')} (the customer's overall sentiment),
+  "summary": string (one or two sentences describing the call),
+  "assessment": {
+${describeSchema('    ')}
+  }
+}
+
+keyIssue and suggestedNextStep must be 3-7 words. Do NOT explain your reasoning. Be consistent, precise, and strictly concise.`;
+
+// Validate the single-pass analysis output; the assessment is validated
+// with validateAssessment and its errors are prefixed with "assessment."
+function validateAnalysis(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { valid: false, errors: ['analysis must be a JSON object'], analysis: null };
+  }
+
+  const errors = [];
+  const [customerName, nameErrors] = validateField({ type: 'string', maxLength: 100 }, value.customerName, 'customerName');
+  const [sentiment, sentimentErrors] = validateField({ enum: SENTIMENTS }, value.sentiment, 'sentiment');
+  const [summary, summaryErrors] = validateField({ type: 'string', maxLength: 600 }, value.summary, 'summary');
+  const assessmentResult = validateAssessment(value.assessment);
+  errors.push(
+    ...nameErrors,
+    ...sentimentErrors,
+    ...summaryErrors,
+    ...assessmentResult.errors.map(error => `assessment.${error}`)
+  );
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    analysis: errors.length ? null : { customerName, sentiment, summary, assessment: assessmentResult.assessment }
+  };
+}
+
+// Filterable columns derived from a structured assessment
+function assessmentColumns(assessment) {
+  if (!assessment) {
+    return { churn_risk: null, escalation: null };
+  }
+  return {
+    churn_risk: assessment.churnRisk || null,
+    escalation: assessment.escalationNeeded || assessment.escalationRecommended ? 'Yes' : 'No'
+  };
+}
+
+module.exports = {
+  ASSESSMENT_SCHEMA,
+  ANALYSIS_PROMPT,
+  validateAssessment,
+  validateAnalysis,
+  assessmentColumns
+};
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+// Transcoding and waveform peaks for cached recordings. Transcoding shells
+// out to ffmpeg; peaks are read straight from PCM WAV files, with ffmpeg
+// decoding anything else.
+//
+// Configuration (env):
+//   FFMPEG_PATH            ffmpeg binary (default "ffmpeg" on the PATH)
+//   RECORDING_TRANSCODE    "off" always serves the original file
+
+// Compressed formats the recording route can serve, by content type
+const TRANSCODE_FORMATS = {
+  'audio/mpeg': { name: 'mp3', extension: '.mp3', args: ['-codec:a', 'libmp3lame', '-b:a', '48k', '-f', 'mp3'] },
+  'audio/ogg': { name: 'opus', extension: '.ogg', args: ['-codec:a', 'libopus', '-b:a', '24k', '-f', 'ogg'] }
+};
+
+const TRANSCODE_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Peak resolution: one value (0-100, percent of full scale) per 100ms
+const PEAKS_PER_SECOND = 10;
+
+// Quieter than this share of the loudest peak, for at least SILENCE_MIN_MS,
+// counts as a silence gap
+const SILENCE_THRESHOLD = 0.05;
+const SILENCE_MIN_MS = 2000;
+
+// Set once a spawn fails with ENOENT so we stop trying on every request
+let ffmpegMissing = false;
+
+function transcodingEnabled() {
+  return process.env.RECORDING_TRANSCODE !== 'off' && !ffmpegMissing;
+}
+
+function ffmpegPath() {
+  return process.env.FFMPEG_PATH || 'ffmpeg';
+}
+
+// Run ffmpeg with `args`. Resolves to the child process once spawned; output
+// is handled by the caller. Rejects when ffmpeg isn't installed.
+function spawnFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath(), ['-hide_banner', '-loglevel', 'error', ...args], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    child.once('spawn', () => resolve(child));
+    child.once('error', (error) => {
+      if (error.code === 'ENOENT') {
+        ffmpegMissing = true;
+        console.warn(`[Audio] ffmpeg not found at "${ffmpegPath()}"; serving original recordings`);
+      }
+      reject(error);
+    });
+  });
+}
+
+// Wait for ffmpeg to exit, killing it if it runs too long
+function waitForExit(child) {
+  let stderr = '';
+  child.stderr.on('data', (chunk) => {
+    stderr += chunk;
+  });
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => child.kill('SIGKILL'), TRANSCODE_TIMEOUT_MS);
+    child.once('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`ffmpeg failed (${signal || `exit ${code}`}): ${stderr.trim().slice(-500)}`));
+      }
+    });
+  });
+}
+
+// Transcode `inputPath` to the format for `contentType`, written to
+// `outputPath` via a temporary file
+async function transcode(inputPath, outputPath, contentType) {
+  const format = TRANSCODE_FORMATS[contentType];
+  if (!format) {
+    throw new Error(`Unsupported transcode format: ${contentType}`);
+  }
+  const tempPath = `${outputPath}.${process.pid}.${Date.now()}.part`;
+  try {
+    const child = await spawnFfmpeg(['-y', '-i', inputPath, '-vn', '-ac', '1', ...format.args, tempPath]);
+    child.stdout.resume();
+    await waitForExit(child);
+    fs.renameSync(tempPath, outputPath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Sample format of a WAV file and where its audio data is. Null when the
+// file isn't a WAV we can read directly (e.g. compressed or mu-law).
+function readWavFormat(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = Buffer.alloc(64 * 1024);
+    const length = fs.readSync(fd, header, 0, header.length, 0);
+    if (length < 12 || header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+      return null;
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= length) {
+      const id = header.toString('ascii', offset, offset + 4);
+      const size = header.readUInt32LE(offset + 4);
+      if (id === 'fmt ') {
+        let encoding = header.readUInt16LE(offset + 8);
+        // WAVE_FORMAT_EXTENSIBLE keeps the real encoding in its sub-format
+        if (encoding === 0xfffe && size >= 26) {
+          encoding = header.readUInt16LE(offset + 32);
+        }
+        format = {
+          encoding,
+          channels: header.readUInt16LE(offset + 10),
+          sampleRate: header.readUInt32LE(offset + 12),
+          bitsPerSample: header.readUInt16LE(offset + 22)
+        };
+      } else if (id === 'data') {
+        if (!format) return null;
+        const supported = (format.encoding === 1 && [8, 16, 24, 32].includes(format.bitsPerSample))
+          || (format.encoding === 3 && format.bitsPerSample === 32);
+        if (!supported || !format.channels || !format.sampleRate) return null;
+        // Streaming writers leave the size unset; read to the end instead
+        const dataSize = size === 0 || size === 0xffffffff ? Infinity : size;
+        return { ...format, dataOffset: offset + 8, dataSize };
+      }
+      offset += 8 + size + (size % 2);
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function sampleReader({ encoding, bitsPerSample }) {
+  if (encoding === 3) return (buffer, offset) => buffer.readFloatLE(offset);
+  switch (bitsPerSample) {
+    case 8: return (buffer, offset) => (buffer[offset] - 128) / 128;
+    case 16: return (buffer, offset) => buffer.readInt16LE(offset) / 32768;
+    case 24: return (buffer, offset) => buffer.readIntLE(offset, 3) / 8388608;
+    default: return (buffer, offset) => buffer.readInt32LE(offset) / 2147483648;
+  }
+}
+
+// Reduce a PCM stream to one peak per 1/PEAKS_PER_SECOND of a second.
+// Resolves to { peaks, durationMs }.
+function streamPeaks(stream, format) {
+  const bytesPerSample = format.bitsPerSample / 8;
+  const frameSize = bytesPerSample * format.channels;
+  const framesPerPeak = Math.max(1, Math.round(format.sampleRate / PEAKS_PER_SECOND));
+  const readSample = sampleReader(format);
+
+  const peaks = [];
+  let leftover = Buffer.alloc(0);
+  let frames = 0;
+  let current = 0;
+
+  return new Promise((resolve, reject) => {
+    stream.on('data', (chunk) => {
+      const buffer = leftover.length ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = buffer.length - (buffer.length % frameSize);
+      for (let offset = 0; offset < usable; offset += bytesPerSample) {
+        const value = Math.abs(readSample(buffer, offset));
+        if (value > current) current = value;
+        if ((offset + bytesPerSample) % frameSize === 0) {
+          frames++;
+          if (frames % framesPerPeak === 0) {
+            peaks.push(Math.min(100, Math.round(current * 100)));
+            current = 0;
+          }
+        }
+      }
+      leftover = buffer.subarray(usable);
+    });
+    stream.once('error', reject);
+    stream.once('end', () => {
+      if (frames % framesPerPeak !== 0) {
+        peaks.push(Math.min(100, Math.round(current * 100)));
+      }
+      resolve({ peaks, durationMs: Math.round((frames / format.sampleRate) * 1000) });
+    });
+  });
+}
+
+// Waveform peaks of a recording file, or null when it can't be decoded
+async function computePeaks(filePath) {
+  const wav = readWavFormat(filePath);
+  if (wav) {
+    const end = wav.dataSize === Infinity ? undefined : wav.dataOffset + wav.dataSize - 1;
+    return streamPeaks(fs.createReadStream(filePath, { start: wav.dataOffset, end }), wav);
+  }
+
+  if (!transcodingEnabled()) return null;
+  // Anything else: let ffmpeg decode it to 8kHz mono 16-bit PCM
+  const child = await spawnFfmpeg(['-i', filePath, '-vn', '-ac', '1', '-ar', '8000', '-f', 's16le', 'pipe:1']);
+  const [result] = await Promise.all([
+    streamPeaks(child.stdout, { encoding: 1, channels: 1, sampleRate: 8000, bitsPerSample: 16 }),
+    waitForExit(child)
+  ]);
+  return result;
+}
+
+// Stretches of near silence in a peaks array, as [{ start_ms, end_ms }]
+function findSilences(peaks, { minMs = SILENCE_MIN_MS } = {}) {
+  const loudest = peaks.reduce((max, peak) => Math.max(max, peak), 0);
+  const threshold = Math.max(1, Math.round(loudest * SILENCE_THRESHOLD));
+  const msPerPeak = 1000 / PEAKS_PER_SECOND;
+
+  const silences = [];
+  let start = null;
+  peaks.forEach((peak, index) => {
+    if (peak <= threshold) {
+      if (start === null) start = index;
+    } else if (start !== null) {
+      silences.push({ start_ms: start * msPerPeak, end_ms: index * msPerPeak });
+      start = null;
+    }
+  });
+  if (start !== null) {
+    silences.push({ start_ms: start * msPerPeak, end_ms: peaks.length * msPerPeak });
+  }
+  return silences.filter(silence => silence.end_ms - silence.start_ms >= minMs);
+}
+
+module.exports = {
+  TRANSCODE_FORMATS,
+  PEAKS_PER_SECOND,
+  transcodingEnabled,
+  transcode,
+  readWavFormat,
+  computePeaks,
+  findSilences
+};
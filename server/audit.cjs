@@ -0,0 +1,78 @@
+const sqlite = require('./sqlite.cjs');
+const database = require('./db.cjs');
+
+// Audited actions
+const AUDIT_ACTIONS = {
+  'auth.login': 'Signed in',
+  'auth.login_failed': 'Failed sign-in',
+  'call.view': 'Viewed call',
+  'recording.play': 'Played recording',
+  'call.dial': 'Placed call',
+  'pii.view': 'Viewed unredacted call',
+  'campaign.create': 'Created campaign',
+  'campaign.start': 'Started campaign',
+  'campaign.pause': 'Paused campaign',
+  'schedule.create': 'Scheduled call',
+  'schedule.update': 'Rescheduled call',
+  'schedule.cancel': 'Canceled scheduled call',
+  'profile.create': 'Created agent profile',
+  'profile.update': 'Edited agent profile',
+  'profile.default': 'Set default agent profile',
+  'profile.archive': 'Archived agent profile',
+  'profile.restore': 'Restored agent profile'
+};
+
+// Record an audit entry for the request's user. Never throws: a failed write
+// is logged and must not break the audited request.
+async function record(req, action, { callId = null, details = null, username } = {}) {
+  try {
+    await sqlite.run(database.getDb(), `
+      INSERT INTO audit_log (user_id, username, role, action, call_id, details, ip, user_agent, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [req.user?.id ?? null, req.user?.username ?? username ?? null, req.user?.role ?? null, action, callId,
+      details ? JSON.stringify(details) : null, req.ip, req.get('User-Agent') || null, new Date().toISOString()]);
+  } catch (error) {
+    console.error(`[Audit] Failed to record ${action}:`, error);
+  }
+}
+
+// Newest first. Filters: username, action, callId, from/to (ISO, inclusive);
+// page with `before` (id of the last entry of the previous page)
+async function listEntries({ username, action, callId, from, to, before, limit = 50 } = {}) {
+  const where = [];
+  const params = [];
+  if (username) {
+    where.push('username = ? COLLATE NOCASE');
+    params.push(username);
+  }
+  if (action) {
+    where.push('action = ?');
+    params.push(action);
+  }
+  if (callId) {
+    where.push('call_id = ?');
+    params.push(callId);
+  }
+  if (from) {
+    where.push('created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    where.push('created_at <= ?');
+    params.push(to);
+  }
+  if (before) {
+    where.push('id < ?');
+    params.push(before);
+  }
+
+  const rows = await sqlite.all(database.getDb(), `
+    SELECT * FROM audit_log
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `, [...params, limit]);
+  return rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
+}
+
+module.exports = { AUDIT_ACTIONS, record, listEntries };
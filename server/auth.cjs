@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const sqlite = require('./sqlite.cjs');
+const database = require('./db.cjs');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of privilege; each role can do everything the
+// roles before it can
+const ROLES = ['viewer', 'supervisor', 'admin'];
+
+const SESSION_COOKIE = 'jtx_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Passwords are stored as scrypt$<salt>$<hash>, both base64
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the username is unknown, so the response time
+// doesn't reveal which usernames exist
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function toUser(row) {
+  return row
+    ? { id: row.id, username: row.username, role: row.role, disabled: Boolean(row.disabled), created_at: row.created_at }
+    : null;
+}
+
+function validateUserFields({ username, password, role }, { partial = false } = {}) {
+  if (!partial || username !== undefined) {
+    if (typeof username !== 'string' || !/^[\w.@-]{3,64}$/.test(username)) {
+      return 'username must be 3-64 letters, digits or . _ @ -';
+    }
+  }
+  if (!partial || password !== undefined) {
+    if (typeof password !== 'string' || password.length < 8) {
+      return 'password must be at least 8 characters';
+    }
+  }
+  if (!partial || role !== undefined) {
+    if (!ROLES.includes(role)) {
+      return `role must be one of: ${ROLES.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+async function createUser({ username, password, role }) {
+  const error = validateUserFields({ username, password, role });
+  if (error) throw new Error(error);
+  const { lastID } = await sqlite.run(database.getDb(), `
+    INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)
+  `, [username, await hashPassword(password), role]);
+  console.log(`[Auth] Created ${role} user ${username}`);
+  return getUser(lastID);
+}
+
+// Change a user's role, password or disabled flag. Disabling a user or
+// changing their password ends their sessions.
+async function updateUser(id, { password, role, disabled }) {
+  const error = validateUserFields({ password, role }, { partial: true });
+  if (error) throw new Error(error);
+
+  if (role !== undefined) {
+    await sqlite.run(database.getDb(), 'UPDATE users SET role = ? WHERE id = ?', [role, id]);
+  }
+  if (password !== undefined) {
+    await sqlite.run(database.getDb(), 'UPDATE users SET password_hash = ? WHERE id = ?', [await hashPassword(password), id]);
+  }
+  if (disabled !== undefined) {
+    await sqlite.run(database.getDb(), 'UPDATE users SET disabled = ? WHERE id = ?', [disabled ? 1 : 0, id]);
+  }
+  if (password !== undefined || disabled) {
+    await sqlite.run(database.getDb(), 'DELETE FROM sessions WHERE user_id = ?', [id]);
+  }
+  return getUser(id);
+}
+
+async function getUser(id) {
+  return toUser(await sqlite.get(database.getDb(), 'SELECT * FROM users WHERE id = ?', [id]));
+}
+
+async function listUsers() {
+  const rows = await sqlite.all(database.getDb(), 'SELECT * FROM users ORDER BY username');
+  return rows.map(toUser);
+}
+
+async function countUsers() {
+  const { count } = await sqlite.get(database.getDb(), 'SELECT COUNT(*) AS count FROM users');
+  return count;
+}
+
+// Resolves to the user for valid credentials of an enabled account, else null
+async function authenticate(username, password) {
+  const row = await sqlite.get(database.getDb(), 'SELECT * FROM users WHERE username = ?', [String(username || '')]);
+  const valid = await verifyPassword(String(password || ''), row ? row.password_hash : await DUMMY_HASH);
+  return row && valid && !row.disabled ? toUser(row) : null;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Start a session; returns the token to hand to the client
+async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+  await sqlite.run(database.getDb(), 'DELETE FROM sessions WHERE expires_at <= ?', [new Date().toISOString()]);
+  await sqlite.run(database.getDb(), `
+    INSERT INTO sessions (id, user_id, expires_at) VALUES (?, ?, ?)
+  `, [hashToken(token), userId, expiresAt]);
+  return { token, expiresAt };
+}
+
+// The enabled user owning an unexpired session token, else null
+async function getSessionUser(token) {
+  if (!token) return null;
+  const row = await sqlite.get(database.getDb(), `
+    SELECT u.* FROM sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.id = ? AND s.expires_at > ? AND u.disabled = 0
+  `, [hashToken(token), new Date().toISOString()]);
+  return toUser(row);
+}
+
+async function deleteSession(token) {
+  if (!token) return;
+  await sqlite.run(database.getDb(), 'DELETE FROM sessions WHERE id = ?', [hashToken(token)]);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // ignore malformed values
+    }
+  }
+  return cookies;
+}
+
+function sessionToken(cookieHeader) {
+  return parseCookies(cookieHeader)[SESSION_COOKIE] || null;
+}
+
+function sessionCookie(token, expiresAt) {
+  const attributes = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    expiresAt ? `Expires=${new Date(expiresAt).toUTCString()}` : 'Max-Age=0'
+  ];
+  if (process.env.NODE_ENV === 'production') attributes.push('Secure');
+  return attributes.join('; ');
+}
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when the
+// database has no users yet
+async function ensureInitialAdmin(env = process.env) {
+  if (await countUsers() > 0) return;
+  if (!env.ADMIN_USERNAME || !env.ADMIN_PASSWORD) {
+    console.warn('[Auth] No users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD, or run: node server/auth.cjs create-user <username> <role>');
+    return;
+  }
+  await createUser({ username: env.ADMIN_USERNAME, password: env.ADMIN_PASSWORD, role: 'admin' });
+}
+
+// Express middleware: sets req.user from the session cookie (or null)
+async function loadUser(req, res, next) {
+  try {
+    req.user = await getSessionUser(sessionToken(req.headers.cookie));
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Express middleware: 401 without a session, 403 below `role`
+function requireRole(role = 'viewer') {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(req.user, role)) {
+      console.warn(`[Auth] ${req.user.username} (${req.user.role}) denied ${req.method} ${req.path}`);
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  hasRole,
+  validateUserFields,
+  createUser,
+  updateUser,
+  getUser,
+  listUsers,
+  authenticate,
+  createSession,
+  getSessionUser,
+  deleteSession,
+  sessionToken,
+  sessionCookie,
+  ensureInitialAdmin,
+  loadUser,
+  requireRole
+};
+
+// CLI: node server/auth.cjs create-user <username> <role> (password from
+// AUTH_PASSWORD) | list-users
+if (require.main === module) {
+  require('dotenv').config();
+  const [command, username, role] = process.argv.slice(2);
+
+  const main = async () => {
+    await database.init();
+    if (command === 'create-user') {
+      const user = await createUser({ username, password: process.env.AUTH_PASSWORD, role: role || 'viewer' });
+      console.log(`Created user ${user.username} (${user.role})`);
+    } else if (command === 'list-users') {
+      (await listUsers()).forEach(user => {
+        console.log(`  ${user.username}: ${user.role}${user.disabled ? ' (disabled)' : ''}`);
+      });
+    } else {
+      throw new Error('Usage: node server/auth.cjs create-user <username> <role> | list-users');
+    }
+  };
+
+  main()
+    .catch((error) => {
+      console.error('Failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => {
+      try {
+        database.getDb().close();
+      } catch {
+        // never opened
+      }
+    });
+}
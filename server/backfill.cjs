@@ -0,0 +1,149 @@
+// Re-analyze stored calls in bulk through a running server, so every update
+// goes through POST /calls/:id/reanalyze (prior versions kept, viewers
+// refreshed over socket.io).
+//
+// CLI: node server/backfill.cjs --username <supervisor> [--url <server>]
+//        [--concurrency <n>] [--max <n>] [--dry-run]
+//        [--sentiment <s>] [--from <iso>] [--to <iso>] [--phone <p>]
+//        [--churn-risk <High|Medium|Low>] [--escalation <Yes|No>]
+// The password is read from AUTH_PASSWORD.
+require('dotenv').config();
+const fetch = require('node-fetch');
+
+const FILTER_OPTIONS = {
+  '--sentiment': 'sentiment',
+  '--from': 'from',
+  '--to': 'to',
+  '--phone': 'phone',
+  '--churn-risk': 'churnRisk',
+  '--escalation': 'escalation'
+};
+
+// Session cookie of the signed-in backfill user
+let sessionCookie = null;
+
+async function requestJson(url, options) {
+  const headers = { Accept: 'application/json', ...options?.headers };
+  if (sessionCookie) headers.Cookie = sessionCookie;
+  const response = await fetch(url, { ...options, headers });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(body.error || `${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+}
+
+async function login(baseUrl, username, password) {
+  const response = await fetch(`${baseUrl}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  if (!response.ok) {
+    throw new Error(`Login failed: ${(await response.json().catch(() => ({}))).error || response.statusText}`);
+  }
+  sessionCookie = response.headers.get('set-cookie').split(';')[0];
+}
+
+// IDs of every call matching the filters, collected up front so updates made
+// by the backfill can't shift the pages
+async function collectCallIds(baseUrl, filters, max) {
+  const ids = [];
+  let cursor = null;
+  do {
+    const params = new URLSearchParams({ ...filters, limit: '100' });
+    if (cursor) params.set('cursor', cursor);
+    const page = await requestJson(`${baseUrl}/calls?${params}`);
+    ids.push(...page.calls.map(call => call.id));
+    cursor = page.nextCursor;
+  } while (cursor && (!max || ids.length < max));
+  return max ? ids.slice(0, max) : ids;
+}
+
+// Run `worker` over `items` with at most `concurrency` in flight
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+async function backfill({ baseUrl, username, password, filters = {}, concurrency = 2, max, dryRun = false }) {
+  await login(baseUrl, username, password);
+  const ids = await collectCallIds(baseUrl, filters, max);
+  console.log(`[Backfill] ${ids.length} call(s) match`, filters);
+  if (dryRun) {
+    ids.forEach(id => console.log(`  ${id}`));
+    return { total: ids.length, reanalyzed: 0, skipped: 0, failed: 0 };
+  }
+
+  const counts = { total: ids.length, reanalyzed: 0, skipped: 0, failed: 0 };
+  await runPool(ids, concurrency, async (id, index) => {
+    const progress = `[${index + 1}/${ids.length}]`;
+    try {
+      const call = await requestJson(`${baseUrl}/calls/${encodeURIComponent(id)}/reanalyze`, { method: 'POST' });
+      counts.reanalyzed++;
+      console.log(`[Backfill] ${progress} ${id}: ${call.sentiment}, churn risk ${call.churn_risk || '-'}`);
+    } catch (error) {
+      // 409: still being processed, 422: nothing to analyze
+      if (error.status === 409 || error.status === 422) {
+        counts.skipped++;
+        console.log(`[Backfill] ${progress} ${id}: skipped (${error.message})`);
+      } else {
+        counts.failed++;
+        console.error(`[Backfill] ${progress} ${id}: failed (${error.message})`);
+      }
+    }
+  });
+  return counts;
+}
+
+module.exports = { backfill };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  const filters = {};
+  for (const [flag, name] of Object.entries(FILTER_OPTIONS)) {
+    if (option(flag) !== undefined) filters[name] = option(flag);
+  }
+  const concurrency = parseInt(option('--concurrency') || '2', 10);
+  const max = option('--max') !== undefined ? parseInt(option('--max'), 10) : undefined;
+  if (!(concurrency >= 1) || (max !== undefined && !(max >= 1))) {
+    console.error('--concurrency and --max must be positive integers');
+    process.exit(1);
+  }
+
+  if (!option('--username') || !process.env.AUTH_PASSWORD) {
+    console.error('--username and AUTH_PASSWORD are required (a supervisor or admin account)');
+    process.exit(1);
+  }
+
+  backfill({
+    baseUrl: (option('--url') || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, ''),
+    username: option('--username'),
+    password: process.env.AUTH_PASSWORD,
+    filters,
+    concurrency,
+    max,
+    dryRun: args.includes('--dry-run')
+  })
+    .then((counts) => {
+      console.log(`[Backfill] Done: ${counts.reanalyzed} re-analyzed, ${counts.skipped} skipped, ${counts.failed} failed`);
+      if (counts.failed > 0) process.exitCode = 1;
+    })
+    .catch((error) => {
+      console.error('Backfill failed:', error.message);
+      process.exitCode = 1;
+    });
+}
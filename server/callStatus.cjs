@@ -0,0 +1,128 @@
+const { EventEmitter } = require('events');
+const sqlite = require('./sqlite.cjs');
+const database = require('./db.cjs');
+
+// Dial status of outbound calls, from Twilio status callbacks. Every status
+// a call reaches is stored once in call_status_events, and outbound_calls
+// keeps the furthest one. Callbacks can arrive out of order, or before the
+// call is recorded in outbound_calls; the furthest status wins either way.
+//
+// Events: 'updated' ({ call_id, call_sid, status, status_at, duration })
+// whenever a call's status changes
+const events = new EventEmitter();
+
+const STATUSES = ['initiated', 'ringing', 'answered', 'completed', 'busy', 'failed', 'no-answer', 'canceled'];
+const FINAL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
+
+// Twilio's CallStatus values; "queued" comes from the API when the call is
+// created and "in-progress" means it was answered
+const TWILIO_STATUSES = {
+  queued: 'initiated',
+  initiated: 'initiated',
+  ringing: 'ringing',
+  'in-progress': 'answered',
+  answered: 'answered',
+  completed: 'completed',
+  busy: 'busy',
+  failed: 'failed',
+  'no-answer': 'no-answer',
+  canceled: 'canceled'
+};
+
+// Calls still dialing after this long lost their callbacks; leave them out of
+// the active list
+const STALE_AFTER_MS = 2 * 60 * 60 * 1000;
+// Ended calls stay in the active list this long so their outcome can be seen
+const ENDED_VISIBLE_MS = 5 * 60 * 1000;
+
+function progress(status) {
+  return FINAL_STATUSES.includes(status) ? FINAL_STATUSES.length : STATUSES.indexOf(status);
+}
+
+// The fields of a Twilio status callback body (form-encoded) as
+// { callSid, twilioStatus, duration }, or null without CallSid or CallStatus.
+// CallDuration only comes with the final status.
+function parseStatusCallback(body) {
+  const { CallSid, CallStatus, CallDuration } = body || {};
+  if (!CallSid || !CallStatus) return null;
+  const duration = CallDuration === undefined ? null : parseInt(CallDuration, 10);
+  return { callSid: CallSid, twilioStatus: CallStatus, duration: Number.isInteger(duration) ? duration : null };
+}
+
+// Store a status for a Twilio call SID. Returns { status, duplicate }, or
+// null for a CallStatus we don't track.
+async function recordStatus(callSid, twilioStatus, { duration = null, payload = null } = {}) {
+  const status = TWILIO_STATUSES[twilioStatus];
+  if (!status) return null;
+
+  const { changes } = await sqlite.run(database.getDb(), `
+    INSERT OR IGNORE INTO call_status_events (call_sid, status, twilio_status, duration, payload, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [callSid, status, twilioStatus, duration, payload ? JSON.stringify(payload) : null, new Date().toISOString()]);
+  if (changes === 0) return { status, duplicate: true };
+
+  await applyStatuses(callSid);
+  return { status, duplicate: false };
+}
+
+// Link a call's stored statuses to its Ultravox call id and move
+// outbound_calls to the furthest one. Runs after each new status and once the
+// placed call is recorded.
+async function applyStatuses(callSid) {
+  const db = database.getDb();
+  const call = await sqlite.get(db, 'SELECT call_id, status FROM outbound_calls WHERE call_sid = ?', [callSid]);
+  if (!call) return;
+
+  await sqlite.run(db, 'UPDATE call_status_events SET call_id = ? WHERE call_sid = ? AND call_id IS NULL',
+    [call.call_id, callSid]);
+  const rows = await sqlite.all(db, 'SELECT * FROM call_status_events WHERE call_sid = ? ORDER BY id', [callSid]);
+  const latest = rows.reduce((best, row) => (!best || progress(row.status) > progress(best.status) ? row : best), null);
+  if (!latest || latest.status === call.status) return;
+
+  const duration = rows.find(row => row.duration !== null)?.duration ?? null;
+  await sqlite.run(db, 'UPDATE outbound_calls SET status = ?, status_at = ?, duration = ? WHERE call_id = ?',
+    [latest.status, latest.created_at, duration, call.call_id]);
+  console.log(`[CallStatus] ${call.call_id} is ${latest.status}`);
+  events.emit('updated', {
+    call_id: call.call_id,
+    call_sid: callSid,
+    status: latest.status,
+    status_at: latest.created_at,
+    duration
+  });
+}
+
+// Outbound calls that are dialing or connected, plus ones that ended in the
+// last few minutes; newest first
+async function listActiveCalls(now = new Date()) {
+  return sqlite.all(database.getDb(), `
+    SELECT outbound_calls.call_id, outbound_calls.call_sid, outbound_calls.to_phone AS phone,
+      outbound_calls.status, outbound_calls.status_at, outbound_calls.duration, outbound_calls.created_at,
+      outbound_calls.profile_version, agent_profiles.name AS profile_name
+    FROM outbound_calls LEFT JOIN agent_profiles ON agent_profiles.id = outbound_calls.profile_id
+    WHERE outbound_calls.status IS NOT NULL AND (
+      (outbound_calls.status NOT IN (${FINAL_STATUSES.map(() => '?').join(', ')}) AND outbound_calls.created_at >= ?)
+      OR outbound_calls.status_at >= ?
+    )
+    ORDER BY outbound_calls.created_at DESC
+  `, [...FINAL_STATUSES, new Date(now.getTime() - STALE_AFTER_MS).toISOString(),
+    new Date(now.getTime() - ENDED_VISIBLE_MS).toISOString()]);
+}
+
+// Status history of a call by Ultravox call id, oldest first
+async function listStatusEvents(callId) {
+  return sqlite.all(database.getDb(), `
+    SELECT status, twilio_status, duration, created_at FROM call_status_events WHERE call_id = ? ORDER BY id
+  `, [callId]);
+}
+
+module.exports = {
+  events,
+  STATUSES,
+  FINAL_STATUSES,
+  parseStatusCallback,
+  recordStatus,
+  applyStatuses,
+  listActiveCalls,
+  listStatusEvents
+};
@@ -0,0 +1,565 @@
+const { EventEmitter } = require('events');
+const sqlite = require('./sqlite.cjs');
+const database = require('./db.cjs');
+const outbound = require('./outbound.cjs');
+const agentProfiles = require('./agentProfiles.cjs');
+const promptTemplate = require('./promptTemplate.cjs');
+const { parseCsv } = require('./csv.cjs');
+
+// Outbound dialing campaigns. Contacts are uploaded as CSV; while a campaign
+// is running the scheduler dials due contacts (up to its concurrency, only
+// within calling hours in each contact's timezone), polls Twilio for the
+// outcome and schedules retries.
+//
+// Calls use the campaign's agent profile. Its prompt variables come from the
+// campaign's context, overridden by each contact's name ({{customer_name}})
+// and CSV columns; every pending contact must have the required ones before
+// the campaign can start.
+//
+// Events: 'updated' (campaignId) whenever a campaign or its contacts change
+const events = new EventEmitter();
+
+const CAMPAIGN_STATUSES = ['draft', 'running', 'paused', 'completed'];
+const CONTACT_STATUSES = ['pending', 'dialing', 'completed', 'failed'];
+
+// Dial outcomes that can be retried: Twilio's unsuccessful final statuses,
+// plus 'error' when the call couldn't be placed at all
+const RETRYABLE_RESULTS = ['no-answer', 'busy', 'failed', 'error'];
+const FINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+const MAX_CONCURRENCY = 20;
+const MAX_ATTEMPTS = 10;
+const MAX_CONTACTS_PER_UPLOAD = 20000;
+const TICK_INTERVAL_MS = 10000;
+// A dial Twilio never reports a final status for is given up after this long
+const DIAL_TIMEOUT_MS = 2 * 60 * 60 * 1000;
+
+const PHONE_COLUMNS = ['phone', 'phone_number', 'phonenumber', 'number', 'mobile'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Returns an error message, or null when the fields are valid. With `partial`
+// only the fields present are checked.
+function validateCampaignFields(fields, { partial = false } = {}) {
+  const has = (key) => !partial || fields[key] !== undefined;
+  const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  if (has('name') && (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.length > 100)) {
+    return 'name must be 1-100 characters';
+  }
+  if (has('concurrency') && !isInt(fields.concurrency, 1, MAX_CONCURRENCY)) {
+    return `concurrency must be a whole number from 1 to ${MAX_CONCURRENCY}`;
+  }
+  if (has('timezone') && (typeof fields.timezone !== 'string' || !isValidTimezone(fields.timezone))) {
+    return 'timezone must be an IANA time zone such as Asia/Kolkata';
+  }
+  for (const key of ['calling_hours_start', 'calling_hours_end']) {
+    if (has(key) && !TIME_PATTERN.test(fields[key])) {
+      return `${key} must be a time as HH:MM`;
+    }
+  }
+  if (fields.calling_hours_start !== undefined && fields.calling_hours_start === fields.calling_hours_end) {
+    return 'calling hours must not start and end at the same time';
+  }
+  if (has('max_attempts') && !isInt(fields.max_attempts, 1, MAX_ATTEMPTS)) {
+    return `max_attempts must be a whole number from 1 to ${MAX_ATTEMPTS}`;
+  }
+  if (has('retry_delay_minutes') && !isInt(fields.retry_delay_minutes, 1, 7 * 24 * 60)) {
+    return 'retry_delay_minutes must be a whole number from 1 to 10080';
+  }
+  if (has('retry_on') && (!Array.isArray(fields.retry_on)
+    || !fields.retry_on.every(result => RETRYABLE_RESULTS.includes(result)))) {
+    return `retry_on must be a list of: ${RETRYABLE_RESULTS.join(', ')}`;
+  }
+  if (fields.profile_id !== undefined && fields.profile_id !== null
+    && !(Number.isInteger(fields.profile_id) && fields.profile_id > 0)) {
+    return 'profile_id must be an agent profile id';
+  }
+  return promptTemplate.validateContext(fields.context);
+}
+
+const SETTINGS = ['name', 'concurrency', 'timezone', 'calling_hours_start', 'calling_hours_end',
+  'max_attempts', 'retry_delay_minutes', 'retry_on', 'profile_id', 'context'];
+
+const SELECT_CAMPAIGNS = `
+  SELECT campaigns.*, agent_profiles.name AS profile_name
+  FROM campaigns LEFT JOIN agent_profiles ON agent_profiles.id = campaigns.profile_id
+`;
+
+function contextColumn(context) {
+  return context && Object.keys(context).length ? JSON.stringify(context) : null;
+}
+
+function toCampaign(row, counts = {}) {
+  if (!row) return null;
+  const contactCounts = Object.fromEntries(CONTACT_STATUSES.map(status => [status, counts[status] || 0]));
+  return {
+    ...row,
+    retry_on: JSON.parse(row.retry_on),
+    context: row.context ? JSON.parse(row.context) : {},
+    counts: {
+      ...contactCounts,
+      total: Object.values(contactCounts).reduce((sum, count) => sum + count, 0)
+    }
+  };
+}
+
+async function contactCounts(campaignIds) {
+  if (!campaignIds.length) return {};
+  const rows = await sqlite.all(database.getDb(), `
+    SELECT campaign_id, status, COUNT(*) AS count FROM campaign_contacts
+    WHERE campaign_id IN (${campaignIds.map(() => '?').join(', ')})
+    GROUP BY campaign_id, status
+  `, campaignIds);
+  const counts = {};
+  for (const row of rows) {
+    counts[row.campaign_id] = { ...counts[row.campaign_id], [row.status]: row.count };
+  }
+  return counts;
+}
+
+async function getCampaign(id) {
+  const row = await sqlite.get(database.getDb(), `${SELECT_CAMPAIGNS} WHERE campaigns.id = ?`, [id]);
+  if (!row) return null;
+  return toCampaign(row, (await contactCounts([row.id]))[row.id]);
+}
+
+// Newest first, with per-status contact counts
+async function listCampaigns() {
+  const rows = await sqlite.all(database.getDb(), `${SELECT_CAMPAIGNS} ORDER BY campaigns.id DESC`);
+  const counts = await contactCounts(rows.map(row => row.id));
+  return rows.map(row => toCampaign(row, counts[row.id]));
+}
+
+// Values a contact's call fills the prompt with
+function contactContext(context, contact) {
+  const fields = typeof contact.fields === 'string' ? JSON.parse(contact.fields) : contact.fields;
+  return { ...context, ...(contact.name ? { customer_name: contact.name } : {}), ...fields };
+}
+
+// Check that every pending contact has a value for each required variable of
+// the campaign's prompt (or of `profileId` and `context`, when changing
+// them). Resolves to the profile; throws with `status` 409 naming the missing
+// variables, or as agentProfiles.resolveProfile does.
+async function checkContactContext(campaign, { profileId = campaign.profile_id, context = campaign.context } = {}) {
+  const profile = await agentProfiles.resolveProfile(profileId);
+  const contacts = await sqlite.all(database.getDb(), `
+    SELECT id, name, fields FROM campaign_contacts WHERE campaign_id = ? AND status = 'pending' ORDER BY id
+  `, [campaign.id]);
+
+  const variables = new Set();
+  let count = 0;
+  let example = null;
+  for (const contact of contacts) {
+    const { missing } = promptTemplate.renderPrompt(profile.system_prompt, contactContext(context, contact));
+    if (!missing.length) continue;
+    missing.forEach(name => variables.add(name));
+    count += 1;
+    example = example || contact;
+  }
+  if (count) {
+    throw Object.assign(new Error(`${count} contact(s) have no value for ${[...variables].join(', ')} `
+      + `(e.g. ${example.name || `contact ${example.id}`}); add it to the campaign's context or the CSV`),
+    { status: 409 });
+  }
+  return profile;
+}
+
+// Throws with `status` when the profile can't be used
+async function createCampaign(fields, createdBy) {
+  const error = validateCampaignFields(fields);
+  if (error) throw new Error(error);
+  const profile = await agentProfiles.resolveProfile(fields.profile_id);
+  const now = new Date().toISOString();
+  const { lastID } = await sqlite.run(database.getDb(), `
+    INSERT INTO campaigns (name, concurrency, timezone, calling_hours_start, calling_hours_end,
+      max_attempts, retry_delay_minutes, retry_on, profile_id, context, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [fields.name.trim(), fields.concurrency, fields.timezone, fields.calling_hours_start, fields.calling_hours_end,
+    fields.max_attempts, fields.retry_delay_minutes, JSON.stringify(fields.retry_on), profile.id,
+    contextColumn(fields.context), createdBy || null, now, now]);
+  console.log(`[Campaigns] Created campaign ${lastID} "${fields.name}"`);
+  return getCampaign(lastID);
+}
+
+// Change any of the settings; takes effect from the next scheduler tick. A
+// running campaign's profile and context are checked against its contacts
+// like checkContactContext.
+async function updateCampaign(id, fields) {
+  const error = validateCampaignFields(fields, { partial: true });
+  if (error) throw new Error(error);
+  if (fields.profile_id !== undefined || fields.context !== undefined) {
+    const current = await getCampaign(id);
+    const changes = {
+      profileId: fields.profile_id !== undefined ? fields.profile_id : current.profile_id,
+      context: fields.context !== undefined ? fields.context || {} : current.context
+    };
+    const profile = current.status === 'running'
+      ? await checkContactContext(current, changes)
+      : await agentProfiles.resolveProfile(changes.profileId);
+    fields = { ...fields, profile_id: profile.id };
+  }
+
+  const column = (key) => (key === 'retry_on' ? JSON.stringify(fields[key])
+    : key === 'context' ? contextColumn(fields[key]) : fields[key]);
+  const updates = SETTINGS.filter(key => fields[key] !== undefined);
+  if (updates.length) {
+    await sqlite.run(database.getDb(), `
+      UPDATE campaigns SET ${updates.map(key => `${key} = ?`).join(', ')}, updated_at = ? WHERE id = ?
+    `, [...updates.map(column), new Date().toISOString(), id]);
+    events.emit('updated', Number(id));
+  }
+  return getCampaign(id);
+}
+
+async function setCampaignStatus(id, status) {
+  await sqlite.run(database.getDb(), `
+    UPDATE campaigns SET status = ?, updated_at = ?, completed_at = ? WHERE id = ?
+  `, [status, new Date().toISOString(), status === 'completed' ? new Date().toISOString() : null, id]);
+  console.log(`[Campaigns] Campaign ${id} is now ${status}`);
+  events.emit('updated', Number(id));
+  if (status === 'running') wake();
+  return getCampaign(id);
+}
+
+// Add contacts from CSV text. The header row needs a phone column (phone,
+// phone_number, number or mobile); name and timezone are optional and any
+// other columns are kept as the contact's fields. Numbers already in the
+// campaign are skipped, and so are rows missing a required prompt variable
+// while the campaign is running. Resolves to { added, duplicates, errors },
+// where errors lists rejected rows as { line, error }.
+async function addContacts(campaignId, csvText) {
+  const campaign = await getCampaign(campaignId);
+  const profile = campaign.status === 'running' ? await agentProfiles.resolveProfile(campaign.profile_id) : null;
+  const rows = parseCsv(csvText);
+  if (!rows.length) {
+    throw new Error('The CSV file is empty');
+  }
+
+  const header = rows[0].map(column => column.trim().toLowerCase().replace(/\s+/g, '_'));
+  const phoneIndex = header.findIndex(column => PHONE_COLUMNS.includes(column));
+  if (phoneIndex === -1) {
+    throw new Error(`The CSV header needs a phone column (${PHONE_COLUMNS.join(', ')})`);
+  }
+  if (rows.length - 1 > MAX_CONTACTS_PER_UPLOAD) {
+    throw new Error(`At most ${MAX_CONTACTS_PER_UPLOAD} contacts can be uploaded at once`);
+  }
+  const nameIndex = header.indexOf('name');
+  const timezoneIndex = header.indexOf('timezone');
+
+  const errors = [];
+  const contacts = [];
+  for (const row of rows.slice(1)) {
+    const value = (index) => (index === -1 ? '' : (row[index] || '').trim());
+    const phone = outbound.formatPhoneNumber(value(phoneIndex));
+    const digits = phone.replace(/\D/g, '').length;
+    if (digits < 10 || digits > 15) {
+      errors.push({ line: row.line, error: `Invalid phone number "${value(phoneIndex)}"` });
+      continue;
+    }
+    const timezone = value(timezoneIndex) || null;
+    if (timezone && !isValidTimezone(timezone)) {
+      errors.push({ line: row.line, error: `Unknown timezone "${timezone}"` });
+      continue;
+    }
+    const fields = {};
+    header.forEach((column, index) => {
+      if (column && ![phoneIndex, nameIndex, timezoneIndex].includes(index) && value(index)) {
+        fields[column] = value(index);
+      }
+    });
+    const contact = { phone, name: value(nameIndex) || null, timezone, fields };
+    const missing = profile
+      ? promptTemplate.renderPrompt(profile.system_prompt, contactContext(campaign.context, contact)).missing
+      : [];
+    if (missing.length) {
+      errors.push({ line: row.line, error: `No value for ${missing.join(', ')}` });
+      continue;
+    }
+    contacts.push(contact);
+  }
+
+  // Batched multi-row inserts; duplicates are ignored by UNIQUE(campaign_id, phone)
+  const now = new Date().toISOString();
+  let added = 0;
+  for (let i = 0; i < contacts.length; i += 100) {
+    const batch = contacts.slice(i, i + 100);
+    const { changes } = await sqlite.run(database.getDb(), `
+      INSERT OR IGNORE INTO campaign_contacts (campaign_id, phone, name, timezone, fields, next_attempt_at, updated_at)
+      VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ')}
+    `, batch.flatMap(contact => [campaignId, contact.phone, contact.name, contact.timezone,
+      Object.keys(contact.fields).length ? JSON.stringify(contact.fields) : null, now, now]));
+    added += changes;
+  }
+
+  console.log(`[Campaigns] Added ${added} contact(s) to campaign ${campaignId}`);
+  events.emit('updated', Number(campaignId));
+  return { added, duplicates: contacts.length - added, errors };
+}
+
+function toContact(row) {
+  return row ? { ...row, fields: row.fields ? JSON.parse(row.fields) : {} } : null;
+}
+
+// Contacts of a campaign in upload order, optionally of one status
+async function listContacts(campaignId, { status, limit = 50, offset = 0 } = {}) {
+  const where = ['campaign_id = ?'];
+  const params = [campaignId];
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  const { total } = await sqlite.get(database.getDb(),
+    `SELECT COUNT(*) AS total FROM campaign_contacts WHERE ${where.join(' AND ')}`, params);
+  const rows = await sqlite.all(database.getDb(), `
+    SELECT * FROM campaign_contacts WHERE ${where.join(' AND ')} ORDER BY id LIMIT ? OFFSET ?
+  `, [...params, limit, offset]);
+  return { contacts: rows.map(toContact), total };
+}
+
+// A contact with its dial attempts, oldest first
+async function getContact(campaignId, contactId) {
+  const contact = toContact(await sqlite.get(database.getDb(),
+    'SELECT * FROM campaign_contacts WHERE campaign_id = ? AND id = ?', [campaignId, contactId]));
+  if (!contact) return null;
+  contact.attempt_history = await sqlite.all(database.getDb(),
+    'SELECT * FROM campaign_attempts WHERE contact_id = ? ORDER BY attempt', [contactId]);
+  return contact;
+}
+
+// Minutes past midnight at `date` in `timeZone`
+function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+// Whether `date` falls in the campaign's calling hours in `timeZone`. A window
+// that ends before it starts (e.g. 20:00-02:00) runs past midnight.
+function withinCallingHours(campaign, timeZone, date = new Date()) {
+  const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+  const start = toMinutes(campaign.calling_hours_start);
+  const end = toMinutes(campaign.calling_hours_end);
+  const now = localMinutes(date, timeZone);
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+// Record the outcome of a contact's current attempt and decide what's next:
+// done, retry later, or give up
+async function finishAttempt(contact, campaign, result, error = null, now = new Date()) {
+  let status = 'failed';
+  let nextAttemptAt = contact.next_attempt_at;
+  if (result === 'completed') {
+    status = 'completed';
+  } else if (JSON.parse(campaign.retry_on).includes(result) && contact.attempts < campaign.max_attempts) {
+    status = 'pending';
+    nextAttemptAt = new Date(now.getTime() + campaign.retry_delay_minutes * 60 * 1000).toISOString();
+  }
+
+  await sqlite.run(database.getDb(), `
+    UPDATE campaign_attempts SET result = ?, error = ?, ended_at = ?
+    WHERE contact_id = ? AND attempt = ?
+  `, [result, error, now.toISOString(), contact.id, contact.attempts]);
+  await sqlite.run(database.getDb(), `
+    UPDATE campaign_contacts
+    SET status = ?, last_result = ?, last_error = ?, next_attempt_at = ?, updated_at = ?
+    WHERE id = ?
+  `, [status, result, error, nextAttemptAt, now.toISOString(), contact.id]);
+  console.log(`[Campaigns] Contact ${contact.id} attempt ${contact.attempts}: ${result} -> ${status}`);
+}
+
+// Claim a contact and place its call. The contact is marked 'dialing' before
+// the call is placed so a crash can't dial it twice.
+async function dialContact(campaign, contact, now = new Date()) {
+  const { changes } = await sqlite.run(database.getDb(), `
+    UPDATE campaign_contacts
+    SET status = 'dialing', attempts = attempts + 1, last_error = NULL, call_sid = NULL, call_id = NULL, updated_at = ?
+    WHERE id = ? AND status = 'pending'
+  `, [now.toISOString(), contact.id]);
+  if (!changes) return;
+
+  const attempt = contact.attempts + 1;
+  await sqlite.run(database.getDb(), `
+    INSERT INTO campaign_attempts (contact_id, attempt, started_at) VALUES (?, ?, ?)
+  `, [contact.id, attempt, now.toISOString()]);
+
+  try {
+    const profile = await agentProfiles.resolveProfile(campaign.profile_id);
+    const context = contactContext(campaign.context ? JSON.parse(campaign.context) : {}, contact);
+    const call = await outbound.placeCall(contact.phone, { profile, context });
+    await sqlite.run(database.getDb(), `
+      UPDATE campaign_contacts SET call_sid = ?, call_id = ? WHERE id = ?
+    `, [call.callSid, call.ultravoxCallId, contact.id]);
+    await sqlite.run(database.getDb(), `
+      UPDATE campaign_attempts SET call_sid = ?, call_id = ? WHERE contact_id = ? AND attempt = ?
+    `, [call.callSid, call.ultravoxCallId, contact.id, attempt]);
+  } catch (error) {
+    console.error(`[Campaigns] Could not dial contact ${contact.id}:`, error.message);
+    await finishAttempt({ ...contact, attempts: attempt }, campaign, 'error', error.message);
+  }
+}
+
+// Poll Twilio for the outcome of every call in progress, whatever the state
+// of its campaign (paused campaigns still finish their calls)
+async function checkDialingContacts(now = new Date()) {
+  const contacts = await sqlite.all(database.getDb(), `
+    SELECT campaign_contacts.*, campaign_attempts.started_at
+    FROM campaign_contacts
+    JOIN campaign_attempts ON campaign_attempts.contact_id = campaign_contacts.id
+      AND campaign_attempts.attempt = campaign_contacts.attempts
+    WHERE campaign_contacts.status = 'dialing'
+  `);
+  const changed = new Set();
+
+  for (const contact of contacts) {
+    const campaign = await sqlite.get(database.getDb(), 'SELECT * FROM campaigns WHERE id = ?', [contact.campaign_id]);
+    const timedOut = now - new Date(contact.started_at) > DIAL_TIMEOUT_MS;
+    try {
+      if (!contact.call_sid) {
+        // Ticks don't overlap, so this dial was interrupted (e.g. by a
+        // restart) between claiming the contact and placing the call
+        await finishAttempt(contact, campaign, 'error', 'The call was not placed', now);
+        changed.add(contact.campaign_id);
+        continue;
+      }
+      const status = await outbound.fetchCallStatus(contact.call_sid);
+      if (FINAL_CALL_STATUSES.includes(status)) {
+        await finishAttempt(contact, campaign, status === 'canceled' ? 'failed' : status, null, now);
+        changed.add(contact.campaign_id);
+      } else if (timedOut) {
+        await finishAttempt(contact, campaign, 'error', `No final status from Twilio (last: ${status})`, now);
+        changed.add(contact.campaign_id);
+      }
+    } catch (error) {
+      console.error(`[Campaigns] Could not check call ${contact.call_sid}:`, error.message);
+    }
+  }
+  return changed;
+}
+
+// Dial as many due contacts as the campaign's free slots allow, and complete
+// the campaign once nothing is left to dial
+async function runCampaign(campaign, now = new Date()) {
+  const counts = (await contactCounts([campaign.id]))[campaign.id] || {};
+  if (!counts.pending && !counts.dialing) {
+    await setCampaignStatus(campaign.id, 'completed');
+    return false;
+  }
+
+  const slots = campaign.concurrency - (counts.dialing || 0);
+  if (slots <= 0 || !counts.pending) return false;
+
+  // Only timezones currently inside the calling hours
+  const timezones = await sqlite.all(database.getDb(), `
+    SELECT DISTINCT COALESCE(timezone, ?) AS timezone FROM campaign_contacts
+    WHERE campaign_id = ? AND status = 'pending' AND next_attempt_at <= ?
+  `, [campaign.timezone, campaign.id, now.toISOString()]);
+  const open = timezones.map(row => row.timezone).filter(timeZone => withinCallingHours(campaign, timeZone, now));
+  if (!open.length) return false;
+
+  const due = await sqlite.all(database.getDb(), `
+    SELECT * FROM campaign_contacts
+    WHERE campaign_id = ? AND status = 'pending' AND next_attempt_at <= ?
+      AND COALESCE(timezone, ?) IN (${open.map(() => '?').join(', ')})
+    ORDER BY next_attempt_at, id
+    LIMIT ?
+  `, [campaign.id, now.toISOString(), campaign.timezone, ...open, slots]);
+
+  for (const contact of due) {
+    await dialContact(campaign, contact, now);
+  }
+  return due.length > 0;
+}
+
+async function tick(now = new Date()) {
+  const changed = await checkDialingContacts(now);
+
+  const running = await sqlite.all(database.getDb(), "SELECT * FROM campaigns WHERE status = 'running'");
+  if (running.length && outbound.missingConfig()) {
+    console.warn(`[Campaigns] Not dialing: ${outbound.missingConfig()}`);
+  } else {
+    for (const campaign of running) {
+      if (await runCampaign(campaign, now)) {
+        changed.add(campaign.id);
+      }
+    }
+  }
+
+  for (const campaignId of changed) {
+    events.emit('updated', campaignId);
+  }
+}
+
+let timer = null;
+let ticking = false;
+let started = false;
+let interval = TICK_INTERVAL_MS;
+
+async function runTick() {
+  if (ticking) return;
+  ticking = true;
+  clearTimeout(timer);
+  try {
+    await tick();
+  } catch (error) {
+    console.error('[Campaigns] Scheduler error:', error);
+  } finally {
+    ticking = false;
+    if (started) {
+      timer = setTimeout(runTick, interval);
+    }
+  }
+}
+
+// Run a tick now rather than waiting for the next one
+function wake() {
+  if (started && !ticking) {
+    setImmediate(runTick);
+  }
+}
+
+function startScheduler(options = {}) {
+  if (started) return;
+  started = true;
+  interval = options.interval || TICK_INTERVAL_MS;
+  console.log('[Campaigns] Scheduler started');
+  runTick();
+}
+
+function stopScheduler() {
+  started = false;
+  clearTimeout(timer);
+}
+
+module.exports = {
+  events,
+  CAMPAIGN_STATUSES,
+  CONTACT_STATUSES,
+  RETRYABLE_RESULTS,
+  validateCampaignFields,
+  checkContactContext,
+  isValidTimezone,
+  withinCallingHours,
+  getCampaign,
+  listCampaigns,
+  createCampaign,
+  updateCampaign,
+  setCampaignStatus,
+  addContacts,
+  listContacts,
+  getContact,
+  tick,
+  wake,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,61 @@
+// Minimal RFC 4180 CSV parsing: quoted fields, doubled quotes, CRLF or LF
+// line endings. Returns an array of rows, each an array of strings, with the
+// 1-based line number each row started on as `row.line`.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    // Skip blank lines
+    if (row.length > 1 || row[0].trim() !== '') {
+      row.line = rowLine;
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || row.length) {
+    endRow();
+  }
+  return rows;
+}
+
+module.exports = { parseCsv };
@@ -0,0 +1,496 @@
+const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
+const path = require('path');
+const sqlite = require('./sqlite.cjs');
+const { migrate } = require('./migrate.cjs');
+const { assessmentColumns } = require('./assessment.cjs');
+const redaction = require('./redaction.cjs');
+
+// Use Render's persistent volume if available, otherwise use local path
+const dataDir = process.env.RENDER_VOLUME_PATH || path.join(__dirname, '..', 'data');
+const dbPath = path.join(dataDir, 'calls.db');
+
+let db = null;
+
+// Open the database and bring its schema up to date. The schema itself lives
+// in server/migrations; this module owns the connection and every query.
+function init() {
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    console.log('Created data directory:', dataDir);
+  }
+
+  return new Promise((resolve, reject) => {
+    console.log('Initializing database at:', dbPath);
+    const database = new sqlite3.Database(dbPath, sqlite3.OPEN_CREATE | sqlite3.OPEN_READWRITE, async (err) => {
+      if (err) {
+        console.error('Error connecting to database:', err);
+        reject(err);
+        return;
+      }
+      console.log('Connected to SQLite database');
+
+      try {
+        await sqlite.run(database, 'PRAGMA foreign_keys = ON');
+
+        // Apply any pending schema migrations (never drops existing data)
+        const applied = await migrate(database);
+        console.log(`Database schema ready (${applied.length} migration(s) applied)`);
+        db = database;
+        resolve(database);
+      } catch (error) {
+        console.error('Error during database initialization:', error);
+        reject(error);
+      }
+    });
+  });
+}
+
+function getDb() {
+  if (!db) {
+    throw new Error('Database not initialized');
+  }
+  return db;
+}
+
+// Caller phone numbers are masked in everything the API returns while the
+// phone redaction rule is active
+function apiCaller(name, phone) {
+  return {
+    name,
+    phone: redaction.phoneMaskingEnabled() ? redaction.maskPhone(phone) : phone
+  };
+}
+
+// Map a calls row to the shape the API and socket clients expect
+function toApiCall(row) {
+  return {
+    id: row.id,
+    timestamp: row.timestamp,
+    transcript: row.transcript,
+    caller: apiCaller(row.caller_name, row.caller_phone),
+    sentiment: row.sentiment?.toLowerCase() || 'neutral',
+    summary: row.summary,
+    recording_url: row.recording_url,
+    agent_assessment: row.agent_assessment,
+    assessment: row.assessment_json ? JSON.parse(row.assessment_json) : null,
+    churn_risk: row.churn_risk,
+    escalation: row.escalation,
+    processing_status: row.processing_status,
+    processing_error: row.processing_error,
+    call_status: row.call_status,
+    ended_at: row.ended_at,
+    redactions: row.redactions ? JSON.parse(row.redactions) : null,
+    has_original: Boolean(row.transcript_original)
+  };
+}
+
+// Lightweight list shape (no transcript or full assessment)
+function toApiCallSummary(row) {
+  return {
+    id: row.id,
+    timestamp: row.timestamp,
+    caller: apiCaller(row.caller_name, row.caller_phone),
+    sentiment: row.sentiment?.toLowerCase() || 'neutral',
+    summary: row.summary,
+    churn_risk: row.churn_risk,
+    escalation: row.escalation,
+    processing_status: row.processing_status,
+    processing_error: row.processing_error,
+    call_status: row.call_status,
+    ended_at: row.ended_at
+  };
+}
+
+const SUMMARY_COLUMNS = 'id, timestamp, caller_name, caller_phone, sentiment, summary, churn_risk, escalation, processing_status, processing_error, call_status, ended_at';
+
+// Cursors are opaque base64url tokens for the last row's (timestamp, id)
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.timestamp, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof timestamp === 'string' && typeof id === 'string') {
+      return { timestamp, id };
+    }
+  } catch {
+    // fall through
+  }
+  throw new Error('Invalid cursor');
+}
+
+// Page through calls newest first. Filters are all optional:
+// sentiment, from/to (ISO timestamps, inclusive), phone (substring),
+// phoneEnding (the number's last digits), churnRisk (High/Medium/Low),
+// escalation (Yes/No).
+async function listCalls({ cursor, limit = 25, sentiment, from, to, phone, phoneEnding, churnRisk, escalation } = {}) {
+  const where = [];
+  const params = [];
+
+  if (sentiment) {
+    where.push('LOWER(sentiment) = ?');
+    params.push(sentiment.toLowerCase());
+  }
+  if (from) {
+    where.push('timestamp >= ?');
+    params.push(from);
+  }
+  if (to) {
+    where.push('timestamp <= ?');
+    params.push(to);
+  }
+  if (phone) {
+    where.push('caller_phone LIKE ?');
+    params.push(`%${phone}%`);
+  }
+  if (phoneEnding) {
+    where.push('caller_phone LIKE ?');
+    params.push(`%${phoneEnding}`);
+  }
+  if (churnRisk) {
+    where.push('churn_risk = ?');
+    params.push(churnRisk);
+  }
+  if (escalation) {
+    where.push('escalation = ?');
+    params.push(escalation);
+  }
+
+  const filterSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const { total } = await sqlite.get(getDb(), `SELECT COUNT(*) AS total FROM calls ${filterSql}`, params);
+
+  const pageWhere = [...where];
+  const pageParams = [...params];
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    pageWhere.push('(timestamp < ? OR (timestamp = ? AND id < ?))');
+    pageParams.push(after.timestamp, after.timestamp, after.id);
+  }
+
+  // Fetch one extra row to know whether another page exists
+  const rows = await sqlite.all(getDb(), `
+    SELECT ${SUMMARY_COLUMNS}
+    FROM calls
+    ${pageWhere.length ? `WHERE ${pageWhere.join(' AND ')}` : ''}
+    ORDER BY timestamp DESC, id DESC
+    LIMIT ?
+  `, [...pageParams, limit + 1]);
+
+  const page = rows.slice(0, limit);
+  return {
+    calls: page.map(toApiCallSummary),
+    nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null,
+    total
+  };
+}
+
+// Snippet highlight markers; control characters never appear in transcripts
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+
+// Turn free user input into a safe FTS5 query. Each word or "quoted phrase"
+// becomes a quoted prefix term, so punctuation can't break the MATCH syntax.
+function buildSearchQuery(input) {
+  const terms = [];
+  const pattern = /"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(input || '')) !== null) {
+    const term = (match[1] || match[2]).replace(/[^\p{L}\p{N}\s'-]/gu, ' ').trim();
+    if (term) terms.push(term);
+  }
+  return {
+    terms,
+    match: terms.map(term => `"${term.replace(/"/g, '""')}"*`).join(' ')
+  };
+}
+
+// Split a marked-up FTS snippet into [{ text, match }] segments
+function snippetSegments(snippet) {
+  return (snippet || '')
+    .split(new RegExp(`(${MATCH_START}[^${MATCH_END}]*${MATCH_END})`))
+    .filter(Boolean)
+    .map(part => part.startsWith(MATCH_START)
+      ? { text: part.slice(1, -1), match: true }
+      : { text: part, match: false });
+}
+
+// Ranked full-text search over transcript, summary and assessment
+async function searchCalls(input, { limit = 25 } = {}) {
+  const { terms, match } = buildSearchQuery(input);
+  if (!terms.length) {
+    return { terms, results: [] };
+  }
+
+  const rows = await sqlite.all(getDb(), `
+    SELECT ${SUMMARY_COLUMNS.split(', ').map(column => `c.${column}`).join(', ')},
+      snippet(calls_fts, -1, ?, ?, '…', 16) AS snippet
+    FROM calls_fts
+    JOIN calls c ON c.id = calls_fts.id
+    WHERE calls_fts MATCH ?
+    ORDER BY bm25(calls_fts)
+    LIMIT ?
+  `, [MATCH_START, MATCH_END, match, limit]);
+
+  return {
+    terms,
+    results: rows.map(row => ({
+      ...toApiCallSummary(row),
+      snippet: snippetSegments(row.snippet)
+    }))
+  };
+}
+
+// Transcript messages for a call in conversation order
+async function getCallMessages(callId) {
+  return sqlite.all(getDb(), `
+    SELECT ordinal, speaker, text, start_ms, end_ms
+    FROM call_messages
+    WHERE call_id = ?
+    ORDER BY ordinal
+  `, [callId]);
+}
+
+// Totals of a call's LLM requests (null when none were recorded)
+function summarizeLlmUsage(records) {
+  if (!records?.length) return null;
+  const sum = (key) => records.reduce((total, record) => total + (record[key] || 0), 0);
+  return {
+    requests: records.length,
+    models: [...new Set(records.map(record => record.model).filter(Boolean))],
+    prompt_tokens: sum('prompt_tokens'),
+    completion_tokens: sum('completion_tokens'),
+    total_tokens: sum('total_tokens'),
+    cost_usd: Math.round(sum('cost_usd') * 1e8) / 1e8
+  };
+}
+
+async function getLlmUsage(callId) {
+  return sqlite.all(getDb(), `
+    SELECT task, provider, model, prompt_tokens, completion_tokens, total_tokens, cost_usd, created_at
+    FROM llm_usage
+    WHERE call_id = ?
+    ORDER BY id
+  `, [callId]);
+}
+
+async function saveLlmUsage(callId, records) {
+  for (const record of records || []) {
+    await sqlite.run(getDb(), `
+      INSERT INTO llm_usage (call_id, task, provider, model, prompt_tokens, completion_tokens, total_tokens, cost_usd)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [callId, record.task, record.provider, record.model, record.prompt_tokens,
+      record.completion_tokens, record.total_tokens, record.cost_usd]);
+  }
+}
+
+// Get a single call by ID with its messages and LLM usage (null when missing)
+async function getCallById(id) {
+  const row = await sqlite.get(getDb(), 'SELECT * FROM calls WHERE id = ?', [id]);
+  if (!row) return null;
+  return {
+    ...toApiCall(row),
+    messages: await getCallMessages(id),
+    llm_usage: summarizeLlmUsage(await getLlmUsage(id))
+  };
+}
+
+// Encrypted unredacted text of a call and its messages (null when missing)
+async function getCallOriginal(id) {
+  const row = await sqlite.get(getDb(), 'SELECT id, caller_phone, transcript_original FROM calls WHERE id = ?', [id]);
+  if (!row) return null;
+  const messages = await sqlite.all(getDb(), `
+    SELECT ordinal, text_original FROM call_messages
+    WHERE call_id = ? AND text_original IS NOT NULL
+    ORDER BY ordinal
+  `, [id]);
+  return { ...row, messages };
+}
+
+// Calls stored before redaction was introduced, oldest first
+async function listUnredactedCalls(limit = 100, offset = 0) {
+  return sqlite.all(getDb(), `
+    SELECT id, transcript, summary FROM calls
+    WHERE redactions IS NULL AND processing_status = 'done'
+    ORDER BY timestamp, id
+    LIMIT ? OFFSET ?
+  `, [limit, offset]);
+}
+
+// Replace a stored call's transcript, summary and message texts with their
+// redacted versions
+async function saveRedaction(id, { transcript, transcriptOriginal, summary, redactions, messages }) {
+  await sqlite.run(getDb(), `
+    UPDATE calls SET transcript = ?, transcript_original = ?, summary = ?, redactions = ? WHERE id = ?
+  `, [transcript, transcriptOriginal, summary, JSON.stringify(redactions), id]);
+  for (const message of messages) {
+    await sqlite.run(getDb(), `
+      UPDATE call_messages SET text = ?, text_original = ? WHERE call_id = ? AND ordinal = ?
+    `, [message.text, message.text_original, id, message.ordinal]);
+  }
+}
+
+// List shape of a single call (null when missing)
+async function getCallSummary(id) {
+  const row = await sqlite.get(getDb(), `SELECT ${SUMMARY_COLUMNS} FROM calls WHERE id = ?`, [id]);
+  return row ? toApiCallSummary(row) : null;
+}
+
+// Replace a call's transcript messages (single statement, so all or nothing).
+// `text_original` is the encrypted unredacted text, if kept.
+async function saveCallMessages(callId, messages) {
+  await sqlite.run(getDb(), 'DELETE FROM call_messages WHERE call_id = ?', [callId]);
+  if (!messages?.length) return;
+
+  const placeholders = messages.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ');
+  const params = messages.flatMap(msg => [callId, msg.ordinal, msg.speaker, msg.text, msg.text_original || null,
+    msg.start_ms, msg.end_ms]);
+  await sqlite.run(getDb(), `
+    INSERT INTO call_messages (call_id, ordinal, speaker, text, text_original, start_ms, end_ms)
+    VALUES ${placeholders}
+  `, params);
+}
+
+// Save a new call given in API shape, including its messages when present,
+// and the usage records of the LLM requests made to analyze it.
+// `assessment` is the structured assessment object; the filter columns are
+// derived from it and returned on the saved call. `processing_status`
+// defaults to 'done'; webhook calls are saved as 'pending' and enriched later.
+// `call_status` defaults to 'ended'; 'in_progress' calls have no `ended_at`.
+async function saveCall(call, llmUsage = []) {
+  const { id, timestamp, transcript, caller, sentiment, summary, recording_url } = call;
+  const agent_assessment = call.agent_assessment || null;
+  const assessment = call.assessment || null;
+  const processing_status = call.processing_status || 'done';
+  const call_status = call.call_status || 'ended';
+  const ended_at = call_status === 'ended' ? call.ended_at || timestamp : null;
+  const { churn_risk, escalation } = assessmentColumns(assessment);
+  await sqlite.run(getDb(), `
+    INSERT INTO calls (id, timestamp, transcript, caller_name, caller_phone, sentiment, summary, agent_assessment, assessment_json, recording_url, churn_risk, escalation, processing_status, call_status, ended_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [id, timestamp, transcript, caller.name, caller.phone, sentiment, summary, agent_assessment,
+    assessment ? JSON.stringify(assessment) : null, recording_url, churn_risk, escalation, processing_status,
+    call_status, ended_at]);
+  await saveCallMessages(id, call.messages);
+  await saveLlmUsage(id, llmUsage);
+  console.log(`Successfully saved call with ID: ${id}`);
+  return {
+    ...call,
+    caller: apiCaller(caller.name, caller.phone),
+    agent_assessment,
+    assessment,
+    messages: call.messages || [],
+    llm_usage: summarizeLlmUsage(llmUsage),
+    churn_risk,
+    escalation,
+    processing_status,
+    processing_error: null,
+    call_status,
+    ended_at
+  };
+}
+
+// Mark an in-progress call as ended and waiting for enrichment. `summary`
+// replaces the placeholder summary when given.
+async function markCallEnded(id, { endedAt, summary } = {}) {
+  await sqlite.run(getDb(), `
+    UPDATE calls
+    SET call_status = 'ended', ended_at = ?, summary = COALESCE(?, summary),
+      processing_status = 'pending', processing_error = NULL
+    WHERE id = ?
+  `, [endedAt || new Date().toISOString(), summary || null, id]);
+}
+
+// Store the result of enriching a saved call: its (redacted) transcript
+// messages and analysis, plus the LLM usage. Marks the call as 'done'. A
+// legacy free-text assessment is replaced by the structured one.
+// `messages`, `transcriptOriginal` (encrypted) and `redactions` are left
+// unchanged when not given.
+async function saveCallAnalysis(id, { transcript, transcriptOriginal, redactions, messages, customerName, sentiment, summary, assessment }, llmUsage = []) {
+  const { churn_risk, escalation } = assessmentColumns(assessment);
+  await sqlite.run(getDb(), `
+    UPDATE calls
+    SET transcript = ?, caller_name = ?, sentiment = ?, summary = ?, agent_assessment = NULL, assessment_json = ?,
+      churn_risk = ?, escalation = ?, processing_status = 'done', processing_error = NULL,
+      transcript_original = CASE WHEN ? THEN ? ELSE transcript_original END,
+      redactions = COALESCE(?, redactions)
+    WHERE id = ?
+  `, [transcript, customerName, sentiment, summary, assessment ? JSON.stringify(assessment) : null,
+    churn_risk, escalation, transcriptOriginal !== undefined, transcriptOriginal ?? null,
+    redactions ? JSON.stringify(redactions) : null, id]);
+  if (messages !== undefined) {
+    await saveCallMessages(id, messages);
+  }
+  await saveLlmUsage(id, llmUsage);
+  console.log(`Saved analysis for call ${id}`);
+}
+
+// Copy a call's current analysis into call_analyses as its next version
+async function archiveCallAnalysis(id) {
+  await sqlite.run(getDb(), `
+    INSERT INTO call_analyses (call_id, version, caller_name, sentiment, summary, agent_assessment, assessment_json, churn_risk, escalation)
+    SELECT id,
+      (SELECT COALESCE(MAX(version), 0) + 1 FROM call_analyses WHERE call_id = calls.id),
+      caller_name, sentiment, summary, agent_assessment, assessment_json, churn_risk, escalation
+    FROM calls
+    WHERE id = ?
+  `, [id]);
+}
+
+// Prior analyses of a call, newest first
+async function getCallAnalyses(callId) {
+  const rows = await sqlite.all(getDb(), `
+    SELECT * FROM call_analyses WHERE call_id = ? ORDER BY version DESC
+  `, [callId]);
+  return rows.map(row => ({
+    version: row.version,
+    archived_at: row.archived_at,
+    caller_name: row.caller_name,
+    sentiment: row.sentiment?.toLowerCase() || 'neutral',
+    summary: row.summary,
+    agent_assessment: row.agent_assessment,
+    assessment: row.assessment_json ? JSON.parse(row.assessment_json) : null,
+    churn_risk: row.churn_risk,
+    escalation: row.escalation
+  }));
+}
+
+// pending -> enriching -> done, or failed once retries are exhausted
+const PROCESSING_STATUSES = ['pending', 'enriching', 'done', 'failed'];
+
+async function setProcessingStatus(id, status, error = null) {
+  if (!PROCESSING_STATUSES.includes(status)) {
+    throw new Error(`Invalid processing status "${status}"`);
+  }
+  await sqlite.run(getDb(), `
+    UPDATE calls SET processing_status = ?, processing_error = ? WHERE id = ?
+  `, [status, error, id]);
+}
+
+module.exports = {
+  dataDir,
+  dbPath,
+  init,
+  getDb,
+  toApiCall,
+  toApiCallSummary,
+  decodeCursor,
+  listCalls,
+  searchCalls,
+  getCallMessages,
+  getLlmUsage,
+  saveLlmUsage,
+  getCallById,
+  getCallSummary,
+  getCallOriginal,
+  listUnredactedCalls,
+  saveRedaction,
+  saveCallMessages,
+  saveCall,
+  saveCallAnalysis,
+  archiveCallAnalysis,
+  getCallAnalyses,
+  markCallEnded,
+  setProcessingStatus
+};
@@ -0,0 +1,86 @@
+const database = require('./db.cjs');
+const { fetchCallMessages } = require('./ultravox.cjs');
+const { transcriptText } = require('./transcript.cjs');
+const { analyzeCall } = require('./analysis.cjs');
+const redaction = require('./redaction.cjs');
+
+// Slow path of a 'call.ended' webhook, run by the job queue: fetch the
+// transcript from Ultravox, analyze it and store the result on the call saved
+// by the webhook. Errors propagate so the queue retries the job.
+// `onStatus(callId)` is called after each processing status change.
+async function enrichCall(callId, { onStatus = async () => {} } = {}) {
+  const call = await database.getCallById(callId);
+  if (!call) {
+    throw new Error(`Call ${callId} not found`);
+  }
+
+  await database.setProcessingStatus(callId, 'enriching');
+  await onStatus(callId);
+
+  // PII is redacted before the transcript is analyzed or stored
+  const fetched = await fetchCallMessages(callId);
+  const { messages, counts } = redaction.redactMessages(fetched);
+  const transcript = transcriptText(messages) || 'No transcript available';
+  const redacted = Object.keys(counts).length > 0;
+
+  // Name, sentiment, summary and assessment in a single LLM request
+  let analysis = {
+    customerName: call.caller.name,
+    sentiment: call.sentiment,
+    summary: call.summary,
+    assessment: null,
+    usage: []
+  };
+  if (messages.length) {
+    const result = await analyzeCall(transcript);
+    analysis = { ...result, summary: result.summary || call.summary };
+  }
+
+  await database.saveCallAnalysis(callId, {
+    transcript,
+    transcriptOriginal: redacted ? redaction.encrypt(transcriptText(fetched)) : null,
+    redactions: counts,
+    messages,
+    ...analysis
+  }, analysis.usage);
+  await onStatus(callId);
+}
+
+// Transcripts that were stored without any messages to analyze
+const UNANALYZABLE_TRANSCRIPTS = ['', 'No transcript available', 'Error fetching transcript'];
+
+function canReanalyze(call) {
+  return !UNANALYZABLE_TRANSCRIPTS.includes(call.transcript || '');
+}
+
+// Run the analysis again on a stored transcript, after archiving the current
+// analysis as a prior version. The stored transcript is already redacted and
+// its messages are kept as they are. On error the call
+// keeps its current analysis and goes back to 'done' with the error noted.
+async function reanalyzeCall(callId, { onStatus = async () => {} } = {}) {
+  const call = await database.getCallById(callId);
+  if (!call) {
+    throw new Error(`Call ${callId} not found`);
+  }
+
+  await database.setProcessingStatus(callId, 'enriching');
+  await onStatus(callId);
+
+  try {
+    // Calls stored before redaction existed may still contain PII
+    const analysis = await analyzeCall(redaction.redactText(call.transcript).text);
+    await database.archiveCallAnalysis(callId);
+    await database.saveCallAnalysis(callId, {
+      transcript: call.transcript,
+      ...analysis,
+      summary: analysis.summary || call.summary
+    }, analysis.usage);
+  } catch (error) {
+    await database.setProcessingStatus(callId, 'done', `Re-analysis failed: ${error.message}`);
+    throw error;
+  } finally {
+    await onStatus(callId);
+  }
+}
+
+module.exports = { enrichCall, canReanalyze, reanalyzeCall };
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const { ANALYSIS_PROMPT } = require('../assessment.cjs');
+const { estimateCost } = require('./pricing.cjs');
+
+// Providers implement complete({ task, model, temperature, maxTokens,
+// messages, json }) and resolve to { content, model, usage } where usage
+// has OpenAI-style prompt_tokens / completion_tokens / total_tokens.
+const PROVIDERS = {
+  openai: require('./openai.cjs'),
+  mock: require('./mock.cjs')
+};
+
+// Default settings for each task. Any field can be overridden per task from
+// the JSON file named by LLM_CONFIG_FILE, e.g.
+//   { "provider": "openai", "tasks": { "analysis": { "model": "gpt-4o-mini", "temperature": 0.2 } } }
+// LLM_PROVIDER sets the default provider for every task.
+const DEFAULT_TASKS = {
+  analysis: {
+    model: 'gpt-3.5-turbo',
+    temperature: 0.3,
+    maxTokens: 1200,
+    json: true,
+    prompt: ANALYSIS_PROMPT
+  }
+};
+
+function loadConfigFile(file) {
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read LLM config file ${file}: ${error.message}`);
+  }
+}
+
+// Resolve the effective settings of every task, plus any pricing overrides
+function loadConfig(env = process.env) {
+  const file = loadConfigFile(env.LLM_CONFIG_FILE);
+  const defaultProvider = env.LLM_PROVIDER || file.provider || 'openai';
+
+  const tasks = {};
+  for (const [task, defaults] of Object.entries(DEFAULT_TASKS)) {
+    const config = { provider: defaultProvider, ...defaults, ...(file.tasks?.[task] || {}) };
+    if (!PROVIDERS[config.provider]) {
+      throw new Error(`Unknown LLM provider "${config.provider}" for task "${task}"`);
+    }
+    tasks[task] = config;
+  }
+  return { tasks, pricing: file.pricing || {} };
+}
+
+let config = null;
+
+function getConfig() {
+  if (!config) {
+    config = loadConfig();
+  }
+  return config;
+}
+
+function getTaskConfig(task) {
+  const taskConfig = getConfig().tasks[task];
+  if (!taskConfig) {
+    throw new Error(`Unknown LLM task "${task}"`);
+  }
+  return taskConfig;
+}
+
+// Run a task: the task's prompt becomes the system message, followed by
+// `messages` (a string is sent as a single user message)
+async function complete(task, messages) {
+  const taskConfig = getTaskConfig(task);
+  const conversation = [
+    { role: 'system', content: taskConfig.prompt },
+    ...(typeof messages === 'string' ? [{ role: 'user', content: messages }] : messages)
+  ];
+
+  const result = await PROVIDERS[taskConfig.provider].complete({
+    task,
+    model: taskConfig.model,
+    temperature: taskConfig.temperature,
+    maxTokens: taskConfig.maxTokens,
+    json: Boolean(taskConfig.json),
+    messages: conversation
+  });
+
+  const costUsd = taskConfig.provider === 'mock'
+    ? 0
+    : estimateCost(result.model, result.usage, getConfig().pricing);
+
+  return { ...result, provider: taskConfig.provider, cost_usd: costUsd };
+}
+
+module.exports = { DEFAULT_TASKS, PROVIDERS, loadConfig, getTaskConfig, complete };
@@ -0,0 +1,32 @@
+const OpenAI = require('openai');
+
+// Created on first use so the server can start (e.g. with the mock
+// provider) without an OpenAI key
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY
+    });
+  }
+  return client;
+}
+
+async function complete({ model, temperature, maxTokens, messages, json }) {
+  const completion = await getClient().chat.completions.create({
+    model,
+    messages,
+    temperature,
+    max_tokens: maxTokens,
+    ...(json && { response_format: { type: 'json_object' } })
+  });
+
+  return {
+    content: completion.choices[0].message.content,
+    model: completion.model || model,
+    usage: completion.usage || null
+  };
+}
+
+module.exports = { name: 'openai', complete };
@@ -0,0 +1,28 @@
+// USD per million tokens. Dated model names (e.g. gpt-3.5-turbo-0125) use
+// the longest matching prefix. Overridable via the "pricing" key of
+// LLM_CONFIG_FILE.
+const MODEL_PRICING = {
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 }
+};
+
+function findPrice(model, pricing) {
+  const prefix = Object.keys(pricing)
+    .filter(name => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? pricing[prefix] : null;
+}
+
+// Cost of one request in USD; null when the model has no known price
+function estimateCost(model, usage, overrides = {}) {
+  if (!usage || !model) return null;
+  const price = findPrice(model, { ...MODEL_PRICING, ...overrides });
+  if (!price) return null;
+  const cost = ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1e6;
+  return Math.round(cost * 1e8) / 1e8;
+}
+
+module.exports = { MODEL_PRICING, estimateCost };
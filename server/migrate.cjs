@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite = require('./sqlite.cjs');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Load migration files (NNN_name.cjs) sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .map(file => {
+      const match = file.match(/^(\d+)_(.+)\.cjs$/);
+      if (!match) return null;
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file: path.join(dir, file)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version)
+    .map((migration, index, list) => {
+      if (index > 0 && list[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
+      return migration;
+    });
+}
+
+async function ensureVersionTable(db) {
+  await sqlite.run(db, `
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// List every known migration with whether (and when) it has been applied
+async function getStatus(db, dir = MIGRATIONS_DIR) {
+  await ensureVersionTable(db);
+  const applied = await sqlite.all(db, 'SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+  return loadMigrations(dir).map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedAt.has(migration.version),
+    appliedAt: appliedAt.get(migration.version) || null
+  }));
+}
+
+// Apply pending migrations in order, each in its own transaction.
+// Stops at `target` (inclusive) when given.
+async function migrate(db, { target, dir = MIGRATIONS_DIR } = {}) {
+  const status = await getStatus(db, dir);
+  const migrations = loadMigrations(dir);
+  const pending = migrations.filter(migration =>
+    !status.find(s => s.version === migration.version).applied &&
+    (target === undefined || migration.version <= target)
+  );
+
+  for (const migration of pending) {
+    console.log(`[Migrate] Applying ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+    const { up } = require(migration.file);
+
+    await sqlite.run(db, 'BEGIN');
+    try {
+      await up(db, sqlite);
+      await sqlite.run(db,
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      await sqlite.run(db, 'COMMIT');
+    } catch (error) {
+      console.error(`[Migrate] Failed on ${migration.version}_${migration.name}:`, error);
+      await sqlite.run(db, 'ROLLBACK');
+      throw error;
+    }
+  }
+
+  if (pending.length === 0) {
+    console.log('[Migrate] Schema is up to date');
+  }
+  return pending.map(migration => migration.version);
+}
+
+module.exports = { loadMigrations, getStatus, migrate };
+
+// CLI: node server/migrate.cjs [status|up] [--to <version>] [--db <path>]
+if (require.main === module) {
+  require('dotenv').config();
+  const sqlite3 = require('sqlite3').verbose();
+
+  const args = process.argv.slice(2);
+  const command = args[0] || 'status';
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  const dbPath = option('--db') || require('./db.cjs').dbPath;
+  const target = option('--to') !== undefined ? parseInt(option('--to'), 10) : undefined;
+
+  if (!['status', 'up'].includes(command)) {
+    console.error(`Unknown command: ${command}. Use "status" or "up".`);
+    process.exit(1);
+  }
+
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new sqlite3.Database(dbPath);
+
+  const main = async () => {
+    console.log('Using database path:', dbPath);
+    if (command === 'up') {
+      const applied = await migrate(db, { target });
+      console.log(`Applied ${applied.length} migration(s)`);
+    }
+    const status = await getStatus(db);
+    status.forEach(migration => {
+      const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+      console.log(`  ${String(migration.version).padStart(3, '0')}_${migration.name}: ${state}`);
+    });
+  };
+
+  main()
+    .catch((error) => {
+      console.error('Migration failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.close());
+}
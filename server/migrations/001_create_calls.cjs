@@ -0,0 +1,20 @@
+// Initial calls table. Uses IF NOT EXISTS so databases created by the old
+// DROP/CREATE boot code are adopted as-is instead of being recreated.
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      CREATE TABLE IF NOT EXISTS calls (
+        id TEXT PRIMARY KEY,
+        timestamp TEXT NOT NULL,
+        transcript TEXT NOT NULL,
+        caller_name TEXT NOT NULL,
+        caller_phone TEXT NOT NULL,
+        sentiment TEXT NOT NULL,
+        summary TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_calls_timestamp ON calls(timestamp DESC);
+    `);
+  }
+};
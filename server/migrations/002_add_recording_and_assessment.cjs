@@ -0,0 +1,12 @@
+// Older schemas (db.js, early server.cjs) were missing one or both of these
+module.exports = {
+  async up(db, { run, columnNames }) {
+    const columns = await columnNames(db, 'calls');
+    if (!columns.includes('agent_assessment')) {
+      await run(db, 'ALTER TABLE calls ADD COLUMN agent_assessment TEXT');
+    }
+    if (!columns.includes('recording_url')) {
+      await run(db, 'ALTER TABLE calls ADD COLUMN recording_url TEXT');
+    }
+  }
+};
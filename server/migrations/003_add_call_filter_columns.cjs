@@ -0,0 +1,38 @@
+// Filterable columns for GET /calls. The values are parsed out of the
+// free-text agent_assessment; the parsing is inlined so this migration keeps
+// behaving the same if the application's parser changes later.
+function parseLevel(text, category) {
+  const match = text.match(new RegExp(`${category}:\\s*\\[?(\\w+)`, 'i'));
+  const level = match?.[1].toLowerCase() || '';
+  if (level.startsWith('high')) return 'High';
+  if (level.startsWith('medium') || level.startsWith('moderate')) return 'Medium';
+  if (level.startsWith('low')) return 'Low';
+  return null;
+}
+
+function parseEscalation(text) {
+  const answers = ['Escalation Needed', 'Escalation Recommended']
+    .map(category => text.match(new RegExp(`${category}:\\s*\\[?(\\w+)`, 'i'))?.[1].toLowerCase())
+    .filter(Boolean);
+  if (answers.includes('yes')) return 'Yes';
+  if (answers.includes('no')) return 'No';
+  return null;
+}
+
+module.exports = {
+  async up(db, { run, all }) {
+    await run(db, 'ALTER TABLE calls ADD COLUMN churn_risk TEXT');
+    await run(db, 'ALTER TABLE calls ADD COLUMN escalation TEXT');
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_calls_timestamp_id ON calls(timestamp DESC, id DESC)');
+    await run(db, 'CREATE INDEX IF NOT EXISTS idx_calls_sentiment ON calls(sentiment)');
+
+    const rows = await all(db, 'SELECT id, agent_assessment FROM calls WHERE agent_assessment IS NOT NULL');
+    for (const row of rows) {
+      await run(db, 'UPDATE calls SET churn_risk = ?, escalation = ? WHERE id = ?', [
+        parseLevel(row.agent_assessment, 'Churn Risk'),
+        parseEscalation(row.agent_assessment),
+        row.id
+      ]);
+    }
+  }
+};
@@ -0,0 +1,34 @@
+// Full-text index for GET /calls/search. The FTS table keeps its own copy of
+// the text keyed by call id (rather than external content keyed by rowid) so
+// a VACUUM renumbering calls' implicit rowids cannot desync it.
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      CREATE VIRTUAL TABLE calls_fts USING fts5(
+        id UNINDEXED,
+        transcript,
+        summary,
+        agent_assessment,
+        tokenize = 'porter unicode61'
+      );
+
+      CREATE TRIGGER calls_fts_insert AFTER INSERT ON calls BEGIN
+        INSERT INTO calls_fts (id, transcript, summary, agent_assessment)
+        VALUES (new.id, new.transcript, new.summary, new.agent_assessment);
+      END;
+
+      CREATE TRIGGER calls_fts_delete AFTER DELETE ON calls BEGIN
+        DELETE FROM calls_fts WHERE id = old.id;
+      END;
+
+      CREATE TRIGGER calls_fts_update AFTER UPDATE OF id, transcript, summary, agent_assessment ON calls BEGIN
+        DELETE FROM calls_fts WHERE id = old.id;
+        INSERT INTO calls_fts (id, transcript, summary, agent_assessment)
+        VALUES (new.id, new.transcript, new.summary, new.agent_assessment);
+      END;
+
+      INSERT INTO calls_fts (id, transcript, summary, agent_assessment)
+      SELECT id, transcript, summary, agent_assessment FROM calls;
+    `);
+  }
+};
@@ -0,0 +1,19 @@
+// Speaker-attributed transcript messages, one row per Ultravox message.
+// calls.transcript stays as the flattened text used for search and analysis.
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      CREATE TABLE call_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_id TEXT NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+        ordinal INTEGER NOT NULL,
+        speaker TEXT NOT NULL,
+        text TEXT NOT NULL,
+        start_ms INTEGER,
+        end_ms INTEGER,
+        UNIQUE(call_id, ordinal)
+      );
+      CREATE INDEX idx_call_messages_call ON call_messages(call_id, ordinal);
+    `);
+  }
+};
@@ -0,0 +1,93 @@
+// Structured (JSON) agent assessment. Legacy free-text assessments are
+// converted best-effort; fields that can't be read are left out and the
+// original text stays in agent_assessment. The parsing is inlined so this
+// migration doesn't depend on application code.
+const LEGACY_FIELDS = {
+  'Sentiment Progression': ['sentimentProgression', 'choice'],
+  'Frustration Level': ['frustrationLevel', 'level'],
+  'Resolution Confidence': ['resolutionConfidence', 'level'],
+  'Escalation Needed': ['escalationNeeded', 'yesNo'],
+  'Repeat Contact Likelihood': ['repeatContactLikelihood', 'level'],
+  'Customer Intents': ['customerIntents', 'list'],
+  'Key Issue': ['keyIssue', 'text'],
+  'Suggested Next Step': ['suggestedNextStep', 'text'],
+  'Tags': ['tags', 'list'],
+  'Escalation Recommended': ['escalationRecommended', 'yesNo'],
+  'Proactive Opportunity': ['proactiveOpportunity', 'choice'],
+  'Churn Risk': ['churnRisk', 'level'],
+  'Customer Satisfaction': ['customerSatisfaction', 'level'],
+  'NPS Prediction': ['npsPrediction', 'choice'],
+  'Issue Complexity': ['issueComplexity', 'level']
+};
+
+function convertValue(kind, raw) {
+  const value = raw.trim().replace(/^\[|\]$/g, '').trim();
+  const lower = value.toLowerCase();
+  switch (kind) {
+    case 'level':
+      if (lower.startsWith('high')) return 'High';
+      if (lower.startsWith('medium') || lower.startsWith('moderate')) return 'Medium';
+      if (lower.startsWith('low')) return 'Low';
+      return undefined;
+    case 'yesNo':
+      if (lower.startsWith('yes')) return true;
+      if (lower.startsWith('no')) return false;
+      return undefined;
+    case 'list':
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    default:
+      return value || undefined;
+  }
+}
+
+function parseLegacyAssessment(text) {
+  const assessment = {};
+  text.split('\n').forEach(line => {
+    const match = line.match(/^\s*\d+\.\s*([^:]+):\s*(.+)$/);
+    const field = match && LEGACY_FIELDS[match[1].trim()];
+    if (!field) return;
+    const value = convertValue(field[1], match[2]);
+    if (value !== undefined) assessment[field[0]] = value;
+  });
+  return Object.keys(assessment).length ? assessment : null;
+}
+
+// FTS indexes the legacy text plus the JSON's values
+const FTS_ASSESSMENT = (row) => `
+  TRIM(COALESCE(${row}.agent_assessment, '') || ' ' ||
+    COALESCE((SELECT group_concat(value, ' ') FROM json_each(${row}.assessment_json)), ''))
+`;
+
+module.exports = {
+  async up(db, { run, all, exec }) {
+    await run(db, 'ALTER TABLE calls ADD COLUMN assessment_json TEXT');
+
+    const rows = await all(db, 'SELECT id, agent_assessment FROM calls WHERE agent_assessment IS NOT NULL');
+    for (const row of rows) {
+      const assessment = parseLegacyAssessment(row.agent_assessment);
+      if (assessment) {
+        await run(db, 'UPDATE calls SET assessment_json = ? WHERE id = ?', [JSON.stringify(assessment), row.id]);
+      }
+    }
+
+    await exec(db, `
+      DROP TRIGGER calls_fts_insert;
+      DROP TRIGGER calls_fts_update;
+
+      CREATE TRIGGER calls_fts_insert AFTER INSERT ON calls BEGIN
+        INSERT INTO calls_fts (id, transcript, summary, agent_assessment)
+        VALUES (new.id, new.transcript, new.summary, ${FTS_ASSESSMENT('new')});
+      END;
+
+      CREATE TRIGGER calls_fts_update AFTER UPDATE OF id, transcript, summary, agent_assessment, assessment_json ON calls BEGIN
+        DELETE FROM calls_fts WHERE id = old.id;
+        INSERT INTO calls_fts (id, transcript, summary, agent_assessment)
+        VALUES (new.id, new.transcript, new.summary, ${FTS_ASSESSMENT('new')});
+      END;
+
+      DELETE FROM calls_fts;
+      INSERT INTO calls_fts (id, transcript, summary, agent_assessment)
+      SELECT id, transcript, summary, ${FTS_ASSESSMENT('calls')} FROM calls;
+    `);
+  }
+};
@@ -0,0 +1,20 @@
+// One row per LLM request made while analyzing a call (retries included)
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      CREATE TABLE llm_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_id TEXT NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+        task TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        model TEXT,
+        prompt_tokens INTEGER,
+        completion_tokens INTEGER,
+        total_tokens INTEGER,
+        cost_usd REAL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX idx_llm_usage_call ON llm_usage(call_id);
+    `);
+  }
+};
@@ -0,0 +1,27 @@
+// Durable job queue for background work (webhook enrichment) and the
+// per-call processing status shown in the viewer. Existing calls were
+// processed synchronously, so they start out as 'done'.
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      ALTER TABLE calls ADD COLUMN processing_status TEXT NOT NULL DEFAULT 'done';
+      ALTER TABLE calls ADD COLUMN processing_error TEXT;
+
+      CREATE TABLE jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        call_id TEXT,
+        payload TEXT NOT NULL DEFAULT '{}',
+        status TEXT NOT NULL DEFAULT 'queued',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5,
+        run_at TEXT NOT NULL,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX idx_jobs_due ON jobs(status, run_at);
+      CREATE INDEX idx_jobs_call ON jobs(call_id);
+    `);
+  }
+};
@@ -0,0 +1,21 @@
+// Every inbound webhook event, keyed by call and event type so a redelivered
+// event is recognized after a restart (replaces the in-memory Set)
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      CREATE TABLE webhook_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'received',
+        error TEXT,
+        replay_count INTEGER NOT NULL DEFAULT 0,
+        received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        processed_at DATETIME,
+        UNIQUE(call_id, event)
+      );
+      CREATE INDEX idx_webhook_events_received ON webhook_events(received_at);
+    `);
+  }
+};
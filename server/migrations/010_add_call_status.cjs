@@ -0,0 +1,12 @@
+// Lifecycle of the call itself ('in_progress' from call.started/call.joined
+// until call.ended), separate from its processing status. Existing calls
+// were all stored on call.ended.
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      ALTER TABLE calls ADD COLUMN call_status TEXT NOT NULL DEFAULT 'ended';
+      ALTER TABLE calls ADD COLUMN ended_at DATETIME;
+      UPDATE calls SET ended_at = timestamp;
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+// Prior analyses of a call, archived when it is re-analyzed. Versions count
+// up per call; the current analysis stays on the calls row.
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      CREATE TABLE call_analyses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_id TEXT NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        caller_name TEXT,
+        sentiment TEXT,
+        summary TEXT,
+        agent_assessment TEXT,
+        assessment_json TEXT,
+        churn_risk TEXT,
+        escalation TEXT,
+        archived_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(call_id, version)
+      );
+    `);
+  }
+};
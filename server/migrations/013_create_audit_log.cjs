@@ -0,0 +1,23 @@
+// Who viewed, played or dialed what. The username and role are copied so
+// entries stay readable after a user is renamed or removed.
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        username TEXT,
+        role TEXT,
+        action TEXT NOT NULL,
+        call_id TEXT,
+        details TEXT,
+        ip TEXT,
+        user_agent TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_audit_log_created ON audit_log(created_at);
+      CREATE INDEX idx_audit_log_user ON audit_log(username, created_at);
+      CREATE INDEX idx_audit_log_call ON audit_log(call_id, created_at);
+    `);
+  }
+};
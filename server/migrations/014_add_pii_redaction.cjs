@@ -0,0 +1,12 @@
+// Redacted transcripts: the unredacted text is kept only in encrypted form
+// (when a key is configured), and `redactions` counts what was replaced per
+// rule. Calls stored before this migration have NULL redactions.
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      ALTER TABLE calls ADD COLUMN transcript_original TEXT;
+      ALTER TABLE calls ADD COLUMN redactions TEXT;
+      ALTER TABLE call_messages ADD COLUMN text_original TEXT;
+    `);
+  }
+};
@@ -0,0 +1,17 @@
+// Recordings cached on disk. `last_accessed_at` drives eviction.
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      CREATE TABLE recordings (
+        call_id TEXT PRIMARY KEY,
+        file_name TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        etag TEXT NOT NULL,
+        fetched_at TEXT NOT NULL,
+        last_accessed_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_recordings_last_accessed ON recordings(last_accessed_at);
+    `);
+  }
+};
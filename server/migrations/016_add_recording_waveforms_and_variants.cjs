@@ -0,0 +1,18 @@
+// Waveform peaks of cached recordings, and their transcoded copies
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      ALTER TABLE recordings ADD COLUMN duration_ms INTEGER;
+      ALTER TABLE recordings ADD COLUMN peaks TEXT;
+      CREATE TABLE recording_variants (
+        call_id TEXT NOT NULL REFERENCES recordings(call_id) ON DELETE CASCADE,
+        content_type TEXT NOT NULL,
+        file_name TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        etag TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (call_id, content_type)
+      );
+    `);
+  }
+};
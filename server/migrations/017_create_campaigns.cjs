@@ -0,0 +1,59 @@
+// Outbound campaigns: contacts uploaded from CSV are dialed by the campaign
+// scheduler. Each dial is kept in campaign_attempts; the contact row holds the
+// latest outcome.
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      CREATE TABLE campaigns (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'draft'
+          CHECK (status IN ('draft', 'running', 'paused', 'completed')),
+        concurrency INTEGER NOT NULL DEFAULT 1,
+        timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata',
+        calling_hours_start TEXT NOT NULL DEFAULT '09:00',
+        calling_hours_end TEXT NOT NULL DEFAULT '20:00',
+        max_attempts INTEGER NOT NULL DEFAULT 3,
+        retry_delay_minutes INTEGER NOT NULL DEFAULT 60,
+        retry_on TEXT NOT NULL DEFAULT '["no-answer","busy"]',
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        completed_at TEXT
+      );
+
+      CREATE TABLE campaign_contacts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+        phone TEXT NOT NULL,
+        name TEXT,
+        timezone TEXT,
+        fields TEXT,
+        status TEXT NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'dialing', 'completed', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT NOT NULL,
+        last_result TEXT,
+        last_error TEXT,
+        call_sid TEXT,
+        call_id TEXT,
+        updated_at TEXT NOT NULL,
+        UNIQUE (campaign_id, phone)
+      );
+      CREATE INDEX idx_campaign_contacts_due ON campaign_contacts(campaign_id, status, next_attempt_at);
+
+      CREATE TABLE campaign_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        contact_id INTEGER NOT NULL REFERENCES campaign_contacts(id) ON DELETE CASCADE,
+        attempt INTEGER NOT NULL,
+        call_sid TEXT,
+        call_id TEXT,
+        result TEXT,
+        error TEXT,
+        started_at TEXT NOT NULL,
+        ended_at TEXT
+      );
+      CREATE INDEX idx_campaign_attempts_contact ON campaign_attempts(contact_id);
+    `);
+  }
+};
@@ -0,0 +1,30 @@
+// Calls booked for a later time, e.g. a callback the customer asked for.
+// The scheduler places each one when it falls due; source_call_id links a
+// callback to the call it came from.
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      CREATE TABLE scheduled_calls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT NOT NULL,
+        name TEXT,
+        notes TEXT,
+        scheduled_at TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'scheduled'
+          CHECK (status IN ('scheduled', 'dialing', 'placed', 'failed', 'missed', 'canceled')),
+        source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'suggested')),
+        source_call_id TEXT,
+        call_sid TEXT,
+        call_id TEXT,
+        error TEXT,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        placed_at TEXT
+      );
+
+      CREATE INDEX idx_scheduled_calls_due ON scheduled_calls (status, scheduled_at);
+      CREATE INDEX idx_scheduled_calls_source ON scheduled_calls (source_call_id);
+    `);
+  }
+};
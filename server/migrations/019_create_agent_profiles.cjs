@@ -0,0 +1,70 @@
+// Agent profiles: the prompt and Ultravox settings an outbound call is made
+// with. Every change to a profile's call settings bumps its version and keeps
+// a copy in agent_profile_versions; outbound_calls records which profile and
+// version each placed call used. The profile that was hardcoded until now is
+// seeded as the default.
+const KRISHNA_PROMPT = 'Your name is Krishna, a customer relationship manager. You are an employee of Jio in India. You are calling a person on the phone for sales of Jio Products or issue followup. Ask them their name and see how they are doing. You have to answer all the questions they ask you in a patient and friendly manner. Keep your answers and conversations crisp, concise and to the point.';
+
+module.exports = {
+  async up(db, { exec, run }) {
+    await exec(db, `
+      CREATE TABLE agent_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        description TEXT,
+        system_prompt TEXT NOT NULL,
+        voice TEXT NOT NULL,
+        model TEXT NOT NULL,
+        temperature REAL NOT NULL,
+        first_speaker TEXT NOT NULL
+          CHECK (first_speaker IN ('FIRST_SPEAKER_USER', 'FIRST_SPEAKER_AGENT')),
+        language_hint TEXT,
+        version INTEGER NOT NULL DEFAULT 1,
+        is_default INTEGER NOT NULL DEFAULT 0,
+        archived INTEGER NOT NULL DEFAULT 0,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        updated_by TEXT,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE agent_profile_versions (
+        profile_id INTEGER NOT NULL REFERENCES agent_profiles(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        system_prompt TEXT NOT NULL,
+        voice TEXT NOT NULL,
+        model TEXT NOT NULL,
+        temperature REAL NOT NULL,
+        first_speaker TEXT NOT NULL,
+        language_hint TEXT,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (profile_id, version)
+      );
+
+      CREATE TABLE outbound_calls (
+        call_id TEXT PRIMARY KEY,
+        call_sid TEXT,
+        to_phone TEXT NOT NULL,
+        profile_id INTEGER REFERENCES agent_profiles(id),
+        profile_version INTEGER,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_outbound_calls_sid ON outbound_calls (call_sid);
+    `);
+
+    const now = new Date().toISOString();
+    const settings = [KRISHNA_PROMPT, 'Krishna-Hindi-Urdu', 'fixie-ai/ultravox', 0.3, 'FIRST_SPEAKER_USER', null];
+    const { lastID } = await run(db, `
+      INSERT INTO agent_profiles (name, description, system_prompt, voice, model, temperature, first_speaker,
+        language_hint, is_default, created_at, updated_at)
+      VALUES ('Krishna', 'Jio sales and issue follow-up', ?, ?, ?, ?, ?, ?, 1, ?, ?)
+    `, [...settings, now, now]);
+    await run(db, `
+      INSERT INTO agent_profile_versions (profile_id, version, system_prompt, voice, model, temperature,
+        first_speaker, language_hint, created_at)
+      VALUES (?, 1, ?, ?, ?, ?, ?, ?, ?)
+    `, [lastID, ...settings, now]);
+  }
+};
@@ -0,0 +1,10 @@
+// The context variables an outbound call was placed with and the system
+// prompt they rendered, so the call viewer can show what the agent was told
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      ALTER TABLE outbound_calls ADD COLUMN context TEXT;
+      ALTER TABLE outbound_calls ADD COLUMN system_prompt TEXT;
+    `);
+  }
+};
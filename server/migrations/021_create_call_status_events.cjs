@@ -0,0 +1,26 @@
+// Twilio status callbacks for outbound calls. Each status a call reaches is
+// stored once, linked to the Ultravox call id through outbound_calls.call_sid;
+// outbound_calls keeps the latest status for the live active calls panel.
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      CREATE TABLE call_status_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        call_sid TEXT NOT NULL,
+        call_id TEXT,
+        status TEXT NOT NULL,
+        twilio_status TEXT NOT NULL,
+        duration INTEGER,
+        payload TEXT,
+        created_at TEXT NOT NULL,
+        UNIQUE (call_sid, status)
+      );
+      CREATE INDEX idx_call_status_events_call_id ON call_status_events (call_id);
+
+      ALTER TABLE outbound_calls ADD COLUMN status TEXT;
+      ALTER TABLE outbound_calls ADD COLUMN status_at TEXT;
+      ALTER TABLE outbound_calls ADD COLUMN duration INTEGER;
+      CREATE INDEX idx_outbound_calls_status ON outbound_calls (status, created_at);
+    `);
+  }
+};
@@ -0,0 +1,13 @@
+// The agent profile and prompt variables scheduled calls and campaigns dial
+// with, so calls placed later can fill the same placeholders as /make-call.
+// Rows from before this have no profile and use the default one.
+module.exports = {
+  async up(db, { exec }) {
+    await exec(db, `
+      ALTER TABLE scheduled_calls ADD COLUMN profile_id INTEGER REFERENCES agent_profiles(id);
+      ALTER TABLE scheduled_calls ADD COLUMN context TEXT;
+      ALTER TABLE campaigns ADD COLUMN profile_id INTEGER REFERENCES agent_profiles(id);
+      ALTER TABLE campaigns ADD COLUMN context TEXT;
+    `);
+  }
+};
@@ -0,0 +1,249 @@
+const https = require('https');
+const twilio = require('twilio');
+const agentProfiles = require('./agentProfiles.cjs');
+const promptTemplate = require('./promptTemplate.cjs');
+const callStatus = require('./callStatus.cjs');
+
+// Outbound calls: an Ultravox call bridged to the dialed number through a
+// Twilio <Stream>. Used by /make-call and the campaign and call schedulers.
+// The prompt and voice settings come from an agent profile. Twilio reports
+// each call's progress to STATUS_CALLBACK_PATH when the server's public URL
+// is known (PUBLIC_BASE_URL, or RENDER_EXTERNAL_URL on Render).
+
+// Twilio configuration
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER;
+const STATUS_CALLBACK_PATH = '/twilio/call-status';
+const STATUS_CALLBACK_EVENTS = ['initiated', 'ringing', 'answered', 'completed'];
+
+// Ultravox configuration
+const ULTRAVOX_API_KEY = process.env.ULTRAVOX_API_KEY;
+const ULTRAVOX_API_URL = 'https://api.ultravox.ai/api/calls';
+
+// Format phone number to E.164 format
+function formatPhoneNumber(phoneNumber) {
+  // Remove all non-digit characters
+  let cleaned = phoneNumber.replace(/\D/g, '');
+
+  // For India numbers
+  if (!cleaned.startsWith('91') && cleaned.length === 10) {
+    cleaned = '91' + cleaned;
+  }
+
+  // Add + prefix if not present
+  if (!cleaned.startsWith('+')) {
+    cleaned = '+' + cleaned;
+  }
+
+  return cleaned;
+}
+
+// Settings shared by every call; the rest come from the agent profile
+const ULTRAVOX_CALL_DEFAULTS = {
+  medium: { twilio: {} },
+  recordingEnabled: true
+};
+
+async function createUltravoxCall(config) {
+  if (!ULTRAVOX_API_KEY) {
+    throw new Error('Ultravox API Key is missing');
+  }
+
+  console.log('Creating Ultravox call with config:', {
+    ...config,
+    systemPrompt: '(hidden)'
+  });
+
+  return new Promise((resolve, reject) => {
+    const request = https.request(ULTRAVOX_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-API-Key': ULTRAVOX_API_KEY
+      }
+    });
+
+    let data = '';
+
+    request.on('response', (response) => {
+      console.log('Ultravox API response status:', response.statusCode);
+      console.log('Ultravox API response headers:', response.headers);
+
+      response.on('data', chunk => {
+        data += chunk;
+      });
+
+      // The response echoes the rendered prompt, so only its call id is logged
+      response.on('end', () => {
+        if (response.statusCode !== 200 && response.statusCode !== 201) {
+          console.error('Ultravox API error:', response.statusCode);
+          try {
+            const errorData = JSON.parse(data);
+            reject(new Error(`Ultravox API error: ${errorData.error || errorData.message || 'Unknown error'}`));
+          } catch (e) {
+            reject(new Error(`Ultravox API returned status ${response.statusCode}: ${data}`));
+          }
+          return;
+        }
+
+        try {
+          const parsedData = JSON.parse(data);
+          console.log('Ultravox call created:', parsedData.callId);
+          if (!parsedData.joinUrl) {
+            reject(new Error('No joinUrl in Ultravox response'));
+            return;
+          }
+          resolve(parsedData);
+        } catch (error) {
+          console.error('Error parsing Ultravox response:', error);
+          reject(error);
+        }
+      });
+    });
+
+    request.on('error', (error) => {
+      console.error('Ultravox request error:', error);
+      reject(error);
+    });
+
+    request.on('timeout', () => {
+      console.error('Ultravox request timed out');
+      request.destroy();
+      reject(new Error('Request timed out'));
+    });
+
+    request.write(JSON.stringify(config));
+    request.end();
+  });
+}
+
+// First missing setting needed to place calls, or null when all are set
+function missingConfig() {
+  if (!ULTRAVOX_API_KEY) return 'Ultravox API Key is missing';
+  if (!TWILIO_ACCOUNT_SID) return 'Twilio Account SID is missing';
+  if (!TWILIO_AUTH_TOKEN) return 'Twilio Auth Token is missing';
+  if (!TWILIO_PHONE_NUMBER) return 'Twilio Phone Number is missing';
+  return null;
+}
+
+function twilioClient() {
+  return twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+}
+
+function publicBaseUrl() {
+  const base = process.env.PUBLIC_BASE_URL || process.env.RENDER_EXTERNAL_URL;
+  return base ? base.replace(/\/+$/, '') : null;
+}
+
+// Where Twilio posts status updates, or null when the public URL isn't set
+function statusCallbackUrl() {
+  const base = publicBaseUrl();
+  return base ? `${base}${STATUS_CALLBACK_PATH}` : null;
+}
+
+// Check the X-Twilio-Signature of a status callback. Twilio signs the URL it
+// called, so the URL is rebuilt from the public base URL rather than the
+// request's Host header.
+function verifyTwilioSignature({ signature, path, params }) {
+  const base = publicBaseUrl();
+  if (!TWILIO_AUTH_TOKEN || !base) {
+    return { valid: false, reason: 'Twilio Auth Token or public URL is not configured' };
+  }
+  if (!signature) {
+    return { valid: false, reason: 'Missing signature' };
+  }
+  return twilio.validateRequest(TWILIO_AUTH_TOKEN, signature, `${base}${path}`, params)
+    ? { valid: true }
+    : { valid: false, reason: 'Signature mismatch' };
+}
+
+// Create the Ultravox call with `profile` (default: the default agent
+// profile), its prompt rendered with `context`, and have Twilio dial
+// `phoneNumber` into it. Resolves to
+// { callSid, status, to, from, ultravoxCallId, profile }.
+async function placeCall(phoneNumber, { profile, context } = {}) {
+  const to = formatPhoneNumber(phoneNumber);
+
+  const agentProfile = profile || await agentProfiles.getDefaultProfile();
+  if (!agentProfile) {
+    throw new Error('No default agent profile is set');
+  }
+  const rendered = promptTemplate.renderPrompt(agentProfile.system_prompt, context);
+  if (rendered.missing.length) {
+    throw new Error(`Missing prompt variables: ${rendered.missing.join(', ')}`);
+  }
+
+  console.log(`Creating Ultravox call with profile "${agentProfile.name}" v${agentProfile.version}...`);
+  const ultravoxResponse = await createUltravoxCall({
+    ...agentProfiles.callConfig(agentProfile, rendered.prompt),
+    ...ULTRAVOX_CALL_DEFAULTS
+  });
+  if (!ultravoxResponse.joinUrl) {
+    throw new Error('No joinUrl received from Ultravox');
+  }
+  console.log('Got joinUrl:', ultravoxResponse.joinUrl);
+
+  const twiml = `<Response><Connect><Stream url="${ultravoxResponse.joinUrl}"/></Connect></Response>`;
+  const statusCallback = statusCallbackUrl();
+  const call = await twilioClient().calls.create({
+    twiml: twiml,
+    to: to,
+    from: TWILIO_PHONE_NUMBER,
+    ...(statusCallback ? {
+      statusCallback,
+      statusCallbackEvent: STATUS_CALLBACK_EVENTS,
+      statusCallbackMethod: 'POST'
+    } : {})
+  });
+  console.log('Call initiated:', call.sid, call.status);
+
+  const ultravoxCallId = ultravoxResponse.callId || null;
+  if (ultravoxCallId) {
+    try {
+      await agentProfiles.recordOutboundCall({
+        callId: ultravoxCallId,
+        callSid: call.sid,
+        to,
+        profile: agentProfile,
+        context: rendered.context,
+        systemPrompt: rendered.prompt
+      });
+      await callStatus.recordStatus(call.sid, call.status);
+      // Picks up any callbacks that arrived before the call was recorded, even
+      // when the status above was one of them
+      await callStatus.applyStatuses(call.sid);
+    } catch (error) {
+      // The call is already ringing; don't report it as failed
+      console.error('Error recording outbound call:', error);
+    }
+  }
+
+  return {
+    callSid: call.sid,
+    status: call.status,
+    to: to,
+    from: TWILIO_PHONE_NUMBER,
+    ultravoxCallId,
+    profile: { id: agentProfile.id, name: agentProfile.name, version: agentProfile.version }
+  };
+}
+
+// Current Twilio status of a placed call (queued, ringing, in-progress,
+// completed, busy, no-answer, failed or canceled)
+async function fetchCallStatus(callSid) {
+  const call = await twilioClient().calls(callSid).fetch();
+  return call.status;
+}
+
+module.exports = {
+  ULTRAVOX_CALL_DEFAULTS,
+  STATUS_CALLBACK_PATH,
+  formatPhoneNumber,
+  createUltravoxCall,
+  missingConfig,
+  placeCall,
+  fetchCallStatus,
+  statusCallbackUrl,
+  verifyTwilioSignature
+};
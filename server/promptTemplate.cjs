@@ -0,0 +1,111 @@
+// Agent prompt templates. A profile's system prompt may contain placeholders
+// such as {{customer_name}}, filled in per call from a context payload;
+// {{plan|not known}} falls back to the text after the bar when the context
+// doesn't give a value. Placeholders without a default are required.
+
+const PLACEHOLDER_PATTERN = /\{\{([^{}]*)\}\}/g;
+const PLACEHOLDER_BODY = /^\s*([a-z][a-z0-9_]*)\s*(?:\|([^{}]*))?$/;
+const VARIABLE_NAME = /^[a-z][a-z0-9_]{0,39}$/;
+
+const MAX_VARIABLES = 20;
+const MAX_VALUE_LENGTH = 500;
+
+// Placeholders in a template as [{ name, default }] (default is null when
+// the variable is required), in order of first use. Throws on a malformed
+// placeholder.
+function parseTemplate(template) {
+  const variables = new Map();
+  for (const match of template.matchAll(PLACEHOLDER_PATTERN)) {
+    const body = match[1].match(PLACEHOLDER_BODY);
+    if (!body || body[1].length > 40) {
+      throw new Error(`Invalid placeholder ${match[0]}: use {{name}} or {{name|default}} with a lowercase name`);
+    }
+    const [, name, fallback] = body;
+    const existing = variables.get(name);
+    // A variable is required if any of its placeholders has no default
+    if (!existing || (existing.default !== null && fallback === undefined)) {
+      variables.set(name, { name, default: fallback === undefined ? null : fallback.trim() });
+    }
+  }
+  const leftover = template.replace(PLACEHOLDER_PATTERN, '');
+  if (leftover.includes('{{') || leftover.includes('}}')) {
+    throw new Error('The prompt has an unclosed {{ or a stray }}');
+  }
+  if (variables.size > MAX_VARIABLES) {
+    throw new Error(`The prompt can use at most ${MAX_VARIABLES} variables`);
+  }
+  return [...variables.values()];
+}
+
+// Error message for a template, or null when it's valid
+function validateTemplate(template) {
+  try {
+    parseTemplate(template);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Error message for a context payload, or null when it's valid. Values must
+// be strings, numbers or booleans.
+function validateContext(context) {
+  if (context === undefined || context === null) return null;
+  if (typeof context !== 'object' || Array.isArray(context)) {
+    return 'context must be an object of variable names to values';
+  }
+  const entries = Object.entries(context);
+  if (entries.length > MAX_VARIABLES * 2) {
+    return `context can have at most ${MAX_VARIABLES * 2} variables`;
+  }
+  for (const [name, value] of entries) {
+    if (!VARIABLE_NAME.test(name)) {
+      return `context variable "${name}" must be a lowercase name such as customer_name`;
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      return `context.${name} must be a string, number or boolean`;
+    }
+    if (String(value).length > MAX_VALUE_LENGTH) {
+      return `context.${name} must be at most ${MAX_VALUE_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+// Values go into the prompt on one line, so a value can't add instructions
+// of its own on separate lines
+function cleanValue(value) {
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+// Fill in a template. Returns { prompt, context, missing }: `context`
+// holds the values actually used (blank values count as not given) and
+// `missing` the required variables with no value.
+function renderPrompt(template, context = {}) {
+  const variables = parseTemplate(template);
+  const used = {};
+  const missing = [];
+  for (const variable of variables) {
+    const value = context?.[variable.name] === undefined || context[variable.name] === null
+      ? ''
+      : cleanValue(context[variable.name]);
+    if (value) {
+      used[variable.name] = value;
+    } else if (variable.default === null) {
+      missing.push(variable.name);
+    }
+  }
+
+  const prompt = template.replace(PLACEHOLDER_PATTERN, (placeholder, body) => {
+    const [, name, fallback] = body.match(PLACEHOLDER_BODY);
+    return used[name] ?? (fallback === undefined ? '' : fallback.trim());
+  });
+  return { prompt, context: used, missing };
+}
+
+module.exports = {
+  parseTemplate,
+  validateTemplate,
+  validateContext,
+  renderPrompt
+};
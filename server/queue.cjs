@@ -0,0 +1,183 @@
+const { EventEmitter } = require('events');
+const sqlite = require('./sqlite.cjs');
+const database = require('./db.cjs');
+
+// SQLite-backed job queue. Jobs survive restarts; a single in-process worker
+// runs due jobs one at a time and retries failures with exponential backoff.
+//
+// Events: 'retry' (job, error, runAt), 'failed' (job, error), 'done' (job)
+const events = new EventEmitter();
+
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+const handlers = {};
+
+function registerHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+function toJob(row) {
+  return row ? { ...row, payload: JSON.parse(row.payload) } : null;
+}
+
+// Delay before retry number `attempts` (1-based): 5s, 10s, 20s, ... capped
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+async function enqueue(type, payload = {}, { callId = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, runAt = new Date() } = {}) {
+  const { lastID } = await sqlite.run(database.getDb(), `
+    INSERT INTO jobs (type, call_id, payload, max_attempts, run_at)
+    VALUES (?, ?, ?, ?, ?)
+  `, [type, callId, JSON.stringify(payload), maxAttempts, runAt.toISOString()]);
+  console.log(`[Queue] Enqueued ${type} job ${lastID}${callId ? ` for call ${callId}` : ''}`);
+  wake();
+  return lastID;
+}
+
+// Atomically mark the next due job as running and return it
+async function claimNextJob() {
+  const row = await sqlite.get(database.getDb(), `
+    UPDATE jobs
+    SET status = 'running', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE status = 'queued' AND run_at <= ?
+      ORDER BY run_at, id
+      LIMIT 1
+    )
+    RETURNING *
+  `, [new Date().toISOString()]);
+  return toJob(row);
+}
+
+async function completeJob(job) {
+  await sqlite.run(database.getDb(), `
+    UPDATE jobs SET status = 'done', last_error = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `, [job.id]);
+  events.emit('done', job);
+}
+
+// Requeue with backoff, or mark failed once attempts are used up
+async function failJob(job, error) {
+  const message = error.message || String(error);
+  if (job.attempts < job.max_attempts) {
+    const runAt = new Date(Date.now() + retryDelay(job.attempts));
+    await sqlite.run(database.getDb(), `
+      UPDATE jobs SET status = 'queued', run_at = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [runAt.toISOString(), message, job.id]);
+    console.warn(`[Queue] Job ${job.id} (${job.type}) failed, attempt ${job.attempts}/${job.max_attempts}; retrying at ${runAt.toISOString()}:`, message);
+    events.emit('retry', job, error, runAt);
+  } else {
+    await sqlite.run(database.getDb(), `
+      UPDATE jobs SET status = 'failed', last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `, [message, job.id]);
+    console.error(`[Queue] Job ${job.id} (${job.type}) failed permanently after ${job.attempts} attempts:`, message);
+    events.emit('failed', job, error);
+  }
+}
+
+async function runJob(job) {
+  const handler = handlers[job.type];
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+    await handler(job);
+    await completeJob(job);
+  } catch (error) {
+    await failJob(job, error);
+  }
+}
+
+// Jobs left 'running' by a previous process were interrupted; run them again
+async function requeueInterruptedJobs() {
+  const { changes } = await sqlite.run(database.getDb(), `
+    UPDATE jobs SET status = 'queued', updated_at = CURRENT_TIMESTAMP WHERE status = 'running'
+  `);
+  if (changes > 0) {
+    console.log(`[Queue] Requeued ${changes} interrupted job(s)`);
+  }
+}
+
+// Whether a job of this type for the call is waiting or running
+async function hasActiveJob(type, callId) {
+  const row = await sqlite.get(database.getDb(), `
+    SELECT 1 FROM jobs WHERE type = ? AND call_id = ? AND status IN ('queued', 'running') LIMIT 1
+  `, [type, callId]);
+  return Boolean(row);
+}
+
+async function listJobs({ callId, status, limit = 50 } = {}) {
+  const where = [];
+  const params = [];
+  if (callId) {
+    where.push('call_id = ?');
+    params.push(callId);
+  }
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  const rows = await sqlite.all(database.getDb(), `
+    SELECT * FROM jobs ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY id DESC LIMIT ?
+  `, [...params, limit]);
+  return rows.map(toJob);
+}
+
+let pollTimer = null;
+let busy = false;
+let started = false;
+let pollIntervalMs = 2000;
+
+async function tick() {
+  clearTimeout(pollTimer);
+  busy = true;
+  try {
+    let job;
+    while (started && (job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('[Queue] Worker error:', error);
+  } finally {
+    busy = false;
+    if (started) {
+      pollTimer = setTimeout(tick, pollIntervalMs);
+    }
+  }
+}
+
+// Run due jobs now instead of waiting for the next poll
+function wake() {
+  if (started && !busy) {
+    tick();
+  }
+}
+
+async function startWorker({ pollInterval = 2000 } = {}) {
+  pollIntervalMs = pollInterval;
+  await requeueInterruptedJobs();
+  started = true;
+  console.log('[Queue] Worker started');
+  tick();
+}
+
+function stopWorker() {
+  started = false;
+  clearTimeout(pollTimer);
+}
+
+module.exports = {
+  events,
+  registerHandler,
+  retryDelay,
+  enqueue,
+  hasActiveJob,
+  listJobs,
+  startWorker,
+  stopWorker
+};
@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const sqlite = require('./sqlite.cjs');
+const database = require('./db.cjs');
+const { fetchRecording } = require('./ultravox.cjs');
+const audio = require('./audio.cjs');
+
+// Disk cache of call recordings under <dataDir>/recordings. A recording is
+// downloaded from Ultravox once and then served from disk, so seeking only
+// reads the requested bytes. Waveform peaks are computed on download and
+// compressed copies (variants) are transcoded on first request.
+//
+// Retention (env):
+//   RECORDING_CACHE_MAX_MB         total cache size (default 2048)
+//   RECORDING_CACHE_MAX_AGE_DAYS   drop recordings not played for this long
+//                                  (default 30, 0 keeps them until space runs out)
+const recordingsDir = path.join(database.dataDir, 'recordings');
+
+const EVICTION_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Compressed copy made ahead of time by the prefetch job
+const DEFAULT_VARIANT = 'audio/mpeg';
+
+const FILE_EXTENSIONS = {
+  'audio/wav': '.wav',
+  'audio/x-wav': '.wav',
+  'audio/wave': '.wav',
+  'audio/mpeg': '.mp3',
+  'audio/ogg': '.ogg'
+};
+
+function retentionLimits(env = process.env) {
+  const maxMb = env.RECORDING_CACHE_MAX_MB === undefined ? 2048 : Number(env.RECORDING_CACHE_MAX_MB);
+  const maxAgeDays = env.RECORDING_CACHE_MAX_AGE_DAYS === undefined ? 30 : Number(env.RECORDING_CACHE_MAX_AGE_DAYS);
+  if (!(maxMb > 0)) {
+    throw new Error('RECORDING_CACHE_MAX_MB must be a positive number');
+  }
+  if (!(maxAgeDays >= 0)) {
+    throw new Error('RECORDING_CACHE_MAX_AGE_DAYS must be 0 or more');
+  }
+  return { maxBytes: maxMb * 1024 * 1024, maxAgeMs: maxAgeDays * DAY_MS };
+}
+
+function filePath(recording) {
+  return path.join(recordingsDir, recording.file_name);
+}
+
+// Call ids come from Ultravox and webhooks; hash them rather than trust them
+// as file names
+function fileNameFor(callId, contentType) {
+  const hash = crypto.createHash('sha256').update(callId).digest('hex').slice(0, 32);
+  return `${hash}${FILE_EXTENSIONS[contentType] || '.bin'}`;
+}
+
+async function getCachedRecording(callId) {
+  const recording = await sqlite.get(database.getDb(), 'SELECT * FROM recordings WHERE call_id = ?', [callId]);
+  if (!recording) return null;
+  if (!fs.existsSync(filePath(recording))) {
+    // Removed behind our back; fetch it again. Its variants go too, or their
+    // files would outlive the rows that let evict() count them.
+    await removeVariants(callId);
+    await sqlite.run(database.getDb(), 'DELETE FROM recordings WHERE call_id = ?', [callId]);
+    return null;
+  }
+  return recording;
+}
+
+// Stream the recording to a temporary file, hashing it for the ETag, and
+// move it into place once complete
+async function downloadRecording(callId) {
+  const response = await fetchRecording(callId);
+  const contentType = (response.headers.get('content-type') || 'audio/wav').split(';')[0].trim();
+  const fileName = fileNameFor(callId, contentType);
+  const finalPath = path.join(recordingsDir, fileName);
+  const tempPath = `${finalPath}.${process.pid}.${Date.now()}.part`;
+
+  fs.mkdirSync(recordingsDir, { recursive: true });
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const hasher = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(response.body, hasher, fs.createWriteStream(tempPath));
+    fs.renameSync(tempPath, finalPath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+
+  let waveform = null;
+  try {
+    waveform = await audio.computePeaks(finalPath);
+  } catch (error) {
+    console.error(`[Recordings] Could not compute waveform for call ${callId}:`, error.message);
+  }
+
+  const now = new Date().toISOString();
+  const recording = {
+    call_id: callId,
+    file_name: fileName,
+    content_type: contentType,
+    size,
+    etag: `"${hash.digest('hex').slice(0, 32)}"`,
+    fetched_at: now,
+    last_accessed_at: now,
+    duration_ms: waveform?.durationMs ?? null,
+    peaks: waveform ? JSON.stringify(waveform.peaks) : null
+  };
+  // Copies transcoded from an earlier download are stale now
+  await removeVariants(callId);
+  await sqlite.run(database.getDb(), `
+    INSERT OR REPLACE INTO recordings
+      (call_id, file_name, content_type, size, etag, fetched_at, last_accessed_at, duration_ms, peaks)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [recording.call_id, recording.file_name, recording.content_type, recording.size, recording.etag,
+    recording.fetched_at, recording.last_accessed_at, recording.duration_ms, recording.peaks]);
+  console.log(`[Recordings] Cached recording for call ${callId} (${size} bytes)`);
+
+  await evict({ keepCallId: callId }).catch((error) => {
+    console.error('[Recordings] Eviction failed:', error);
+  });
+  return recording;
+}
+
+// Concurrent requests for the same uncached recording (or variant) share one
+// download (or transcode)
+const downloads = new Map();
+
+// The cached recording of a call, downloading it first when needed. Resolves
+// to { call_id, content_type, size, etag, fetched_at, duration_ms, peaks, path }.
+async function getRecording(callId) {
+  let recording = await getCachedRecording(callId);
+  if (recording) {
+    recording.last_accessed_at = new Date().toISOString();
+    await sqlite.run(database.getDb(), 'UPDATE recordings SET last_accessed_at = ? WHERE call_id = ?',
+      [recording.last_accessed_at, callId]);
+  } else {
+    if (!downloads.has(callId)) {
+      downloads.set(callId, downloadRecording(callId).finally(() => downloads.delete(callId)));
+    }
+    recording = await downloads.get(callId);
+  }
+  return { ...recording, path: filePath(recording) };
+}
+
+// The cached compressed copy of a recording in `contentType`, or null when
+// it hasn't been made yet
+async function findVariant(recording, contentType) {
+  const variant = await sqlite.get(database.getDb(),
+    'SELECT * FROM recording_variants WHERE call_id = ? AND content_type = ?', [recording.call_id, contentType]);
+  return variant && fs.existsSync(filePath(variant)) ? { ...variant, path: filePath(variant) } : null;
+}
+
+// A compressed copy of a recording in `contentType` (one of
+// audio.TRANSCODE_FORMATS), transcoding it on first use. Resolves to
+// { content_type, size, etag, path }.
+async function getVariant(recording, contentType) {
+  const variant = await findVariant(recording, contentType);
+  if (variant) return variant;
+
+  const key = `${recording.call_id}:${contentType}`;
+  if (!downloads.has(key)) {
+    downloads.set(key, transcodeRecording(recording, contentType).finally(() => downloads.delete(key)));
+  }
+  const created = await downloads.get(key);
+  return { ...created, path: filePath(created) };
+}
+
+async function transcodeRecording(recording, contentType) {
+  const format = audio.TRANSCODE_FORMATS[contentType];
+  const fileName = `${path.parse(recording.file_name).name}-${format.name}${format.extension}`;
+  const startedAt = Date.now();
+  await audio.transcode(filePath(recording), path.join(recordingsDir, fileName), contentType);
+
+  const variant = {
+    call_id: recording.call_id,
+    content_type: contentType,
+    file_name: fileName,
+    size: fs.statSync(path.join(recordingsDir, fileName)).size,
+    // Same source and settings give the same output, so derive the tag
+    etag: `"${recording.etag.replace(/"/g, '')}-${format.name}"`,
+    created_at: new Date().toISOString()
+  };
+  await sqlite.run(database.getDb(), `
+    INSERT OR REPLACE INTO recording_variants (call_id, content_type, file_name, size, etag, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [variant.call_id, variant.content_type, variant.file_name, variant.size, variant.etag, variant.created_at]);
+  console.log(`[Recordings] Transcoded call ${recording.call_id} to ${format.name}: ` +
+    `${recording.size} -> ${variant.size} bytes in ${Date.now() - startedAt}ms`);
+
+  await evict({ keepCallId: recording.call_id }).catch((error) => {
+    console.error('[Recordings] Eviction failed:', error);
+  });
+  return variant;
+}
+
+// Waveform of a call's recording: { duration_ms, peaks_per_second, peaks,
+// silences }, or null when the recording can't be decoded. Recordings cached
+// before peaks were stored get them computed here.
+async function getWaveform(callId) {
+  const recording = await getRecording(callId);
+  let peaks = recording.peaks ? JSON.parse(recording.peaks) : null;
+  let durationMs = recording.duration_ms;
+
+  if (!peaks) {
+    const waveform = await audio.computePeaks(recording.path);
+    if (!waveform) return null;
+    peaks = waveform.peaks;
+    durationMs = waveform.durationMs;
+    await sqlite.run(database.getDb(), 'UPDATE recordings SET duration_ms = ?, peaks = ? WHERE call_id = ?',
+      [durationMs, JSON.stringify(peaks), callId]);
+  }
+
+  return {
+    duration_ms: durationMs,
+    peaks_per_second: audio.PEAKS_PER_SECOND,
+    peaks,
+    silences: audio.findSilences(peaks)
+  };
+}
+
+// Cache the recording and its default compressed copy ahead of first play
+async function prefetchRecording(callId) {
+  const recording = await getRecording(callId);
+  if (!audio.transcodingEnabled()) return;
+  try {
+    await getVariant(recording, DEFAULT_VARIANT);
+  } catch (error) {
+    // The original can still be served; don't fail the prefetch over it
+    console.error(`[Recordings] Could not transcode call ${callId}:`, error.message);
+  }
+}
+
+async function removeVariants(callId) {
+  const variants = await sqlite.all(database.getDb(),
+    'SELECT file_name FROM recording_variants WHERE call_id = ?', [callId]);
+  for (const variant of variants) {
+    fs.rmSync(filePath(variant), { force: true });
+  }
+  await sqlite.run(database.getDb(), 'DELETE FROM recording_variants WHERE call_id = ?', [callId]);
+}
+
+async function removeRecording(recording) {
+  await removeVariants(recording.call_id);
+  fs.rmSync(filePath(recording), { force: true });
+  await sqlite.run(database.getDb(), 'DELETE FROM recordings WHERE call_id = ?', [recording.call_id]);
+}
+
+// Drop recordings not played within the age limit, then the least recently
+// played ones until the cache fits the size limit. `keepCallId` protects a
+// recording that is about to be served.
+async function evict({ keepCallId = null, now = new Date() } = {}) {
+  const { maxBytes, maxAgeMs } = retentionLimits();
+  const recordings = await sqlite.all(database.getDb(), `
+    SELECT recordings.call_id, recordings.file_name, recordings.last_accessed_at,
+      recordings.size + COALESCE((
+        SELECT SUM(size) FROM recording_variants WHERE recording_variants.call_id = recordings.call_id
+      ), 0) AS size
+    FROM recordings
+    ORDER BY last_accessed_at, call_id
+  `);
+
+  let totalSize = recordings.reduce((sum, recording) => sum + recording.size, 0);
+  let removed = 0;
+  for (const recording of recordings) {
+    if (recording.call_id === keepCallId) continue;
+    const expired = maxAgeMs > 0 && now - new Date(recording.last_accessed_at) > maxAgeMs;
+    if (!expired && totalSize <= maxBytes) continue;
+    await removeRecording(recording);
+    totalSize -= recording.size;
+    removed++;
+  }
+
+  if (removed) {
+    console.log(`[Recordings] Evicted ${removed} recording(s); cache is ${totalSize} bytes`);
+  }
+  return { removed, totalSize };
+}
+
+// Parse a Range header against a file size. Returns null when the whole file
+// should be sent (no header, or a form we don't serve such as multiple
+// ranges), { start, end } for a single range, or { unsatisfiable: true }.
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    const length = parseInt(match[2], 10);
+    if (length === 0) return { unsatisfiable: true };
+    start = Math.max(size - length, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+}
+
+let evictionTimer = null;
+
+function startEviction({ interval = EVICTION_INTERVAL_MS } = {}) {
+  if (evictionTimer) return;
+  retentionLimits();
+  const runEviction = () => evict().catch((error) => {
+    console.error('[Recordings] Eviction failed:', error);
+  });
+  evictionTimer = setInterval(runEviction, interval);
+  evictionTimer.unref();
+  runEviction();
+}
+
+function stopEviction() {
+  clearInterval(evictionTimer);
+  evictionTimer = null;
+}
+
+module.exports = {
+  recordingsDir,
+  retentionLimits,
+  getRecording,
+  findVariant,
+  getVariant,
+  getWaveform,
+  prefetchRecording,
+  evict,
+  parseRange,
+  startEviction,
+  stopEviction
+};
@@ -0,0 +1,81 @@
+// Redact PII in calls stored before redaction was introduced. Originals are
+// kept encrypted when PII_ENCRYPTION_KEY is set; without it they are lost,
+// so the command asks for --no-originals to confirm.
+//
+// CLI: node server/redact.cjs [--dry-run] [--no-originals]
+require('dotenv').config();
+const database = require('./db.cjs');
+const redaction = require('./redaction.cjs');
+
+async function redactStoredCall(call) {
+  const { messages, counts } = redaction.redactMessages(await database.getCallMessages(call.id));
+  const transcriptResult = redaction.redactText(call.transcript);
+  const summaryResult = redaction.redactText(call.summary);
+  // The transcript repeats the messages, so only count it when there are none
+  if (!messages.length) {
+    redaction.mergeCounts(counts, transcriptResult.counts);
+  }
+  redaction.mergeCounts(counts, summaryResult.counts);
+
+  const changed = transcriptResult.text !== call.transcript;
+  return {
+    transcript: transcriptResult.text,
+    transcriptOriginal: changed ? redaction.encrypt(call.transcript) : null,
+    summary: summaryResult.text,
+    redactions: counts,
+    messages
+  };
+}
+
+async function redactStoredCalls({ dryRun = false } = {}) {
+  let total = 0;
+  let redacted = 0;
+  for (;;) {
+    // Saved calls drop out of the list; a dry run has to page past them
+    const calls = await database.listUnredactedCalls(100, dryRun ? total : 0);
+    if (!calls.length) break;
+
+    for (const call of calls) {
+      const result = await redactStoredCall(call);
+      total++;
+      const items = Object.values(result.redactions).reduce((sum, count) => sum + count, 0);
+      if (items > 0) {
+        redacted++;
+        console.log(`[Redact] ${call.id}: ${items} item(s)`, result.redactions);
+      }
+      if (!dryRun) {
+        await database.saveRedaction(call.id, result);
+      }
+    }
+  }
+  return { total, redacted };
+}
+
+module.exports = { redactStoredCalls };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+
+  if (!dryRun && !process.env.PII_ENCRYPTION_KEY && !args.includes('--no-originals')) {
+    console.error('PII_ENCRYPTION_KEY is not set, so originals would be discarded. Pass --no-originals to continue anyway.');
+    process.exit(1);
+  }
+
+  database.init()
+    .then(() => redactStoredCalls({ dryRun }))
+    .then(({ total, redacted }) => {
+      console.log(`[Redact] ${dryRun ? 'Dry run: ' : ''}${redacted} of ${total} checked call(s) contained PII`);
+    })
+    .catch((error) => {
+      console.error('Redaction failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => {
+      try {
+        database.getDb().close();
+      } catch {
+        // never opened
+      }
+    });
+}
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// PII redaction for transcripts. Each rule replaces matches with a token such
+// as [AADHAAR]; rules run in order, so the more specific number formats come
+// before the catch-all long number rule.
+//
+// Configuration (env):
+//   PII_REDACTION=off        disable redaction entirely
+//   PII_REDACTION_RULES      comma-separated built-in rules to run (default all)
+//   PII_RULES_FILE           JSON array of extra rules: [{ "name", "pattern", "flags", "token" }]
+//   PII_ENCRYPTION_KEY       keep the unredacted text, encrypted with this key
+//   PII_VIEW_ROLE            minimum role allowed to see originals (default admin)
+
+// Luhn checksum, so only plausible card numbers are treated as cards
+function luhnValid(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+const BUILT_IN_RULES = [
+  { name: 'email', token: '[EMAIL]', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  { name: 'card', token: '[CARD]', pattern: /(?<!\d)(?:\d[ -]?){12,18}\d(?!\d)/g, validate: luhnValid },
+  // 12 digits, optionally grouped 4-4-4; Aadhaar numbers never start with 0 or 1,
+  // and a leading + makes it a phone number (+91 and ten digits)
+  { name: 'aadhaar', token: '[AADHAAR]', pattern: /(?<![\d+])[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}(?!\d)/g },
+  // Indian mobile numbers with optional +91 / 0 prefix and common groupings
+  {
+    name: 'phone',
+    token: '[PHONE]',
+    pattern: /(?<![\d+])(?:(?:\+|00)?91[ -]?|0)?[6-9](?:\d{9}|\d{4}[ -]\d{5}|\d{2}[ -]\d{3}[ -]\d{4})(?!\d)/g
+  },
+  { name: 'pan', token: '[PAN]', pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/gi },
+  { name: 'voter_id', token: '[VOTER_ID]', pattern: /\b[A-Z]{3}\d{7}\b/gi },
+  { name: 'passport', token: '[PASSPORT]', pattern: /\b[A-Z]\d{7}\b/gi },
+  // Bank account and other long numbers not caught above
+  { name: 'long_number', token: '[NUMBER]', pattern: /(?<!\d)\d{9,18}(?!\d)/g },
+  // Only 6-digit numbers introduced as a PIN code; the keyword is kept
+  {
+    name: 'pincode',
+    token: '[PINCODE]',
+    keepPrefix: true,
+    pattern: /\b((?:pin\s*code|pincode|postal\s*code|zip\s*code|pin)\s*(?:is|:|-)?\s*)[1-9]\d{2}\s?\d{3}\b/gi
+  },
+  // House / flat numbers; street addresses can't be detected reliably
+  {
+    name: 'address',
+    token: '[ADDRESS]',
+    keepPrefix: true,
+    pattern: /\b((?:flat|house|plot|door|room|h\.?\s?no\.?)\s*(?:no\.?|number)?\s*[:#-]?\s*)[\w/-]*\d[\w/-]*/gi
+  }
+];
+
+function loadRulesFile(file) {
+  if (!file) return [];
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read PII rules file ${file}: ${error.message}`);
+  }
+  return rules.map(rule => ({
+    name: rule.name,
+    token: rule.token || `[${String(rule.name).toUpperCase()}]`,
+    pattern: new RegExp(rule.pattern, rule.flags?.includes('g') ? rule.flags : `${rule.flags || ''}g`)
+  }));
+}
+
+// Resolve the active rules from the environment
+function loadRules(env = process.env) {
+  if (env.PII_REDACTION === 'off') return [];
+
+  let rules = BUILT_IN_RULES;
+  if (env.PII_REDACTION_RULES) {
+    const enabled = env.PII_REDACTION_RULES.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = enabled.filter(name => !BUILT_IN_RULES.some(rule => rule.name === name));
+    if (unknown.length) {
+      throw new Error(`Unknown PII redaction rule(s): ${unknown.join(', ')}`);
+    }
+    rules = BUILT_IN_RULES.filter(rule => enabled.includes(rule.name));
+  }
+  return [...rules, ...loadRulesFile(env.PII_RULES_FILE)];
+}
+
+let rules = null;
+
+function getRules() {
+  if (!rules) {
+    rules = loadRules();
+  }
+  return rules;
+}
+
+// Returns { text, counts } where counts maps rule name -> replacements
+function redactText(text, activeRules = getRules()) {
+  const counts = {};
+  let redacted = text || '';
+  for (const rule of activeRules) {
+    rule.pattern.lastIndex = 0;
+    redacted = redacted.replace(rule.pattern, (match, ...groups) => {
+      if (rule.validate && !rule.validate(match)) return match;
+      counts[rule.name] = (counts[rule.name] || 0) + 1;
+      return (rule.keepPrefix ? groups[0] : '') + rule.token;
+    });
+  }
+  return { text: redacted, counts };
+}
+
+function mergeCounts(target, counts) {
+  for (const [name, count] of Object.entries(counts)) {
+    target[name] = (target[name] || 0) + count;
+  }
+  return target;
+}
+
+// Key for keeping originals, derived from PII_ENCRYPTION_KEY (null if unset)
+function encryptionKey(env = process.env) {
+  return env.PII_ENCRYPTION_KEY
+    ? crypto.createHash('sha256').update(env.PII_ENCRYPTION_KEY).digest()
+    : null;
+}
+
+// AES-256-GCM; stored as v1:<iv>:<tag>:<ciphertext>, base64
+function encrypt(plainText, key = encryptionKey()) {
+  if (!key) return null;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), encrypted].map(part => (typeof part === 'string' ? part : part.toString('base64'))).join(':');
+}
+
+function decrypt(token, key = encryptionKey()) {
+  if (!token) return null;
+  if (!key) throw new Error('PII_ENCRYPTION_KEY is not configured');
+  const [version, iv, tag, encrypted] = token.split(':');
+  if (version !== 'v1') throw new Error('Unsupported encrypted value');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Redact transcript messages. Each message whose text changed keeps its
+// original in `text_original` (encrypted, or null without a key). Returns
+// { messages, counts }.
+function redactMessages(messages) {
+  const counts = {};
+  const redacted = messages.map(message => {
+    const result = redactText(message.text);
+    mergeCounts(counts, result.counts);
+    const changed = result.text !== message.text;
+    return {
+      ...message,
+      text: result.text,
+      text_original: changed ? encrypt(message.text) : null
+    };
+  });
+  return { messages: redacted, counts };
+}
+
+// Keep the last four digits of a phone number
+function maskPhone(phone) {
+  if (!phone || !/\d{5,}/.test(phone.replace(/\D/g, ''))) return phone;
+  const digits = phone.replace(/\D/g, '');
+  return `${'•'.repeat(digits.length - 4)}${digits.slice(-4)}`;
+}
+
+function phoneMaskingEnabled() {
+  return getRules().some(rule => rule.name === 'phone');
+}
+
+module.exports = {
+  BUILT_IN_RULES,
+  loadRules,
+  redactText,
+  redactMessages,
+  mergeCounts,
+  encrypt,
+  decrypt,
+  maskPhone,
+  phoneMaskingEnabled
+};
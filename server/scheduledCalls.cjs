@@ -0,0 +1,476 @@
+const { EventEmitter } = require('events');
+const sqlite = require('./sqlite.cjs');
+const database = require('./db.cjs');
+const outbound = require('./outbound.cjs');
+const agentProfiles = require('./agentProfiles.cjs');
+const promptTemplate = require('./promptTemplate.cjs');
+
+// Calls booked for a later time. The scheduler places each call through the
+// same Twilio + Ultravox flow as /make-call once it falls due. Callbacks can
+// also be booked automatically from a call's suggested next step. Each call
+// keeps the agent profile and context it will be placed with; the booked
+// name fills {{customer_name}}.
+//
+// Configuration (env):
+//   AUTO_CALLBACKS       "on" books a callback when the analysis suggests one
+//   CALLBACK_TIMEZONE    timezone for times such as "tomorrow at 5"
+//                        (default Asia/Kolkata)
+//
+// Events: 'updated' (id) whenever a scheduled call changes
+const events = new EventEmitter();
+
+const STATUSES = ['scheduled', 'dialing', 'placed', 'failed', 'missed', 'canceled'];
+// Statuses that can still be rescheduled or canceled
+const OPEN_STATUSES = ['scheduled', 'failed', 'missed'];
+
+const TICK_INTERVAL_MS = 15000;
+// A call the scheduler couldn't place within this long of its time (e.g. the
+// server was down) is marked missed rather than dialed late
+const MAX_LATENESS_MS = 60 * 60 * 1000;
+const MAX_DAYS_AHEAD = 365;
+
+function callbackTimezone() {
+  return process.env.CALLBACK_TIMEZONE || 'Asia/Kolkata';
+}
+
+function autoCallbacksEnabled() {
+  return process.env.AUTO_CALLBACKS === 'on';
+}
+
+function normalizePhone(phone) {
+  if (typeof phone !== 'string') return null;
+  const formatted = outbound.formatPhoneNumber(phone);
+  const digits = formatted.replace(/\D/g, '').length;
+  return digits >= 10 && digits <= 15 ? formatted : null;
+}
+
+// Returns an error message, or null when the fields are valid. With `partial`
+// only the fields present are checked.
+function validateScheduleFields(fields, { partial = false, now = new Date() } = {}) {
+  const has = (key) => !partial || fields[key] !== undefined;
+
+  if (has('phone') && !normalizePhone(fields.phone)) {
+    return 'phone must be a phone number';
+  }
+  if (fields.name !== undefined && fields.name !== null
+    && (typeof fields.name !== 'string' || fields.name.length > 100)) {
+    return 'name must be at most 100 characters';
+  }
+  if (fields.notes !== undefined && fields.notes !== null
+    && (typeof fields.notes !== 'string' || fields.notes.length > 500)) {
+    return 'notes must be at most 500 characters';
+  }
+  if (fields.profile_id !== undefined && fields.profile_id !== null
+    && !(Number.isInteger(fields.profile_id) && fields.profile_id > 0)) {
+    return 'profile_id must be an agent profile id';
+  }
+  const contextError = promptTemplate.validateContext(fields.context);
+  if (contextError) return contextError;
+  if (has('scheduled_at')) {
+    const time = new Date(fields.scheduled_at);
+    if (typeof fields.scheduled_at !== 'string' || Number.isNaN(time.getTime())) {
+      return 'scheduled_at must be an ISO date and time';
+    }
+    // A minute of slack for clock skew between browser and server
+    if (time < now - 60 * 1000) {
+      return 'scheduled_at must be in the future';
+    }
+    if (time - now > MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+      return `scheduled_at must be within ${MAX_DAYS_AHEAD} days`;
+    }
+  }
+  return null;
+}
+
+// Rows carry the profile's name and the context as an object
+const SELECT_SCHEDULED = `
+  SELECT scheduled_calls.*, agent_profiles.name AS profile_name
+  FROM scheduled_calls LEFT JOIN agent_profiles ON agent_profiles.id = scheduled_calls.profile_id
+`;
+
+function toScheduledCall(row) {
+  return row ? { ...row, context: row.context ? JSON.parse(row.context) : {} } : null;
+}
+
+async function getScheduledCall(id) {
+  return toScheduledCall(await sqlite.get(database.getDb(), `${SELECT_SCHEDULED} WHERE scheduled_calls.id = ?`, [id]));
+}
+
+// The variables a call's prompt would be missing: the name fills
+// {{customer_name}} unless the context gives one
+function missingVariables(profile, name, context) {
+  return promptTemplate.renderPrompt(profile.system_prompt, { customer_name: name, ...context }).missing;
+}
+
+function missingVariablesError(missing) {
+  return Object.assign(new Error(`Missing context for the prompt: ${missing.join(', ')}`), { status: 400 });
+}
+
+// Upcoming calls (soonest first) followed by the rest, most recent first.
+// Filters: status, source_call_id
+async function listScheduledCalls({ status, sourceCallId, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (status) {
+    where.push('scheduled_calls.status = ?');
+    params.push(status);
+  }
+  if (sourceCallId) {
+    where.push('source_call_id = ?');
+    params.push(sourceCallId);
+  }
+  const rows = await sqlite.all(database.getDb(), `
+    ${SELECT_SCHEDULED}
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY CASE WHEN status IN ('scheduled', 'dialing') THEN 0 ELSE 1 END,
+      CASE WHEN status IN ('scheduled', 'dialing') THEN scheduled_at END,
+      scheduled_at DESC
+    LIMIT ?
+  `, [...params, limit]);
+  return rows.map(toScheduledCall);
+}
+
+// Book a call. Without a phone number, `source_call_id` supplies the number
+// (and name) of the caller on that call. Without a profile, a call placed by
+// this server is rung back with the profile and context it had, and anything
+// else with the default profile. Throws with `status` when the fields are
+// invalid, the profile can't be used or its prompt would be missing
+// variables.
+async function createScheduledCall(fields, { createdBy = null, source = 'manual' } = {}) {
+  let { phone, name, profile_id: profileId } = fields;
+  let context = fields.context || {};
+  if (fields.source_call_id) {
+    const call = await sqlite.get(database.getDb(),
+      'SELECT caller_name, caller_phone FROM calls WHERE id = ?', [fields.source_call_id]);
+    if (!call) throw Object.assign(new Error('Call not found'), { status: 404 });
+    if (!phone) {
+      phone = call.caller_phone;
+      name = name || call.caller_name;
+    }
+    const agent = profileId === undefined && await agentProfiles.getCallAgent(fields.source_call_id);
+    if (agent) {
+      profileId = agent.profile.id;
+      context = { ...agent.context, ...context };
+    }
+  }
+
+  const error = validateScheduleFields({ ...fields, phone });
+  if (error) throw Object.assign(new Error(error), { status: 400 });
+  const profile = await agentProfiles.resolveProfile(profileId);
+  const missing = missingVariables(profile, name?.trim(), context);
+  if (missing.length) throw missingVariablesError(missing);
+
+  const now = new Date().toISOString();
+  const { lastID } = await sqlite.run(database.getDb(), `
+    INSERT INTO scheduled_calls (phone, name, notes, scheduled_at, source, source_call_id, profile_id, context,
+      created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [normalizePhone(phone), name?.trim() || null, fields.notes?.trim() || null,
+    new Date(fields.scheduled_at).toISOString(), source, fields.source_call_id || null, profile.id,
+    Object.keys(context).length ? JSON.stringify(context) : null, createdBy, now, now]);
+  console.log(`[Schedule] Call ${lastID} booked for ${new Date(fields.scheduled_at).toISOString()}`);
+  events.emit('updated', lastID);
+  wake();
+  return getScheduledCall(lastID);
+}
+
+// Change the time, number, name, notes, profile or context (which replaces
+// the stored one). Failed and missed calls go back to 'scheduled'. Throws
+// with `status` like createScheduledCall.
+async function updateScheduledCall(id, fields) {
+  const error = validateScheduleFields(fields, { partial: true });
+  if (error) throw Object.assign(new Error(error), { status: 400 });
+  const current = await getScheduledCall(id);
+  if (!current) return null;
+
+  const updates = { status: 'scheduled', error: null, updated_at: new Date().toISOString() };
+  if (fields.phone !== undefined) updates.phone = normalizePhone(fields.phone);
+  if (fields.name !== undefined) updates.name = fields.name?.trim() || null;
+  if (fields.notes !== undefined) updates.notes = fields.notes?.trim() || null;
+  if (fields.scheduled_at !== undefined) updates.scheduled_at = new Date(fields.scheduled_at).toISOString();
+  if (fields.context !== undefined) {
+    updates.context = fields.context && Object.keys(fields.context).length ? JSON.stringify(fields.context) : null;
+  }
+
+  const profile = await agentProfiles.resolveProfile(
+    fields.profile_id !== undefined ? fields.profile_id : current.profile_id);
+  updates.profile_id = profile.id;
+  const missing = missingVariables(profile, updates.name !== undefined ? updates.name : current.name,
+    fields.context !== undefined ? fields.context || {} : current.context);
+  if (missing.length) throw missingVariablesError(missing);
+
+  const keys = Object.keys(updates);
+  const { changes } = await sqlite.run(database.getDb(), `
+    UPDATE scheduled_calls SET ${keys.map(key => `${key} = ?`).join(', ')}
+    WHERE id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+  `, [...keys.map(key => updates[key]), id, ...OPEN_STATUSES]);
+  if (changes) {
+    console.log(`[Schedule] Call ${id} rescheduled`);
+    events.emit('updated', Number(id));
+    wake();
+  }
+  return getScheduledCall(id);
+}
+
+async function cancelScheduledCall(id) {
+  const { changes } = await sqlite.run(database.getDb(), `
+    UPDATE scheduled_calls SET status = 'canceled', updated_at = ?
+    WHERE id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+  `, [new Date().toISOString(), id, ...OPEN_STATUSES]);
+  if (changes) {
+    console.log(`[Schedule] Call ${id} canceled`);
+    events.emit('updated', Number(id));
+  }
+  return getScheduledCall(id);
+}
+
+// Suggested next step -> callback time
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const CALLBACK_PATTERN = /\b(call(ing)?\s+(\w+\s+)?back|call-?back|return\s+(the\s+|their\s+)?call|follow[- ]up\s+call)\b/i;
+// Times used when the request names a day but no hour
+const DEFAULT_CALLBACK_MINUTES = 10 * 60;
+const PARTS_OF_DAY = { morning: 10 * 60, afternoon: 15 * 60, evening: 18 * 60, tonight: 19 * 60 };
+
+// Calendar date and weekday of `date` in `timeZone`
+function localDate(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, year: 'numeric', month: 'numeric', day: 'numeric', weekday: 'long'
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type).value;
+  return {
+    year: Number(part('year')),
+    month: Number(part('month')),
+    day: Number(part('day')),
+    weekday: WEEKDAYS.indexOf(part('weekday').toLowerCase())
+  };
+}
+
+// Milliseconds `timeZone` is ahead of UTC at `date`
+function zoneOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  const wall = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a wall-clock time on a local date occurs in `timeZone`. `day`
+// may overflow the month. The offset is applied twice to settle across DST
+// changes.
+function zonedTime({ year, month, day }, minutes, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  const guess = wall - zoneOffset(new Date(wall), timeZone);
+  return new Date(wall - zoneOffset(new Date(guess), timeZone));
+}
+
+// When a callback request such as "Call back tomorrow at 5 PM" asks to be
+// called, or null when the text doesn't ask for a callback. Understands
+// today/tomorrow/weekdays, clock times, parts of the day and "in N hours";
+// anything vaguer means the next day at 10:00. Hours 1-7 without am/pm (or
+// any hour with "evening" and the like) are taken as afternoon.
+function parseCallbackRequest(text, { from = new Date(), timeZone = callbackTimezone() } = {}) {
+  if (typeof text !== 'string' || !CALLBACK_PATTERN.test(text)) return null;
+  const lower = text.toLowerCase();
+
+  const relative = lower.match(/\bin\s+(an?|\d+)\s+(minute|hour|day)s?\b/);
+  if (relative) {
+    const amount = /^\d+$/.test(relative[1]) ? Number(relative[1]) : 1;
+    const unit = { minute: 60 * 1000, hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 }[relative[2]];
+    return new Date(from.getTime() + amount * unit);
+  }
+
+  const today = localDate(from, timeZone);
+  let dayOffset = null;
+  if (/\bday after tomorrow\b/.test(lower)) {
+    dayOffset = 2;
+  } else if (/\btomorrow\b/.test(lower)) {
+    dayOffset = 1;
+  } else if (/\b(today|tonight|later)\b/.test(lower)) {
+    dayOffset = 0;
+  } else {
+    const weekday = WEEKDAYS.findIndex(name => new RegExp(`\\b${name}\\b`).test(lower));
+    if (weekday !== -1) dayOffset = (weekday - today.weekday + 7) % 7 || 7;
+  }
+
+  let minutes = null;
+  const clock = lower.match(/\b(?:at|by|around|after)\s+(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?/)
+    || lower.match(/\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)/);
+  if (clock) {
+    let hours = Number(clock[1]);
+    const meridiem = clock[3]?.[0];
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    else if (meridiem === 'a' && hours === 12) hours = 0;
+    else if (!meridiem && hours >= 1 && hours < 12 && (hours < 8 || /\b(afternoon|evening|tonight)\b/.test(lower))) {
+      hours += 12;
+    }
+    const mins = Number(clock[2] || 0);
+    if (hours < 24 && mins < 60) minutes = hours * 60 + mins;
+  } else {
+    const part = Object.keys(PARTS_OF_DAY).find(name => lower.includes(name));
+    if (part) minutes = PARTS_OF_DAY[part];
+  }
+
+  if (dayOffset === null && minutes === null) dayOffset = 1;
+  let offset = dayOffset ?? 0;
+  let time = zonedTime({ ...today, day: today.day + offset }, minutes ?? DEFAULT_CALLBACK_MINUTES, timeZone);
+  // A time that has already passed today means the next day
+  if (time <= from) {
+    offset += 1;
+    time = zonedTime({ ...today, day: today.day + offset }, minutes ?? DEFAULT_CALLBACK_MINUTES, timeZone);
+  }
+  return time;
+}
+
+// Book a callback for a call whose analysis suggests one. Does nothing when
+// AUTO_CALLBACKS is off, the call already has a callback, the caller's number
+// is unknown or the requested time has passed (e.g. when re-analyzing old
+// calls). Returns the scheduled call or null.
+async function bookSuggestedCallback(callId, now = new Date()) {
+  if (!autoCallbacksEnabled()) return null;
+  const call = await sqlite.get(database.getDb(),
+    'SELECT id, timestamp, caller_phone, assessment_json FROM calls WHERE id = ?', [callId]);
+  if (!call?.assessment_json || !normalizePhone(call.caller_phone)) return null;
+
+  const { suggestedNextStep } = JSON.parse(call.assessment_json);
+  const from = call.timestamp ? new Date(call.timestamp) : now;
+  const time = parseCallbackRequest(suggestedNextStep, { from: Number.isNaN(from.getTime()) ? now : from });
+  if (!time || time <= now) return null;
+
+  const existing = await sqlite.get(database.getDb(),
+    'SELECT id FROM scheduled_calls WHERE source_call_id = ?', [callId]);
+  if (existing) return null;
+
+  console.log(`[Schedule] Booking callback for call ${callId}: "${suggestedNextStep}"`);
+  try {
+    return await createScheduledCall({
+      source_call_id: callId,
+      scheduled_at: time.toISOString(),
+      notes: suggestedNextStep
+    }, { source: 'suggested' });
+  } catch (error) {
+    // The call's profile was archived, or its prompt needs values the call
+    // didn't have; a supervisor can still book the callback by hand
+    if (!error.status) throw error;
+    console.warn(`[Schedule] Not booking callback for call ${callId}: ${error.message}`);
+    return null;
+  }
+}
+
+// Scheduler
+
+async function setOutcome(id, status, { callSid = null, callId = null, error = null } = {}, now = new Date()) {
+  await sqlite.run(database.getDb(), `
+    UPDATE scheduled_calls SET status = ?, call_sid = ?, call_id = ?, error = ?, updated_at = ?, placed_at = ?
+    WHERE id = ?
+  `, [status, callSid, callId, error, now.toISOString(), status === 'placed' ? now.toISOString() : null, id]);
+  events.emit('updated', id);
+}
+
+// Claim a due call and place it. The row is marked 'dialing' first so a
+// crash can't place it twice.
+async function placeScheduledCall(scheduled, now = new Date()) {
+  const { changes } = await sqlite.run(database.getDb(), `
+    UPDATE scheduled_calls SET status = 'dialing', updated_at = ? WHERE id = ? AND status = 'scheduled'
+  `, [now.toISOString(), scheduled.id]);
+  if (!changes) return;
+
+  try {
+    const profile = await agentProfiles.resolveProfile(scheduled.profile_id);
+    const context = scheduled.context ? JSON.parse(scheduled.context) : {};
+    const call = await outbound.placeCall(scheduled.phone, {
+      profile,
+      context: { customer_name: scheduled.name, ...context }
+    });
+    console.log(`[Schedule] Placed call ${scheduled.id} (${call.callSid})`);
+    await setOutcome(scheduled.id, 'placed', { callSid: call.callSid, callId: call.ultravoxCallId }, now);
+  } catch (error) {
+    console.error(`[Schedule] Could not place call ${scheduled.id}:`, error.message);
+    await setOutcome(scheduled.id, 'failed', { error: error.message }, now);
+  }
+}
+
+async function tick(now = new Date()) {
+  // Ticks don't overlap, so anything still dialing was interrupted (e.g. by
+  // a restart) between being claimed and placed
+  const interrupted = await sqlite.all(database.getDb(), "SELECT id FROM scheduled_calls WHERE status = 'dialing'");
+  for (const { id } of interrupted) {
+    await setOutcome(id, 'failed', { error: 'The call was not placed' }, now);
+  }
+
+  const due = await sqlite.all(database.getDb(), `
+    SELECT * FROM scheduled_calls WHERE status = 'scheduled' AND scheduled_at <= ? ORDER BY scheduled_at
+  `, [now.toISOString()]);
+  if (!due.length) return;
+
+  const configError = outbound.missingConfig();
+  for (const scheduled of due) {
+    if (now - new Date(scheduled.scheduled_at) > MAX_LATENESS_MS) {
+      await setOutcome(scheduled.id, 'missed', { error: 'Not placed within an hour of the scheduled time' }, now);
+    } else if (configError) {
+      console.warn(`[Schedule] Not dialing: ${configError}`);
+    } else {
+      await placeScheduledCall(scheduled, now);
+    }
+  }
+}
+
+let timer = null;
+let ticking = false;
+let started = false;
+let interval = TICK_INTERVAL_MS;
+
+async function runTick() {
+  if (ticking) return;
+  ticking = true;
+  clearTimeout(timer);
+  try {
+    await tick();
+  } catch (error) {
+    console.error('[Schedule] Scheduler error:', error);
+  } finally {
+    ticking = false;
+    if (started) {
+      timer = setTimeout(runTick, interval);
+    }
+  }
+}
+
+// Run a tick now rather than waiting for the next one
+function wake() {
+  if (started && !ticking) {
+    setImmediate(runTick);
+  }
+}
+
+function startScheduler(options = {}) {
+  if (started) return;
+  started = true;
+  interval = options.interval || TICK_INTERVAL_MS;
+  console.log('[Schedule] Scheduler started');
+  runTick();
+}
+
+function stopScheduler() {
+  started = false;
+  clearTimeout(timer);
+}
+
+module.exports = {
+  events,
+  STATUSES,
+  OPEN_STATUSES,
+  validateScheduleFields,
+  getScheduledCall,
+  listScheduledCalls,
+  createScheduledCall,
+  updateScheduledCall,
+  cancelScheduledCall,
+  parseCallbackRequest,
+  bookSuggestedCallback,
+  tick,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,33 @@
+// Conversion of Ultravox call messages into stored transcript messages
+
+const SPEAKERS = {
+  MESSAGE_ROLE_AGENT: 'agent',
+  MESSAGE_ROLE_USER: 'user'
+};
+
+// Ultravox durations are strings like "12.345s"; returns milliseconds or null
+function durationToMs(duration) {
+  if (duration === undefined || duration === null) return null;
+  const seconds = parseFloat(String(duration).replace(/s$/, ''));
+  return isNaN(seconds) ? null : Math.round(seconds * 1000);
+}
+
+// Keep text messages with their speaker, position and timing
+function parseUltravoxMessages(results = []) {
+  return results
+    .map((msg, index) => ({
+      ordinal: index,
+      speaker: SPEAKERS[msg.role] || String(msg.role || 'unknown').replace(/^MESSAGE_ROLE_/, '').toLowerCase(),
+      text: msg.text,
+      start_ms: durationToMs(msg.timespan?.start),
+      end_ms: durationToMs(msg.timespan?.end)
+    }))
+    .filter(msg => msg.text);
+}
+
+// Flattened transcript text, one message per line
+function transcriptText(messages) {
+  return messages.map(msg => msg.text).join('\n');
+}
+
+module.exports = { durationToMs, parseUltravoxMessages, transcriptText };
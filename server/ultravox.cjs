@@ -0,0 +1,43 @@
+const fetch = require('node-fetch');
+const { parseUltravoxMessages } = require('./transcript.cjs');
+
+const ULTRAVOX_API_URL = 'https://api.ultravox.ai/api';
+
+// Fetch a call's messages from Ultravox as stored transcript messages.
+// Throws on any HTTP or network error so callers can retry.
+async function fetchCallMessages(callId) {
+  const response = await fetch(`${ULTRAVOX_API_URL}/calls/${callId}/messages`, {
+    method: 'GET',
+    headers: {
+      'X-API-Key': process.env.ULTRAVOX_API_KEY
+    }
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch messages: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  console.log(`[Ultravox] Fetched ${data.results?.length || 0} messages for call ${callId}`);
+  return parseUltravoxMessages(data.results);
+}
+
+// Start downloading a call's recording. Resolves to the response, whose body
+// is still to be read; throws with `status` set when Ultravox refuses.
+async function fetchRecording(callId) {
+  const response = await fetch(`${ULTRAVOX_API_URL}/calls/${callId}/recording`, {
+    method: 'GET',
+    headers: {
+      'X-API-Key': process.env.ULTRAVOX_API_KEY,
+      'Accept': 'audio/wav,audio/*;q=0.9,*/*;q=0.8',
+      'User-Agent': 'JTXViewer/1.0'
+    }
+  });
+  if (!response.ok) {
+    const error = new Error(`Failed to fetch recording: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+}
+
+module.exports = { ULTRAVOX_API_URL, fetchCallMessages, fetchRecording };
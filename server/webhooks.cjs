@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const sqlite = require('./sqlite.cjs');
+const database = require('./db.cjs');
+
+// Persistent log of inbound webhook events. Each (call id, event type) pair
+// is stored once; a redelivery of the same pair is reported as a duplicate.
+//
+// Event status: received -> processed | ignored (no handler) | failed
+
+function toEvent(row) {
+  return row ? { ...row, payload: JSON.parse(row.payload) } : null;
+}
+
+// An event still 'received' after this long was abandoned mid-handler (e.g.
+// by a crash or restart) rather than still being processed
+const PROCESSING_LEASE_MS = 2 * 60 * 1000;
+
+// SQLite's CURRENT_TIMESTAMP format, in UTC
+function sqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Store an event; returns { event, duplicate }. A redelivery of an event
+// whose processing failed, or was abandoned past the lease, is not a
+// duplicate, so the sender's retry can succeed. The redelivery claims the
+// event, so a concurrent one is still a duplicate.
+async function recordEvent(callId, event, payload, now = new Date()) {
+  const { changes } = await sqlite.run(database.getDb(), `
+    INSERT OR IGNORE INTO webhook_events (call_id, event, payload, received_at) VALUES (?, ?, ?, ?)
+  `, [callId, event, JSON.stringify(payload), sqlTimestamp(now)]);
+  let claimed = 0;
+  if (!changes) {
+    ({ changes: claimed } = await sqlite.run(database.getDb(), `
+      UPDATE webhook_events SET status = 'received', received_at = ?
+      WHERE call_id = ? AND event = ? AND (status = 'failed' OR (status = 'received' AND received_at <= ?))
+    `, [sqlTimestamp(now), callId, event, sqlTimestamp(new Date(now.getTime() - PROCESSING_LEASE_MS))]));
+  }
+  const row = await sqlite.get(database.getDb(), `
+    SELECT * FROM webhook_events WHERE call_id = ? AND event = ?
+  `, [callId, event]);
+  return { event: toEvent(row), duplicate: changes === 0 && claimed === 0 };
+}
+
+async function getEvent(id) {
+  return toEvent(await sqlite.get(database.getDb(), 'SELECT * FROM webhook_events WHERE id = ?', [id]));
+}
+
+// Newest first; `before` is the id of the last event of the previous page
+async function listEvents({ callId, event, status, before, limit = 50 } = {}) {
+  const where = [];
+  const params = [];
+  if (callId) {
+    where.push('call_id = ?');
+    params.push(callId);
+  }
+  if (event) {
+    where.push('event = ?');
+    params.push(event);
+  }
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (before) {
+    where.push('id < ?');
+    params.push(before);
+  }
+  const rows = await sqlite.all(database.getDb(), `
+    SELECT * FROM webhook_events
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `, [...params, limit]);
+  return rows.map(toEvent);
+}
+
+async function markEvent(id, status, error = null) {
+  await sqlite.run(database.getDb(), `
+    UPDATE webhook_events SET status = ?, error = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?
+  `, [status, error, id]);
+}
+
+// Run a stored event through its handler (from `handlers`, keyed by event
+// type) and record the outcome. Used for new events and for replays.
+async function processEvent(event, handlers, { replay = false } = {}) {
+  if (replay) {
+    await sqlite.run(database.getDb(), `
+      UPDATE webhook_events SET replay_count = replay_count + 1 WHERE id = ?
+    `, [event.id]);
+  }
+
+  const handler = handlers[event.event];
+  if (!handler) {
+    console.log(`[Webhook] No handler for ${event.event}; event ${event.id} ignored`);
+    await markEvent(event.id, 'ignored');
+    return { status: 'ignored' };
+  }
+
+  try {
+    const result = await handler(event.payload, { replay });
+    await markEvent(event.id, 'processed');
+    return { status: 'processed', result };
+  } catch (error) {
+    console.error(`[Webhook] Event ${event.id} (${event.event}) failed:`, error);
+    await markEvent(event.id, 'failed', error.message);
+    throw error;
+  }
+}
+
+// Ultravox signs each webhook request with HMAC-SHA256 over the raw body
+// followed by the X-Ultravox-Webhook-Timestamp value, hex encoded, in
+// X-Ultravox-Webhook-Signature. The header may hold several comma-separated
+// signatures while a secret is being rotated.
+const SIGNATURE_HEADER = 'X-Ultravox-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Ultravox-Webhook-Timestamp';
+const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+function signPayload(rawBody, timestamp, secret) {
+  return crypto.createHmac('sha256', secret)
+    .update(rawBody)
+    .update(timestamp)
+    .digest('hex');
+}
+
+// Check a request's signature and timestamp; returns { valid, reason }
+function verifySignature({ rawBody, timestamp, signature, secret, now = Date.now(), toleranceMs = SIGNATURE_TOLERANCE_MS }) {
+  if (!timestamp || !signature) {
+    return { valid: false, reason: 'missing signature headers' };
+  }
+
+  const sentAt = Date.parse(timestamp);
+  if (isNaN(sentAt)) {
+    return { valid: false, reason: 'invalid timestamp' };
+  }
+  if (Math.abs(now - sentAt) > toleranceMs) {
+    return { valid: false, reason: 'stale timestamp' };
+  }
+
+  const expected = Buffer.from(signPayload(rawBody || Buffer.alloc(0), timestamp, secret), 'hex');
+  const matches = signature.split(',').some(candidate => {
+    const provided = Buffer.from(candidate.trim(), 'hex');
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  });
+  return matches ? { valid: true, reason: null } : { valid: false, reason: 'signature mismatch' };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signPayload,
+  verifySignature,
+  recordEvent, getEvent, listEvents, processEvent };
@@ -0,0 +1,66 @@
+import { useState, useEffect, useCallback } from 'react';
+import { formatCallDuration } from './callDisplay.js';
+import StatusPill from './StatusPill.jsx';
+
+const DIAL_STATUS_STYLES = {
+  initiated: 'bg-slate-100 text-slate-700',
+  ringing: 'bg-sky-100 text-sky-800 animate-pulse',
+  answered: 'bg-emerald-100 text-emerald-800 animate-pulse',
+  completed: 'bg-emerald-100 text-emerald-800',
+  busy: 'bg-amber-100 text-amber-800',
+  'no-answer': 'bg-amber-100 text-amber-800',
+  failed: 'bg-rose-100 text-rose-800',
+  canceled: 'bg-slate-100 text-slate-700'
+};
+
+// Live dial status of outbound calls, from Twilio status callbacks. Calls
+// that ended stay listed for a few minutes so their outcome can be seen.
+// `statusVersion` changes whenever the page's socket reports a status update.
+const ActiveCallsPanel = ({ apiFetch, statusVersion, onSelectCall }) => {
+  const [activeCalls, setActiveCalls] = useState([]);
+
+  const loadActiveCalls = useCallback(async () => {
+    try {
+      const response = await apiFetch('/active-calls');
+      if (!response.ok) throw new Error('Failed to load active calls');
+      const data = await response.json();
+      setActiveCalls(data.calls);
+    } catch (err) {
+      console.error('Error fetching active calls:', err);
+    }
+  }, [apiFetch]);
+
+  useEffect(() => {
+    loadActiveCalls();
+  }, [loadActiveCalls, statusVersion]);
+
+  // Also refetch now and then, so ended calls drop off the list
+  useEffect(() => {
+    const timer = setInterval(loadActiveCalls, 60000);
+    return () => clearInterval(timer);
+  }, [loadActiveCalls]);
+
+  if (!activeCalls.length) return null;
+
+  return (
+    <ul className="mt-4 divide-y divide-slate-100 border border-slate-200 rounded-lg">
+      {activeCalls.map(call => (
+        <li key={call.call_id} className="flex items-center gap-3 px-3 py-2 text-sm">
+          <StatusPill status={call.status} styles={DIAL_STATUS_STYLES} />
+          <span className="font-medium text-slate-700">{call.phone}</span>
+          {call.profile_name && <span className="text-slate-400">{call.profile_name}</span>}
+          <span className="ml-auto text-xs text-slate-400">
+            {call.duration !== null ? formatCallDuration(call.duration) : new Date(call.created_at).toLocaleTimeString()}
+          </span>
+          {call.status === 'completed' && (
+            <button onClick={() => onSelectCall(call.call_id)} className="text-xs text-indigo-600 hover:underline">
+              View
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default ActiveCallsPanel;
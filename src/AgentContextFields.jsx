@@ -0,0 +1,44 @@
+// Agent profile and prompt variables for calls placed later. A null
+// `profileId` means the default profile. Variables listed in `provided`
+// (e.g. customer_name, which the contact's name fills) aren't asked for.
+// `onChange({ profileId, context })` gets the context without blank values.
+const AgentContextFields = ({ profiles, profileId, context, provided = [], onChange, inputClass, labelClass }) => {
+  const profile = profiles.find(item => item.id === profileId) || profiles.find(item => item.is_default);
+  const variables = (profile?.variables || []).filter(variable => !provided.includes(variable.name));
+
+  const setValue = (name, value) => {
+    const next = { ...context, [name]: value };
+    if (!value.trim()) delete next[name];
+    onChange({ profileId, context: next });
+  };
+
+  return (
+    <>
+      <div>
+        <label className={labelClass}>Agent profile</label>
+        <select
+          value={profile?.id || ''}
+          onChange={(e) => onChange({ profileId: Number(e.target.value), context })}
+          className={inputClass}
+        >
+          {profiles.map(item => (
+            <option key={item.id} value={item.id} title={item.description || ''}>{item.name}</option>
+          ))}
+        </select>
+      </div>
+      {variables.map(variable => (
+        <div key={variable.name}>
+          <label className={labelClass}>{variable.name.replace(/_/g, ' ')}</label>
+          <input
+            value={context[variable.name] ?? ''}
+            onChange={(e) => setValue(variable.name, e.target.value)}
+            placeholder={variable.default === null ? 'required' : `default: ${variable.default}`}
+            className={inputClass}
+          />
+        </div>
+      ))}
+    </>
+  );
+};
+
+export default AgentContextFields;
@@ -0,0 +1,323 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApiFetch } from './api.js';
+import { AGENT_PROFILES_PATH } from './routes.js';
+import AppHeader from './AppHeader.jsx';
+
+const EMPTY_PROFILE = {
+  name: '',
+  description: '',
+  system_prompt: '',
+  voice: '',
+  model: 'fixie-ai/ultravox',
+  temperature: 0.3,
+  first_speaker: 'FIRST_SPEAKER_USER',
+  language_hint: ''
+};
+
+const FIRST_SPEAKER_LABELS = {
+  FIRST_SPEAKER_USER: 'Customer speaks first',
+  FIRST_SPEAKER_AGENT: 'Agent speaks first'
+};
+
+// Edit form for an agent profile. `onSubmit(fields)` may throw to show an
+// error.
+const AgentProfileForm = ({ profile, firstSpeakers, onSubmit }) => {
+  const [values, setValues] = useState(() => ({
+    ...EMPTY_PROFILE,
+    ...profile,
+    description: profile?.description || '',
+    language_hint: profile?.language_hint || ''
+  }));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const update = (key, parse = (value) => value) => (e) => setValues({ ...values, [key]: parse(e.target.value) });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      await onSubmit({
+        name: values.name,
+        description: values.description || null,
+        system_prompt: values.system_prompt,
+        voice: values.voice,
+        model: values.model,
+        temperature: values.temperature,
+        first_speaker: values.first_speaker,
+        language_hint: values.language_hint || null
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-slate-300 rounded-lg text-sm bg-white';
+  const labelClass = 'block text-xs font-medium text-slate-500 mb-1';
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>Name</label>
+          <input value={values.name} onChange={update('name')} className={inputClass} required />
+        </div>
+        <div>
+          <label className={labelClass}>Description</label>
+          <input value={values.description} onChange={update('description')} className={inputClass} />
+        </div>
+      </div>
+      <div>
+        <label className={labelClass}>System prompt</label>
+        <textarea value={values.system_prompt} onChange={update('system_prompt')} rows={10}
+          className={`${inputClass} font-mono`} required />
+        <p className="text-xs text-slate-400 mt-1">
+          {'Per-call details go in placeholders such as {{customer_name}} or {{ticket_id}}; '}
+          {'{{plan|not known}} uses the text after the bar when the call doesn’t give a value.'}
+        </p>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        <div>
+          <label className={labelClass}>Voice</label>
+          <input value={values.voice} onChange={update('voice')} className={inputClass} required />
+        </div>
+        <div>
+          <label className={labelClass}>Model</label>
+          <input value={values.model} onChange={update('model')} className={inputClass} required />
+        </div>
+        <div>
+          <label className={labelClass}>Temperature</label>
+          <input type="number" min="0" max="1" step="0.05" value={values.temperature}
+            onChange={update('temperature', Number)} className={inputClass} required />
+        </div>
+        <div>
+          <label className={labelClass}>First speaker</label>
+          <select value={values.first_speaker} onChange={update('first_speaker')} className={inputClass}>
+            {firstSpeakers.map(speaker => (
+              <option key={speaker} value={speaker}>{FIRST_SPEAKER_LABELS[speaker] || speaker}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>Language (e.g. hi, en-IN)</label>
+          <input value={values.language_hint} onChange={update('language_hint')} className={inputClass} />
+        </div>
+      </div>
+      {error && <p className="text-sm text-rose-600">{error}</p>}
+      <button
+        type="submit"
+        disabled={saving}
+        className={`px-4 py-2 rounded-lg text-sm text-white ${saving ? 'bg-slate-400' : 'bg-indigo-500 hover:bg-indigo-600'}`}
+      >
+        {saving ? 'Saving…' : profile ? 'Save changes' : 'Create profile'}
+      </button>
+    </form>
+  );
+};
+
+// Admin page: agent profiles on the left; the selected one's settings and
+// version history on the right
+const AgentProfilesPage = ({ user, onSignOut, onNavigate, onUnauthorized }) => {
+  const apiFetch = useApiFetch(onUnauthorized);
+  const [profiles, setProfiles] = useState([]);
+  const [firstSpeakers, setFirstSpeakers] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [openVersion, setOpenVersion] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const request = useCallback(async (path, options = {}) => {
+    const response = await apiFetch(path, {
+      ...options,
+      headers: { Accept: 'application/json', ...(options.body ? { 'Content-Type': 'application/json' } : {}) }
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Request failed');
+    return data;
+  }, [apiFetch]);
+
+  const loadProfiles = useCallback(async () => {
+    try {
+      const data = await request(AGENT_PROFILES_PATH);
+      setProfiles(data.profiles);
+      setFirstSpeakers(data.first_speakers);
+      setSelectedId(prevId => prevId ?? data.profiles[0]?.id ?? null);
+    } catch (err) {
+      console.error('Error fetching agent profiles:', err);
+      setError(err.message);
+    }
+  }, [request]);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  useEffect(() => {
+    if (!selectedId) return;
+    request(`${AGENT_PROFILES_PATH}/${selectedId}`)
+      .then(setSelected)
+      .catch((err) => setError(err.message));
+  }, [request, selectedId]);
+
+  const select = (id) => {
+    setCreating(false);
+    setNotice(null);
+    setOpenVersion(null);
+    setSelected(null);
+    setSelectedId(id);
+  };
+
+  const createProfile = async (fields) => {
+    const profile = await request(AGENT_PROFILES_PATH, { method: 'POST', body: JSON.stringify(fields) });
+    await loadProfiles();
+    select(profile.id);
+  };
+
+  const saveProfile = async (fields) => {
+    const profile = await request(`${AGENT_PROFILES_PATH}/${selected.id}`, { method: 'POST', body: JSON.stringify(fields) });
+    setNotice(profile.version === selected.version ? 'Saved' : `Saved as version ${profile.version}`);
+    setSelected(profile);
+    await loadProfiles();
+  };
+
+  const runAction = async (path, body) => {
+    setError(null);
+    try {
+      await request(`${AGENT_PROFILES_PATH}/${selected.id}/${path}`, { method: 'POST', body: JSON.stringify(body || {}) });
+      setSelected(await request(`${AGENT_PROFILES_PATH}/${selected.id}`));
+      await loadProfiles();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const buttonClass = 'px-3 py-1 text-sm border rounded-lg';
+
+  return (
+    <div className="min-h-screen bg-slate-100">
+      <AppHeader user={user} onSignOut={onSignOut} onNavigate={onNavigate} />
+
+      <main className="max-w-[1920px] mx-auto p-8 flex gap-8">
+        <aside className="w-72 shrink-0">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold text-slate-800">Agent profiles</h2>
+            <button
+              onClick={() => {
+                setCreating(true);
+                setSelectedId(null);
+                setSelected(null);
+              }}
+              className="px-3 py-1 text-sm text-white bg-indigo-500 rounded-lg hover:bg-indigo-600"
+            >
+              New profile
+            </button>
+          </div>
+          <div className="space-y-2">
+            {profiles.map(profile => (
+              <button
+                key={profile.id}
+                onClick={() => select(profile.id)}
+                className={`w-full text-left p-3 rounded-lg ${
+                  profile.id === selectedId ? 'bg-indigo-50 border border-indigo-500' : 'bg-white hover:bg-slate-50'
+                } ${profile.archived ? 'opacity-60' : ''}`}
+              >
+                <div className="flex justify-between items-center">
+                  <span className="font-medium text-slate-800 truncate">{profile.name}</span>
+                  <span className="text-xs text-slate-400">v{profile.version}</span>
+                </div>
+                <p className="text-xs text-slate-500 mt-1">
+                  {profile.is_default ? 'Default · ' : ''}{profile.archived ? 'Archived · ' : ''}{profile.voice}
+                </p>
+              </button>
+            ))}
+          </div>
+        </aside>
+
+        <section className="flex-1 min-w-0 space-y-6">
+          {error && <p className="text-sm text-rose-600">{error}</p>}
+          {creating && (
+            <div className="bg-white rounded-xl shadow-sm p-6">
+              <h3 className="font-semibold text-slate-800 mb-4">New profile</h3>
+              <AgentProfileForm firstSpeakers={firstSpeakers} onSubmit={createProfile} />
+            </div>
+          )}
+          {selected && (
+            <>
+              <div className="bg-white rounded-xl shadow-sm p-6">
+                <div className="flex justify-between items-start mb-4">
+                  <div>
+                    <h3 className="font-semibold text-slate-800">
+                      {selected.name} <span className="text-sm font-normal text-slate-400">version {selected.version}</span>
+                    </h3>
+                    <p className="text-xs text-slate-500 mt-1">
+                      {selected.is_default && 'Used when a call doesn’t pick a profile · '}
+                      Last edited {new Date(selected.updated_at).toLocaleString()}
+                      {selected.updated_by && ` by ${selected.updated_by}`}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    {!selected.is_default && !selected.archived && (
+                      <button onClick={() => runAction('default')}
+                        className={`${buttonClass} border-indigo-300 text-indigo-700 hover:bg-indigo-50`}>
+                        Make default
+                      </button>
+                    )}
+                    {!selected.is_default && (
+                      <button onClick={() => runAction('archive', { archived: !selected.archived })}
+                        className={`${buttonClass} border-slate-300 text-slate-600 hover:bg-slate-50`}>
+                        {selected.archived ? 'Restore' : 'Archive'}
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {notice && <p className="text-sm text-emerald-700 mb-3">{notice}</p>}
+                <AgentProfileForm
+                  key={`${selected.id}-${selected.updated_at}`}
+                  profile={selected}
+                  firstSpeakers={firstSpeakers}
+                  onSubmit={saveProfile}
+                />
+              </div>
+
+              <div className="bg-white rounded-xl shadow-sm p-6">
+                <h3 className="font-semibold text-slate-800 mb-3">Versions</h3>
+                <ul className="divide-y divide-slate-100 text-sm">
+                  {selected.versions.map(version => (
+                    <li key={version.version} className="py-2">
+                      <button
+                        onClick={() => setOpenVersion(openVersion === version.version ? null : version.version)}
+                        className="w-full flex justify-between text-left text-slate-700"
+                      >
+                        <span>Version {version.version}</span>
+                        <span className="text-slate-500">
+                          {new Date(version.created_at).toLocaleString()}{version.created_by && ` · ${version.created_by}`}
+                        </span>
+                      </button>
+                      {openVersion === version.version && (
+                        <div className="mt-2 text-xs text-slate-600 space-y-2">
+                          <p>
+                            {version.voice} · {version.model} · temperature {version.temperature}
+                            {' · '}{FIRST_SPEAKER_LABELS[version.first_speaker] || version.first_speaker}
+                            {version.language_hint && ` · ${version.language_hint}`}
+                          </p>
+                          <pre className="whitespace-pre-wrap bg-slate-50 rounded p-3 font-mono">{version.system_prompt}</pre>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default AgentProfilesPage;
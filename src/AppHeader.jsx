@@ -0,0 +1,62 @@
+import { ChatBubbleLeftIcon } from '@heroicons/react/24/outline';
+import { ROLE_RANK } from './api.js';
+import { AUDIT_PATH, CAMPAIGNS_PATH, SCHEDULED_CALLS_PATH, AGENT_PROFILES_PATH } from './routes.js';
+
+const AppHeader = ({ user, onSignOut, onNavigate, children }) => {
+  const navLink = (path, label) => (
+    <a
+      href={path}
+      onClick={(e) => {
+        e.preventDefault();
+        onNavigate(path);
+      }}
+      className="text-slate-600 hover:text-indigo-600"
+    >
+      {label}
+    </a>
+  );
+
+  return (
+    <header className="bg-white shadow-sm border-b border-slate-200">
+      <div className="max-w-[1920px] mx-auto px-4 sm:px-6 lg:px-8 py-4">
+        <div className="flex justify-between items-center">
+          <div className="flex items-center space-x-3">
+            <ChatBubbleLeftIcon className="h-8 w-8 text-indigo-500" />
+            <h1 className="text-xl font-bold text-slate-800">
+              Jio Audiobot 2.0 - Call Transcript Viewer
+            </h1>
+          </div>
+          <div className="flex items-center gap-4 text-sm text-slate-500">
+            {children && <span>{children}</span>}
+            {ROLE_RANK[user.role] >= ROLE_RANK.supervisor && (
+              <>
+                <span className="text-slate-300">|</span>
+                {navLink('/', 'Calls')}
+                {navLink(CAMPAIGNS_PATH, 'Campaigns')}
+                {navLink(SCHEDULED_CALLS_PATH, 'Scheduled')}
+                {ROLE_RANK[user.role] >= ROLE_RANK.admin && (
+                  <>
+                    {navLink(AGENT_PROFILES_PATH, 'Agent profiles')}
+                    {navLink(AUDIT_PATH, 'Audit log')}
+                  </>
+                )}
+              </>
+            )}
+            <span className="text-slate-300">|</span>
+            <span>
+              {user.username} <span className="text-slate-400">({user.role})</span>
+            </span>
+            <button
+              onClick={onSignOut}
+              className="px-3 py-1 text-slate-600 border border-slate-300 rounded-lg hover:bg-slate-50"
+            >
+              Sign out
+            </button>
+          </div>
+        </div>
+      </div>
+    </header>
+  );
+};
+
+export default AppHeader;
@@ -0,0 +1,183 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useApiFetch } from './api.js';
+import { AUDIT_PATH } from './routes.js';
+import AppHeader from './AppHeader.jsx';
+
+const EMPTY_AUDIT_FILTERS = { username: '', action: '', callId: '', from: '', to: '' };
+
+const buildAuditQuery = (filters, before) => {
+  const params = new URLSearchParams({ limit: 50 });
+  if (filters.username) params.set('username', filters.username.trim());
+  if (filters.action) params.set('action', filters.action);
+  if (filters.callId) params.set('call_id', filters.callId.trim());
+  if (filters.from) params.set('from', new Date(`${filters.from}T00:00:00`).toISOString());
+  if (filters.to) params.set('to', new Date(`${filters.to}T23:59:59.999`).toISOString());
+  if (before) params.set('before', before);
+  return params.toString();
+};
+
+const formatAuditDetails = (details) => (
+  details
+    ? Object.entries(details).map(([key, value]) => `${key}: ${value}`).join(', ')
+    : ''
+);
+
+// Admin page: who viewed, played or dialed what
+const AuditLogPage = ({ user, onSignOut, onNavigate, onUnauthorized }) => {
+  const apiFetch = useApiFetch(onUnauthorized);
+  const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState({});
+  const [nextBefore, setNextBefore] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchEntries = useCallback(async (before) => {
+    const response = await apiFetch(`${AUDIT_PATH}?${buildAuditQuery(filters, before)}`, {
+      headers: { Accept: 'application/json' }
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load audit log');
+    }
+    return data;
+  }, [apiFetch, filters]);
+
+  // Reload from the newest entry whenever the filters change (debounced)
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const data = await fetchEntries();
+        if (cancelled) return;
+        setEntries(data.entries);
+        setActions(data.actions);
+        setNextBefore(data.nextBefore);
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching audit log:', err);
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [fetchEntries]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await fetchEntries(nextBefore);
+      setEntries(prevEntries => [...prevEntries, ...data.entries]);
+      setNextBefore(data.nextBefore);
+    } catch (err) {
+      console.error('Error fetching audit log:', err);
+      setError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const update = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+  const inputClass = 'px-2 py-1 border border-slate-300 rounded-lg text-sm bg-white';
+
+  return (
+    <div className="min-h-screen bg-slate-100">
+      <AppHeader user={user} onSignOut={onSignOut} onNavigate={onNavigate} />
+
+      <main className="max-w-[1920px] mx-auto p-8">
+        <h2 className="text-lg font-semibold text-slate-800 mb-4">Audit log</h2>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          <input value={filters.username} onChange={update('username')} placeholder="User" className={inputClass} />
+          <select value={filters.action} onChange={update('action')} className={inputClass}>
+            <option value="">Any action</option>
+            {Object.entries(actions).map(([action, label]) => (
+              <option key={action} value={action}>{label}</option>
+            ))}
+          </select>
+          <input value={filters.callId} onChange={update('callId')} placeholder="Call ID" className={inputClass} />
+          <input type="date" value={filters.from} onChange={update('from')} className={inputClass} title="From date" />
+          <input type="date" value={filters.to} onChange={update('to')} className={inputClass} title="To date" />
+        </div>
+
+        {error && (
+          <div className="mb-4 bg-rose-50 border border-rose-200 rounded-lg p-3 text-sm text-rose-700">
+            {error}
+          </div>
+        )}
+
+        <div className="bg-white rounded-xl shadow-sm overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <thead className="bg-slate-50 text-slate-500">
+              <tr>
+                <th className="px-4 py-2 font-medium">Time</th>
+                <th className="px-4 py-2 font-medium">User</th>
+                <th className="px-4 py-2 font-medium">Action</th>
+                <th className="px-4 py-2 font-medium">Call</th>
+                <th className="px-4 py-2 font-medium">Details</th>
+                <th className="px-4 py-2 font-medium">IP</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100 text-slate-700">
+              {entries.map(entry => (
+                <tr key={entry.id}>
+                  <td className="px-4 py-2 whitespace-nowrap">{new Date(entry.created_at).toLocaleString()}</td>
+                  <td className="px-4 py-2">
+                    {entry.username || '—'}
+                    {entry.role && <span className="text-slate-400"> ({entry.role})</span>}
+                  </td>
+                  <td className="px-4 py-2">{actions[entry.action] || entry.action}</td>
+                  <td className="px-4 py-2">
+                    {entry.call_id && (
+                      <a
+                        href={`/calls/${encodeURIComponent(entry.call_id)}`}
+                        onClick={(e) => {
+                          e.preventDefault();
+                          onNavigate(`/calls/${encodeURIComponent(entry.call_id)}`);
+                        }}
+                        className="text-indigo-600 hover:underline"
+                      >
+                        {entry.call_id}
+                      </a>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-slate-500">{formatAuditDetails(entry.details)}</td>
+                  <td className="px-4 py-2 text-slate-500">{entry.ip}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!loading && entries.length === 0 && (
+            <p className="p-6 text-center text-sm text-slate-500">No audit entries match these filters</p>
+          )}
+          {loading && (
+            <div className="flex justify-center p-6">
+              <div className="w-6 h-6 rounded-full border-2 border-t-indigo-500 border-r-transparent border-b-transparent border-l-transparent animate-spin" />
+            </div>
+          )}
+        </div>
+
+        {nextBefore && !loading && (
+          <div className="flex justify-center mt-4">
+            <button
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="px-4 py-2 text-sm text-slate-600 border border-slate-300 rounded-lg bg-white hover:bg-slate-50"
+            >
+              {loadingMore ? 'Loading…' : 'Load more'}
+            </button>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default AuditLogPage;
@@ -0,0 +1,714 @@
+import { Fragment, useState, useEffect, useRef } from 'react';
+import { LinkIcon } from '@heroicons/react/24/outline';
+import { callStatusBadge, formatCallDuration } from './callDisplay.js';
+import { ScheduleForm } from './ScheduledCallsPage.jsx';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Wrap search-term matches in <mark>. Terms match as word prefixes, mirroring
+// the server's prefix search (so "refund" also marks "refunds").
+const highlightText = (text, terms) => {
+  if (!text || !terms?.length) return text;
+  const pattern = new RegExp(
+    `((?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*)`,
+    'giu'
+  );
+  return text.split(pattern).map((part, index) => (
+    index % 2 === 1
+      ? <mark key={index} className="bg-yellow-200 text-slate-800 rounded px-0.5">{part}</mark>
+      : part
+  ));
+};
+
+const SPEAKER_LABELS = {
+  agent: 'Agent',
+  user: 'Customer'
+};
+
+// Offset from call start as m:ss
+const formatOffset = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+};
+
+// The message being spoken at `ms` into the recording. A message without an
+// end time lasts until the next timed message starts.
+const activeMessageOrdinal = (messages, ms) => {
+  const timed = (messages || []).filter(message => message.start_ms !== null && message.start_ms !== undefined);
+  const active = timed.find((message, index) => {
+    const end = message.end_ms ?? timed[index + 1]?.start_ms ?? Infinity;
+    return ms >= message.start_ms && ms < end;
+  });
+  return active ? active.ordinal : null;
+};
+
+// Badge fields of the structured assessment, with the values that read as
+// good (green) and bad (red); anything else is shown as neutral (amber)
+const ASSESSMENT_BADGES = [
+  { key: 'churnRisk', label: 'Churn Risk', good: 'Low', bad: 'High' },
+  { key: 'customerSatisfaction', label: 'Customer Satisfaction', good: 'High', bad: 'Low' },
+  { key: 'npsPrediction', label: 'NPS Prediction', good: 'Promoter', bad: 'Detractor' },
+  { key: 'sentimentProgression', label: 'Sentiment Progression', good: 'Improved', bad: 'Deteriorated' },
+  { key: 'frustrationLevel', label: 'Frustration Level', good: 'Low', bad: 'High' },
+  { key: 'resolutionConfidence', label: 'Resolution Confidence', good: 'High', bad: 'Low' },
+  { key: 'repeatContactLikelihood', label: 'Repeat Contact Likelihood', good: 'Low', bad: 'High' },
+  { key: 'issueComplexity', label: 'Issue Complexity', good: 'Low', bad: 'High' },
+  { key: 'escalationNeeded', label: 'Escalation Needed', good: false, bad: true },
+  { key: 'escalationRecommended', label: 'Escalation Recommended', good: false, bad: true },
+  { key: 'proactiveOpportunity', label: 'Proactive Opportunity', good: 'None', bad: null }
+];
+
+const badgeColor = ({ good, bad }, value) => {
+  if (value === bad) return 'bg-rose-100 text-rose-800';
+  if (value === good) return 'bg-emerald-100 text-emerald-800';
+  return 'bg-amber-100 text-amber-800';
+};
+
+const CallStatusBadge = ({ call }) => {
+  const badge = callStatusBadge(call);
+  if (!badge) return null;
+  return (
+    <span
+      title={call.processing_error || undefined}
+      className={`px-2 py-0.5 rounded-full text-xs font-medium ${badge.className}`}
+    >
+      {badge.label}
+    </span>
+  );
+};
+
+// Components
+const AssessmentInsights = ({ assessment }) => (
+  <div className="space-y-4">
+    <div className="grid grid-cols-2 gap-3">
+      {ASSESSMENT_BADGES
+        .filter(field => assessment[field.key] !== undefined)
+        .map(field => {
+          const value = assessment[field.key];
+          return (
+            <div key={field.key} className="flex items-center justify-between gap-2">
+              <span className="text-sm text-slate-600">{field.label}</span>
+              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${badgeColor(field, value)}`}>
+                {typeof value === 'boolean' ? (value ? 'Yes' : 'No') : value}
+              </span>
+            </div>
+          );
+        })}
+    </div>
+
+    {assessment.keyIssue && (
+      <div>
+        <h4 className="font-medium text-slate-800">Key Issue</h4>
+        <p className="text-slate-600">{assessment.keyIssue}</p>
+      </div>
+    )}
+    {assessment.suggestedNextStep && (
+      <div>
+        <h4 className="font-medium text-slate-800">Suggested Next Step</h4>
+        <p className="text-slate-600">{assessment.suggestedNextStep}</p>
+      </div>
+    )}
+
+    {[['customerIntents', 'Customer Intents', 'bg-indigo-100 text-indigo-800'], ['tags', 'Tags', 'bg-slate-200 text-slate-700']]
+      .filter(([key]) => assessment[key]?.length)
+      .map(([key, label, color]) => (
+        <div key={key}>
+          <h4 className="font-medium text-slate-800 mb-1">{label}</h4>
+          <div className="flex flex-wrap gap-2">
+            {assessment[key].map(item => (
+              <span key={item} className={`px-2 py-0.5 rounded-full text-xs ${color}`}>{item}</span>
+            ))}
+          </div>
+        </div>
+      ))}
+  </div>
+);
+
+const WAVEFORM_BARS = 240;
+
+// Reduce waveform peaks to at most `count` bars, keeping each bar's loudest peak
+const waveformBars = (peaks, count) => {
+  if (!peaks?.length) return [];
+  const bars = Math.min(count, peaks.length);
+  return Array.from({ length: bars }, (_, index) => {
+    const from = Math.floor((index * peaks.length) / bars);
+    const to = Math.max(Math.floor(((index + 1) * peaks.length) / bars), from + 1);
+    return Math.max(...peaks.slice(from, to));
+  });
+};
+
+// Recording position over the call's waveform. Click or drag to seek; silence
+// gaps are shaded. Without a waveform it is a plain progress bar.
+const WaveformScrubber = ({ waveform, currentTime, duration, onSeek }) => {
+  const trackRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const bars = waveformBars(waveform?.peaks, WAVEFORM_BARS);
+  const waveformMs = waveform ? (waveform.peaks.length * 1000) / waveform.peaks_per_second : 0;
+  const progress = duration ? Math.min(currentTime / duration, 1) : 0;
+
+  const seekToPointer = (event) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    const fraction = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+    onSeek(fraction * duration);
+  };
+
+  const handleKeyDown = (event) => {
+    const step = { ArrowLeft: -5, ArrowRight: 5, Home: -Infinity, End: Infinity }[event.key];
+    if (step === undefined || !duration) return;
+    event.preventDefault();
+    onSeek(Math.min(Math.max(currentTime + step, 0), duration));
+  };
+
+  return (
+    <div
+      ref={trackRef}
+      role="slider"
+      tabIndex={0}
+      aria-label="Recording position"
+      aria-valuemin={0}
+      aria-valuemax={Math.round(duration)}
+      aria-valuenow={Math.round(currentTime)}
+      aria-valuetext={formatOffset(currentTime * 1000)}
+      onPointerDown={(event) => {
+        if (!duration) return;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        setDragging(true);
+        seekToPointer(event);
+      }}
+      onPointerMove={(event) => dragging && seekToPointer(event)}
+      onPointerUp={() => setDragging(false)}
+      onKeyDown={handleKeyDown}
+      className={`relative w-full select-none touch-none rounded focus:outline-none focus:ring-2 focus:ring-indigo-300 ${
+        duration ? 'cursor-pointer' : 'cursor-default'
+      } ${bars.length ? 'h-16' : 'h-3'}`}
+    >
+      {bars.length ? (
+        <svg
+          viewBox={`0 0 ${bars.length} 100`}
+          preserveAspectRatio="none"
+          className="absolute inset-0 w-full h-full"
+        >
+          {waveform.silences.map((silence) => (
+            <rect
+              key={silence.start_ms}
+              x={(silence.start_ms / waveformMs) * bars.length}
+              width={((silence.end_ms - silence.start_ms) / waveformMs) * bars.length}
+              y={0}
+              height={100}
+              className="fill-slate-100"
+            >
+              <title>Silence {formatOffset(silence.start_ms)}–{formatOffset(silence.end_ms)}</title>
+            </rect>
+          ))}
+          {bars.map((peak, index) => {
+            const height = Math.max(peak, 2);
+            return (
+              <rect
+                key={index}
+                x={index + 0.15}
+                width={0.7}
+                y={50 - height / 2}
+                height={height}
+                className={(index + 0.5) / bars.length <= progress ? 'fill-indigo-500' : 'fill-slate-300'}
+              />
+            );
+          })}
+        </svg>
+      ) : (
+        <div className="absolute inset-x-0 top-1 h-1 rounded bg-slate-200">
+          <div className="h-full rounded bg-indigo-500" style={{ width: `${progress * 100}%` }} />
+        </div>
+      )}
+      <div
+        className="absolute inset-y-0 w-0.5 bg-indigo-700 pointer-events-none"
+        style={{ left: `${progress * 100}%` }}
+      />
+    </div>
+  );
+};
+
+const TranscriptMessages = ({ messages, highlightTerms, activeOrdinal, onSeek }) => {
+  const activeRef = useRef(null);
+
+  // Keep the line being spoken in view during playback
+  useEffect(() => {
+    if (activeOrdinal !== null) {
+      activeRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [activeOrdinal]);
+
+  return (
+    <div className="space-y-3">
+      {messages.map(message => {
+        const isCustomer = message.speaker === 'user';
+        const isActive = message.ordinal === activeOrdinal;
+        const canSeek = onSeek && message.start_ms !== null && message.start_ms !== undefined;
+        return (
+          <div
+            key={message.ordinal}
+            ref={isActive ? activeRef : null}
+            className={`flex ${isCustomer ? 'justify-end' : 'justify-start'}`}
+          >
+            <div
+              onClick={canSeek ? () => onSeek(message.start_ms) : undefined}
+              title={canSeek ? 'Play from here' : undefined}
+              className={`max-w-[75%] rounded-2xl px-4 py-2 transition-all duration-200 ${
+                isCustomer
+                  ? 'bg-indigo-500 text-white rounded-br-sm'
+                  : 'bg-slate-100 text-slate-700 rounded-bl-sm'
+              } ${canSeek ? 'cursor-pointer hover:ring-2 hover:ring-indigo-300' : ''} ${
+                isActive ? 'ring-2 ring-amber-400 shadow-md' : ''
+              }`}
+            >
+              <div className={`flex justify-between gap-3 text-xs mb-1 ${isCustomer ? 'text-indigo-100' : 'text-slate-500'}`}>
+                <span className="font-medium">{SPEAKER_LABELS[message.speaker] || message.speaker}</span>
+                {message.start_ms !== null && message.start_ms !== undefined && (
+                  <span>{formatOffset(message.start_ms)}</span>
+                )}
+              </div>
+              <p className="whitespace-pre-line">{highlightText(message.text, highlightTerms)}</p>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// Total number of items redacted from a call (null for calls stored before
+// redaction existed)
+const redactionTotal = (redactions) => (
+  redactions ? Object.values(redactions).reduce((sum, count) => sum + count, 0) : null
+);
+
+// Swap the redacted texts of a call for the originals returned by
+// /calls/:id/original
+const withOriginalText = (call, original) => {
+  const originalTexts = new Map(original.messages.map(message => [message.ordinal, message.text]));
+  return {
+    ...call,
+    caller: { ...call.caller, phone: original.caller_phone },
+    transcript: original.transcript || call.transcript,
+    messages: call.messages?.map(message => (
+      originalTexts.has(message.ordinal) ? { ...message, text: originalTexts.get(message.ordinal) } : message
+    ))
+  };
+};
+
+const CallCard = ({
+  call: storedCall, isSelected, highlightTerms, onLoadOriginal, onLoadWaveform, onLoadCallbacks, onScheduleCallback,
+  onRecordingPlay
+}) => {
+  const [original, setOriginal] = useState(null);
+  const [showOriginal, setShowOriginal] = useState(false);
+  const [originalError, setOriginalError] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [waveform, setWaveform] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [audioError, setAudioError] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [callbacks, setCallbacks] = useState([]);
+  const [schedulingCallback, setSchedulingCallback] = useState(false);
+  const [showAgentSetup, setShowAgentSetup] = useState(false);
+  const audioRef = useRef(null);
+  const playReportedRef = useRef(null);
+  const transcriptRef = useRef(null);
+  const call = showOriginal && original ? withOriginalText(storedCall, original) : storedCall;
+  const redactionCount = redactionTotal(storedCall.redactions);
+
+  const toggleOriginal = async () => {
+    if (showOriginal) {
+      setShowOriginal(false);
+      return;
+    }
+    setOriginalError(null);
+    try {
+      setOriginal(original || await onLoadOriginal(storedCall.id));
+      setShowOriginal(true);
+    } catch (err) {
+      console.error('Error loading original transcript:', err);
+      setOriginalError(err.message);
+    }
+  };
+
+  // Callbacks booked from this call, including ones suggested by the analysis
+  useEffect(() => {
+    if (!onLoadCallbacks) return;
+    onLoadCallbacks(storedCall.id)
+      .then(setCallbacks)
+      .catch((err) => console.error('Error loading callbacks:', err));
+  }, [storedCall.id, onLoadCallbacks]);
+
+  const scheduleCallback = async (fields) => {
+    const callback = await onScheduleCallback(storedCall.id, fields);
+    setCallbacks([callback, ...callbacks]);
+    setSchedulingCallback(false);
+  };
+
+  // Bring the first search hit into view when a search result is opened
+  useEffect(() => {
+    const firstMatch = transcriptRef.current?.querySelector('mark');
+    if (firstMatch) {
+      firstMatch.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+  }, [call.id, call.transcript, highlightTerms]);
+
+  const copyCallLink = async () => {
+    const link = `${window.location.origin}/calls/${encodeURIComponent(call.id)}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying call link:', err);
+    }
+  };
+
+  const getSentimentColor = (sentiment) => {
+    switch (sentiment?.toLowerCase()) {
+      case 'positive': return 'bg-emerald-100 text-emerald-800';
+      case 'negative': return 'bg-rose-100 text-rose-800';
+      default: return 'bg-amber-100 text-amber-800';
+    }
+  };
+
+  useEffect(() => {
+    if (audioRef.current) {
+      const audio = audioRef.current;
+
+      const handleLoadedMetadata = () => {
+        setDuration(audio.duration);
+        setIsLoading(false);
+      };
+
+      const handleTimeUpdate = () => {
+        setCurrentTime(audio.currentTime);
+      };
+
+      const handleEnded = () => {
+        setIsPlaying(false);
+        setCurrentTime(0);
+      };
+
+      const handleError = () => {
+        setAudioError('Error loading audio. Click to retry.');
+        setIsLoading(false);
+      };
+
+      // Keep the button in sync when the native controls are used. The first
+      // play of each call's recording is reported for the audit log.
+      const handlePlay = () => {
+        setIsPlaying(true);
+        if (onRecordingPlay && playReportedRef.current !== storedCall.id) {
+          playReportedRef.current = storedCall.id;
+          onRecordingPlay(storedCall.id);
+        }
+      };
+      const handlePause = () => setIsPlaying(false);
+
+      audio.addEventListener('loadedmetadata', handleLoadedMetadata);
+      audio.addEventListener('timeupdate', handleTimeUpdate);
+      audio.addEventListener('ended', handleEnded);
+      audio.addEventListener('error', handleError);
+      audio.addEventListener('play', handlePlay);
+      audio.addEventListener('pause', handlePause);
+
+      return () => {
+        audio.removeEventListener('loadedmetadata', handleLoadedMetadata);
+        audio.removeEventListener('timeupdate', handleTimeUpdate);
+        audio.removeEventListener('ended', handleEnded);
+        audio.removeEventListener('error', handleError);
+        audio.removeEventListener('play', handlePlay);
+        audio.removeEventListener('pause', handlePause);
+      };
+    }
+  }, [call.recording_url, storedCall.id, onRecordingPlay]);
+
+  const togglePlayPause = () => {
+    if (audioRef.current) {
+      if (isPlaying) {
+        audioRef.current.pause();
+      } else {
+        audioRef.current.play();
+      }
+      setIsPlaying(!isPlaying);
+    }
+  };
+
+  // The scrubber falls back to a plain progress bar when there's no waveform
+  // (e.g. a recording format the server can't decode)
+  useEffect(() => {
+    if (!storedCall.recording_url || !onLoadWaveform) return;
+    let cancelled = false;
+    onLoadWaveform(storedCall.id)
+      .then((data) => {
+        if (!cancelled) setWaveform(data);
+      })
+      .catch((err) => console.error('Error loading waveform:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [storedCall.id, storedCall.recording_url, onLoadWaveform]);
+
+  // Move the playhead without changing play/pause
+  const scrubTo = (seconds) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = seconds;
+    setCurrentTime(seconds);
+  };
+
+  // Jump the recording to a transcript line and play from there
+  const seekTo = (ms) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = ms / 1000;
+    setCurrentTime(audio.currentTime);
+    audio.play()
+      .then(() => setIsPlaying(true))
+      .catch((err) => console.error('Error playing audio:', err));
+  };
+
+  const activeOrdinal = isPlaying || currentTime > 0
+    ? activeMessageOrdinal(call.messages, currentTime * 1000)
+    : null;
+
+  const retryLoadAudio = () => {
+    setAudioError(null);
+    setIsLoading(true);
+    if (audioRef.current) {
+      audioRef.current.load();
+    }
+  };
+
+  // Known from the waveform before the audio metadata has loaded
+  const totalDuration = duration || (waveform ? waveform.duration_ms / 1000 : 0);
+
+  const formatTime = (time) => {
+    const minutes = Math.floor(time / 60);
+    const seconds = Math.floor(time % 60);
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  };
+
+  return (
+    <div className={`${isSelected ? 'bg-white' : 'bg-white/50'} rounded-xl shadow-sm p-6 transition-all duration-200`}>
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <div className="flex items-center gap-3 mb-2">
+            <h3 className="text-lg font-semibold text-slate-800">
+              {call.caller?.name || 'Unknown Caller'}
+            </h3>
+            <span className="text-sm text-slate-500">
+              {call.caller?.phone || 'No phone number'}
+            </span>
+            <span className={`px-2 py-1 rounded-full text-sm font-medium ${getSentimentColor(call.sentiment)}`}>
+              {call.sentiment || 'neutral'}
+            </span>
+            <CallStatusBadge call={call} />
+          </div>
+          <p className="text-sm text-slate-500">
+            {new Date(call.timestamp).toLocaleString()}
+          </p>
+          {call.processing_status === 'failed' && call.processing_error && (
+            <p className="text-xs text-rose-600 mt-1">
+              Processing failed: {call.processing_error}
+            </p>
+          )}
+          {call.llm_usage && (
+            <p className="text-xs text-slate-400 mt-1">
+              Analysis: {call.llm_usage.total_tokens.toLocaleString()} tokens
+              {call.llm_usage.cost_usd !== null && ` · $${call.llm_usage.cost_usd.toFixed(4)}`}
+              {call.llm_usage.models.length > 0 && ` · ${call.llm_usage.models.join(', ')}`}
+              {call.llm_usage.requests > 1 && ` · ${call.llm_usage.requests} requests`}
+            </p>
+          )}
+          {redactionCount > 0 && (
+            <p className="text-xs text-slate-400 mt-1">
+              {showOriginal
+                ? 'Showing the original transcript'
+                : `${redactionCount} personal detail${redactionCount === 1 ? '' : 's'} redacted`}
+            </p>
+          )}
+          {originalError && (
+            <p className="text-xs text-rose-600 mt-1">{originalError}</p>
+          )}
+          {call.agent && (
+            <p className="text-xs text-slate-400 mt-1">
+              Agent: {call.agent.profile.name} (version {call.agent.profile.version})
+              {' · '}
+              <button onClick={() => setShowAgentSetup(!showAgentSetup)} className="text-indigo-600 hover:underline">
+                {showAgentSetup ? 'Hide what the agent was told' : 'What the agent was told'}
+              </button>
+            </p>
+          )}
+          {call.dial_statuses?.length > 0 && (
+            <p className="text-xs text-slate-400 mt-1">
+              Dialed: {call.dial_statuses.map(event => event.status).join(' → ')}
+              {call.dial_statuses.some(event => event.duration !== null)
+                && ` (${formatCallDuration(call.dial_statuses.find(event => event.duration !== null).duration)})`}
+            </p>
+          )}
+          {callbacks.filter(callback => callback.status === 'scheduled').map(callback => (
+            <p key={callback.id} className="text-xs text-indigo-600 mt-1">
+              Callback scheduled for {new Date(callback.scheduled_at).toLocaleString()}
+              {callback.source === 'suggested' && ' (suggested)'}
+            </p>
+          ))}
+        </div>
+        <div className="flex items-center gap-2">
+          {onScheduleCallback && (
+            <button
+              onClick={() => setSchedulingCallback(!schedulingCallback)}
+              className="px-3 py-1 text-sm text-slate-600 border border-slate-300 rounded-lg hover:bg-slate-50"
+            >
+              Schedule callback
+            </button>
+          )}
+          {onLoadOriginal && (storedCall.has_original || storedCall.caller?.phone?.includes('•')) && (
+            <button
+              onClick={toggleOriginal}
+              className="px-3 py-1 text-sm text-slate-600 border border-slate-300 rounded-lg hover:bg-slate-50"
+            >
+              {showOriginal ? 'Show redacted' : 'Show original'}
+            </button>
+          )}
+          <button
+            onClick={copyCallLink}
+            className="flex items-center gap-1 px-3 py-1 text-sm text-slate-600 border border-slate-300 rounded-lg hover:bg-slate-50"
+          >
+            <LinkIcon className="h-4 w-4" />
+            {linkCopied ? 'Copied' : 'Copy link'}
+          </button>
+        </div>
+      </div>
+
+      {showAgentSetup && call.agent && (
+        <div className="mt-4 p-4 bg-slate-50 rounded-lg text-sm">
+          {Object.keys(call.agent.context).length > 0 ? (
+            <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 mb-3">
+              {Object.entries(call.agent.context).map(([name, value]) => (
+                <Fragment key={name}>
+                  <dt className="font-mono text-xs text-slate-500">{name}</dt>
+                  <dd className="text-slate-700">{value}</dd>
+                </Fragment>
+              ))}
+            </dl>
+          ) : (
+            <p className="text-slate-500 mb-3">No context was given for this call.</p>
+          )}
+          <pre className="whitespace-pre-wrap font-mono text-xs text-slate-600">{call.agent.system_prompt}</pre>
+        </div>
+      )}
+
+      {schedulingCallback && (
+        <div className="mt-4 p-4 bg-slate-50 rounded-lg">
+          <ScheduleForm
+            initial={{ notes: call.assessment?.suggestedNextStep || '' }}
+            submitLabel="Schedule callback"
+            onSubmit={scheduleCallback}
+            onCancel={() => setSchedulingCallback(false)}
+          />
+        </div>
+      )}
+
+      <div className="mt-4">
+        <h3 className="text-md font-semibold text-slate-800 mb-2">Summary</h3>
+        <p className="text-slate-600">{call.summary}</p>
+      </div>
+
+      <div className="mt-6 space-y-6">
+        <div className="border-t border-slate-200 pt-6">
+          <h3 className="text-lg font-semibold text-slate-800 mb-3">Transcript</h3>
+          <div ref={transcriptRef}>
+            {call.messages?.length ? (
+              <TranscriptMessages
+                messages={call.messages}
+                highlightTerms={highlightTerms}
+                activeOrdinal={activeOrdinal}
+                onSeek={call.recording_url && !audioError ? seekTo : null}
+              />
+            ) : (
+              <p className="text-slate-600 whitespace-pre-line">
+                {highlightText(call.transcript, highlightTerms)}
+              </p>
+            )}
+          </div>
+        </div>
+
+        {(call.assessment || call.agent_assessment) && (
+          <div className="border-t border-slate-200 pt-6">
+            <h3 className="text-lg font-semibold text-slate-800 mb-4">Smart Insights</h3>
+            <div className="bg-slate-50 p-4 rounded-lg">
+              {call.assessment ? (
+                <AssessmentInsights assessment={call.assessment} />
+              ) : (
+                <p className="text-slate-600 whitespace-pre-line">{call.agent_assessment}</p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {call.recording_url && (
+          <div className="border-t border-slate-200 pt-6">
+            <h3 className="text-lg font-semibold text-slate-800 mb-3">Recording</h3>
+            <div className="flex items-center gap-4">
+              <button
+                onClick={audioError ? retryLoadAudio : togglePlayPause}
+                disabled={isLoading}
+                className={`flex items-center justify-center px-4 py-2 rounded-lg transition-all duration-200 ${
+                  isLoading
+                    ? 'bg-slate-200 cursor-not-allowed'
+                    : audioError
+                    ? 'bg-rose-500 hover:bg-rose-600'
+                    : 'bg-indigo-500 hover:bg-indigo-600'
+                } text-white`}
+              >
+                {isLoading ? (
+                  <div className="w-5 h-5 relative">
+                    <div className="w-full h-full rounded-full border-2 border-t-slate-200 border-r-transparent border-b-transparent border-l-transparent animate-spin" />
+                  </div>
+                ) : audioError ? (
+                  'Retry'
+                ) : isPlaying ? (
+                  'Pause'
+                ) : (
+                  'Play'
+                )}
+              </button>
+              <div className="flex-1">
+                <WaveformScrubber
+                  waveform={waveform}
+                  currentTime={currentTime}
+                  duration={totalDuration}
+                  onSeek={scrubTo}
+                />
+                <div className="flex justify-between mt-1 text-xs text-slate-500">
+                  <span>{formatTime(currentTime)}</span>
+                  <span>{formatTime(totalDuration)}</span>
+                </div>
+                <audio
+                  ref={audioRef}
+                  src={call.recording_url}
+                  preload="metadata"
+                  className="hidden"
+                />
+              </div>
+            </div>
+
+            {audioError && (
+              <div className="mt-2 text-rose-500 text-sm">
+                {audioError}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export { CallStatusBadge };
+
+export default CallCard;
@@ -0,0 +1,678 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { io } from 'socket.io-client';
+import { ChatBubbleLeftIcon, MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import { baseUrl, ROLE_RANK, useApiFetch } from './api.js';
+import { SCHEDULED_CALLS_PATH } from './routes.js';
+import { callStatusBadge } from './callDisplay.js';
+import AppHeader from './AppHeader.jsx';
+import CallCard, { CallStatusBadge } from './CallCard.jsx';
+import ActiveCallsPanel from './ActiveCallsPanel.jsx';
+
+const CallListItem = ({ call, isSelected, onClick }) => {
+  const getSentimentColor = (sentiment) => {
+    switch (sentiment?.toLowerCase()) {
+      case 'positive': return 'text-emerald-500';
+      case 'negative': return 'text-rose-500';
+      default: return 'text-amber-500';
+    }
+  };
+
+  return (
+    <div 
+      onClick={onClick}
+      className={`cursor-pointer p-4 ${isSelected ? 'bg-indigo-50 border border-indigo-500' : 'bg-slate-100 hover:bg-slate-200'} transition-all duration-200`}
+    >
+      <div className="flex justify-between items-start">
+        <div>
+          <h3 className="font-medium text-slate-800">
+            {call.caller?.name || 'Unknown Caller'}
+          </h3>
+          <p className="text-sm text-slate-500">
+            {call.caller?.phone || 'No phone number'}
+          </p>
+          <p className="text-xs text-slate-400 mt-1">
+            {new Date(call.timestamp).toLocaleString()}
+          </p>
+        </div>
+        <span className={`text-sm ${getSentimentColor(call.sentiment)}`}>
+          {call.sentiment || 'neutral'}
+        </span>
+      </div>
+      <p className="text-sm text-slate-600 mt-2 line-clamp-2">
+        {call.snippet
+          ? call.snippet.map((segment, index) => (
+            segment.match
+              ? <mark key={index} className="bg-yellow-200 text-slate-800 rounded px-0.5">{segment.text}</mark>
+              : <span key={index}>{segment.text}</span>
+          ))
+          : call.summary}
+      </p>
+      {(call.churn_risk || call.escalation === 'Yes' || callStatusBadge(call)) && (
+        <div className="flex gap-2 mt-2">
+          <CallStatusBadge call={call} />
+          {call.churn_risk && (
+            <span className="px-2 py-0.5 rounded-full text-xs bg-slate-200 text-slate-700">
+              Churn: {call.churn_risk}
+            </span>
+          )}
+          {call.escalation === 'Yes' && (
+            <span className="px-2 py-0.5 rounded-full text-xs bg-rose-100 text-rose-700">
+              Escalation
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const CallSearch = ({ query, onChange }) => (
+  <div className="p-3 bg-white border-b border-slate-200">
+    <div className="relative">
+      <MagnifyingGlassIcon className="h-4 w-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder='Search transcripts, e.g. refund or "JioFiber"'
+        className="w-full pl-9 pr-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+      />
+    </div>
+  </div>
+);
+
+const CallFilters = ({ filters, onChange }) => {
+  const update = (key) => (e) => onChange({ ...filters, [key]: e.target.value });
+  const selectClass = 'px-2 py-1 border border-slate-300 rounded-lg text-sm bg-white';
+
+  return (
+    <div className="p-3 bg-white border-b border-slate-200 grid grid-cols-2 gap-2">
+      <select value={filters.sentiment} onChange={update('sentiment')} className={selectClass}>
+        <option value="">Any sentiment</option>
+        <option value="positive">Positive</option>
+        <option value="neutral">Neutral</option>
+        <option value="negative">Negative</option>
+      </select>
+      <input
+        type="tel"
+        value={filters.phone}
+        onChange={update('phone')}
+        placeholder="Caller phone"
+        className={selectClass}
+      />
+      <select value={filters.churnRisk} onChange={update('churnRisk')} className={selectClass}>
+        <option value="">Any churn risk</option>
+        <option value="High">High churn risk</option>
+        <option value="Medium">Medium churn risk</option>
+        <option value="Low">Low churn risk</option>
+      </select>
+      <select value={filters.escalation} onChange={update('escalation')} className={selectClass}>
+        <option value="">Any escalation</option>
+        <option value="Yes">Escalation needed</option>
+        <option value="No">No escalation</option>
+      </select>
+      <input type="date" value={filters.from} onChange={update('from')} className={selectClass} title="From date" />
+      <input type="date" value={filters.to} onChange={update('to')} className={selectClass} title="To date" />
+    </div>
+  );
+};
+
+const PAGE_SIZE = 25;
+
+const EMPTY_FILTERS = {
+  sentiment: '',
+  phone: '',
+  churnRisk: '',
+  escalation: '',
+  from: '',
+  to: ''
+};
+
+// Deep links: /calls/:id opens that call in the detail panel
+const callIdFromPath = (pathname) => {
+  const match = pathname.match(/^\/calls\/([^/]+)\/?$/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+// Build the GET /calls query string; date inputs cover whole local days
+const buildCallQuery = (filters, cursor) => {
+  const params = new URLSearchParams({ limit: PAGE_SIZE });
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!value) return;
+    if (key === 'from') {
+      params.set('from', new Date(`${value}T00:00:00`).toISOString());
+    } else if (key === 'to') {
+      params.set('to', new Date(`${value}T23:59:59.999`).toISOString());
+    } else {
+      params.set(key, value);
+    }
+  });
+  if (cursor) {
+    params.set('cursor', cursor);
+  }
+  return params.toString();
+};
+
+const CallViewer = ({ user, onSignOut, onNavigate, onUnauthorized }) => {
+  const [calls, setCalls] = useState([]);
+  const [totalCalls, setTotalCalls] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [searchTerms, setSearchTerms] = useState([]);
+  const [selectedCallId, setSelectedCallId] = useState(null);
+  const [selectedCall, setSelectedCall] = useState(null);
+  const [selectedCallError, setSelectedCallError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [agentProfiles, setAgentProfiles] = useState([]);
+  const [profileId, setProfileId] = useState('');
+  const [callContext, setCallContext] = useState({});
+  const [isCallLoading, setIsCallLoading] = useState(false);
+  const [callError, setCallError] = useState(null);
+  const [callStatusVersion, setCallStatusVersion] = useState(0);
+  const listRef = useRef(null);
+  const sentinelRef = useRef(null);
+  const autoSelectedRef = useRef(false);
+  const requestedCallIdRef = useRef(null);
+
+  const hasFilters = Object.values(filters).some(Boolean);
+  const isSearching = searchResults !== null;
+  const canMakeCalls = ROLE_RANK[user.role] >= ROLE_RANK.supervisor;
+
+  const apiFetch = useApiFetch(onUnauthorized);
+
+  // Fetch the full record (transcript, assessment) of the requested call.
+  // `view` marks a call the user opened, which the server audits.
+  const loadCallDetails = useCallback(async (callId, { view = false } = {}) => {
+    try {
+      const response = await apiFetch(`/calls/${encodeURIComponent(callId)}${view ? '?view=1' : ''}`, {
+        headers: { Accept: 'application/json' }
+      });
+      if (response.status === 404) {
+        throw new Error('Call not found');
+      }
+      if (!response.ok) {
+        throw new Error('Failed to load call');
+      }
+      const fullCall = await response.json();
+      if (requestedCallIdRef.current === fullCall.id) {
+        setSelectedCall(fullCall);
+      }
+    } catch (err) {
+      console.error('Error fetching call details:', err);
+      if (requestedCallIdRef.current === callId) {
+        setSelectedCallError(err.message);
+      }
+    }
+  }, [apiFetch]);
+
+  // Waveform peaks for the recording scrubber
+  const loadWaveform = useCallback(async (callId) => {
+    const response = await apiFetch(`/calls/${encodeURIComponent(callId)}/waveform`);
+    if (!response.ok) {
+      throw new Error('Failed to load waveform');
+    }
+    return response.json();
+  }, [apiFetch]);
+
+  // Callbacks booked from a call (only offered to supervisors and admins)
+  const loadCallbacks = useCallback(async (callId) => {
+    const response = await apiFetch(`${SCHEDULED_CALLS_PATH}?${new URLSearchParams({ call_id: callId })}`, {
+      headers: { Accept: 'application/json' }
+    });
+    if (!response.ok) {
+      throw new Error('Failed to load callbacks');
+    }
+    return (await response.json()).scheduled_calls;
+  }, [apiFetch]);
+
+  const scheduleCallback = useCallback(async (callId, fields) => {
+    const response = await apiFetch(SCHEDULED_CALLS_PATH, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...fields, source_call_id: callId })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to schedule callback');
+    }
+    return data;
+  }, [apiFetch]);
+
+  const reportRecordingPlay = useCallback(async (callId) => {
+    try {
+      await apiFetch(`/calls/${encodeURIComponent(callId)}/recording/play`, { method: 'POST' });
+    } catch (err) {
+      console.error('Error reporting playback:', err);
+    }
+  }, [apiFetch]);
+
+  // Unredacted texts of a call (only offered to users allowed to see PII)
+  const loadCallOriginal = useCallback(async (callId) => {
+    const response = await apiFetch(`/calls/${encodeURIComponent(callId)}/original`);
+    if (!response.ok) {
+      throw new Error('Failed to load the original transcript');
+    }
+    return response.json();
+  }, [apiFetch]);
+
+  // Open a call in the detail panel.
+  // List summaries render immediately; deep links wait for the fetch.
+  // Calls opened automatically pass `view: false` so they aren't audited.
+  const selectCall = useCallback(async (call, { updateUrl = true, view = true } = {}) => {
+    requestedCallIdRef.current = call.id;
+    setSelectedCallId(call.id);
+    setSelectedCall(call.timestamp ? call : null);
+    setSelectedCallError(null);
+
+    if (updateUrl) {
+      const callPath = `/calls/${encodeURIComponent(call.id)}`;
+      if (window.location.pathname !== callPath) {
+        window.history.pushState({ callId: call.id }, '', callPath);
+      }
+    }
+
+    await loadCallDetails(call.id, { view });
+  }, [loadCallDetails]);
+
+  // Open the call named in the URL on load and on back/forward navigation
+  useEffect(() => {
+    const openCallFromUrl = () => {
+      const callId = callIdFromPath(window.location.pathname);
+      if (callId) {
+        autoSelectedRef.current = true;
+        selectCall({ id: callId }, { updateUrl: false });
+      } else {
+        requestedCallIdRef.current = null;
+        setSelectedCallId(null);
+        setSelectedCall(null);
+        setSelectedCallError(null);
+      }
+    };
+
+    if (callIdFromPath(window.location.pathname)) {
+      openCallFromUrl();
+    }
+
+    window.addEventListener('popstate', openCallFromUrl);
+    return () => window.removeEventListener('popstate', openCallFromUrl);
+  }, [selectCall]);
+
+  useEffect(() => {
+    // Connect to WebSocket
+    const socket = io(baseUrl, { withCredentials: true });
+
+    socket.on('connect_error', (err) => {
+      console.error('Socket connection error:', err.message);
+      if (err.message === 'Unauthorized') onUnauthorized();
+    });
+
+    // Listen for new calls; filtered views are refreshed by changing filters
+    socket.on('newCall', (call) => {
+      if (hasFilters) return;
+      setCalls(prevCalls => [call, ...prevCalls]);
+      setTotalCalls(prevTotal => prevTotal + 1);
+    });
+
+    // Processing status or analysis changed: update the call in place
+    socket.on('callUpdated', (call) => {
+      const merge = (list) => list.map(item => (item.id === call.id ? { ...item, ...call } : item));
+      setCalls(merge);
+      setSearchResults(prevResults => (prevResults ? merge(prevResults) : prevResults));
+      if (requestedCallIdRef.current === call.id) {
+        loadCallDetails(call.id);
+      }
+    });
+
+    // Dial status of an outbound call changed: the active calls panel refetches
+    socket.on('callStatusUpdated', () => {
+      setCallStatusVersion(version => version + 1);
+    });
+
+    return () => socket.disconnect();
+  }, [hasFilters, loadCallDetails, onUnauthorized]);
+
+  // Fetch the first page whenever the filters change (debounced for typing)
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchCalls = async () => {
+      try {
+        const response = await apiFetch(`/calls?${buildCallQuery(filters)}`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch calls');
+        }
+        const data = await response.json();
+        if (cancelled) return;
+        setCalls(data.calls);
+        setTotalCalls(data.total);
+        setNextCursor(data.nextCursor);
+        if (!autoSelectedRef.current && data.calls.length > 0) {
+          autoSelectedRef.current = true;
+          selectCall(data.calls[0], { view: false });
+        }
+        setLoading(false);
+        setError(null);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Error fetching calls:', err);
+        setError('Failed to load calls. Please refresh the page.');
+        setLoading(false);
+      }
+    };
+
+    const timer = setTimeout(fetchCalls, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [apiFetch, filters, selectCall]);
+
+  // Run a full-text search while the search box has input (debounced)
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!query) {
+      setSearchResults(null);
+      setSearchTerms([]);
+      return;
+    }
+
+    let cancelled = false;
+    const runSearch = async () => {
+      try {
+        const response = await apiFetch(`/calls/search?${new URLSearchParams({ q: query })}`);
+        if (!response.ok) {
+          throw new Error('Search failed');
+        }
+        const data = await response.json();
+        if (cancelled) return;
+        setSearchResults(data.results);
+        setSearchTerms(data.terms);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Error searching calls:', err);
+        setSearchResults([]);
+        setSearchTerms([]);
+      }
+    };
+
+    const timer = setTimeout(runSearch, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [apiFetch, searchQuery]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const response = await apiFetch(`/calls?${buildCallQuery(filters, nextCursor)}`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch calls');
+      }
+      const data = await response.json();
+      setCalls(prevCalls => [...prevCalls, ...data.calls]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Error fetching more calls:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [apiFetch, filters, nextCursor, loadingMore]);
+
+  // Infinite scroll: load the next page when the list bottom comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore();
+      }
+    }, { root: listRef.current, rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadMore, isSearching]);
+
+  const handleCallSelect = (call) => {
+    selectCall(call);
+  };
+
+  // Agent profiles to dial with; the server's default is preselected
+  useEffect(() => {
+    if (!canMakeCalls) return;
+    apiFetch('/agent-profiles')
+      .then(async (response) => {
+        if (!response.ok) throw new Error('Failed to load agent profiles');
+        const { profiles } = await response.json();
+        setAgentProfiles(profiles);
+        setProfileId(String(profiles.find(profile => profile.is_default)?.id || ''));
+      })
+      .catch((err) => console.error('Error fetching agent profiles:', err));
+  }, [apiFetch, canMakeCalls]);
+
+  const handleMakeCall = async () => {
+    if (!phoneNumber) return;
+    setIsCallLoading(true);
+    setCallError(null);
+    try {
+      const response = await apiFetch('/make-call', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          phoneNumber,
+          profileId: profileId || undefined,
+          context: Object.fromEntries(Object.entries(callContext).filter(([, value]) => value.trim()))
+        }),
+      });
+      
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to initiate call');
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      setCallError(error.message);
+    } finally {
+      setIsCallLoading(false);
+      setPhoneNumber('');
+      setCallContext({});
+    }
+  };
+
+  const selectedProfile = agentProfiles.find(profile => String(profile.id) === profileId);
+
+  return (
+    <div className="min-h-screen bg-slate-100">
+      <AppHeader user={user} onSignOut={onSignOut} onNavigate={onNavigate}>
+        {totalCalls} {totalCalls === 1 ? 'call' : 'calls'} {hasFilters ? 'matching' : 'recorded'}
+      </AppHeader>
+
+      <main className="max-w-[1920px] mx-auto">
+        {/* Bottom Panel - Make Call (supervisors and admins) */}
+        {canMakeCalls && (
+          <div className="bg-white border-b border-slate-200 p-4">
+            <div className="max-w-lg mx-auto">
+              {callError && (
+                <div className="mb-4 bg-rose-50 border border-rose-200 rounded-lg p-3 text-sm text-rose-700">
+                  {callError}
+                </div>
+              )}
+              <div className="flex gap-4">
+                {agentProfiles.length > 1 && (
+                  <select
+                    value={profileId}
+                    onChange={(e) => setProfileId(e.target.value)}
+                    aria-label="Agent profile"
+                    className="px-3 py-2 border border-slate-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  >
+                    {agentProfiles.map(profile => (
+                      <option key={profile.id} value={profile.id} title={profile.description || ''}>
+                        {profile.name}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <input
+                  type="tel"
+                  value={phoneNumber}
+                  onChange={(e) => setPhoneNumber(e.target.value)}
+                  placeholder="Enter phone number"
+                  className="flex-1 px-4 py-2 border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                />
+                <button
+                  onClick={handleMakeCall}
+                  disabled={isCallLoading || !phoneNumber}
+                  className={`px-6 py-2 rounded-lg font-medium ${
+                    isCallLoading || !phoneNumber
+                      ? 'bg-slate-300 cursor-not-allowed'
+                      : 'bg-indigo-500 hover:bg-indigo-600 text-white'
+                  }`}
+                >
+                  {isCallLoading ? (
+                    <div className="w-5 h-5 relative">
+                      <div className="w-full h-full rounded-full border-2 border-t-white border-r-transparent border-b-transparent border-l-transparent animate-spin" />
+                    </div>
+                  ) : (
+                    'Make Call'
+                  )}
+                </button>
+              </div>
+              {selectedProfile?.variables.length > 0 && (
+                <div className="grid grid-cols-2 gap-3 mt-3">
+                  {selectedProfile.variables.map(variable => (
+                    <input
+                      key={variable.name}
+                      value={callContext[variable.name] || ''}
+                      onChange={(e) => setCallContext({ ...callContext, [variable.name]: e.target.value })}
+                      placeholder={`${variable.name.replace(/_/g, ' ')}${variable.default === null ? ' (required)' : ` (default: ${variable.default})`}`}
+                      aria-label={variable.name}
+                      className="px-3 py-1.5 text-sm border border-slate-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                    />
+                  ))}
+                </div>
+              )}
+              <ActiveCallsPanel
+                apiFetch={apiFetch}
+                statusVersion={callStatusVersion}
+                onSelectCall={(callId) => selectCall({ id: callId })}
+              />
+            </div>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center items-center h-64">
+            <div className="w-8 h-8 relative">
+              <div className="w-full h-full rounded-full border-3 border-t-indigo-500 border-r-transparent border-b-transparent border-l-transparent animate-spin" />
+            </div>
+          </div>
+        ) : error ? (
+          <div className="m-8 bg-rose-50 border border-rose-200 rounded-lg p-4 flex items-center space-x-3">
+            <svg className="h-5 w-5 text-rose-500" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+            </svg>
+            <p className="text-rose-700">{error}</p>
+          </div>
+        ) : calls.length === 0 && !hasFilters ? (
+          <div className="m-8 bg-white rounded-lg shadow-sm p-8 text-center">
+            <ChatBubbleLeftIcon className="h-12 w-12 text-slate-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-slate-800 mb-2">
+              No calls recorded yet
+            </h3>
+            <p className="text-slate-500">
+              New calls will appear here as they are recorded
+            </p>
+          </div>
+        ) : (
+          <div className="flex flex-col h-[calc(100vh-12rem)]">
+            <div className="flex flex-1 min-h-0">
+              {/* Left Panel - Call List */}
+              <div ref={listRef} className="w-1/3 border-r border-slate-200 overflow-y-auto">
+                <CallSearch query={searchQuery} onChange={setSearchQuery} />
+                {isSearching ? (
+                  <>
+                    <div className="divide-y divide-slate-200">
+                      {searchResults.map(call => (
+                        <CallListItem
+                          key={call.id}
+                          call={call}
+                          isSelected={selectedCallId === call.id}
+                          onClick={() => handleCallSelect(call)}
+                        />
+                      ))}
+                    </div>
+                    {searchResults.length === 0 && (
+                      <p className="p-6 text-center text-sm text-slate-500">
+                        No calls match this search
+                      </p>
+                    )}
+                  </>
+                ) : (
+                  <>
+                    <CallFilters filters={filters} onChange={setFilters} />
+                    <div className="divide-y divide-slate-200">
+                      {calls.map(call => (
+                        <CallListItem 
+                          key={call.id} 
+                          call={call}
+                          isSelected={selectedCallId === call.id}
+                          onClick={() => handleCallSelect(call)}
+                        />
+                      ))}
+                    </div>
+                    {calls.length === 0 && (
+                      <p className="p-6 text-center text-sm text-slate-500">
+                        No calls match these filters
+                      </p>
+                    )}
+                    <div ref={sentinelRef} className="h-8 flex justify-center items-center">
+                      {loadingMore && (
+                        <div className="w-5 h-5 rounded-full border-2 border-t-indigo-500 border-r-transparent border-b-transparent border-l-transparent animate-spin" />
+                      )}
+                    </div>
+                  </>
+                )}
+              </div>
+              
+              {/* Right Panel - Call Details */}
+              <div className="w-2/3 overflow-y-auto p-8">
+                {selectedCallError ? (
+                  <div className="bg-rose-50 border border-rose-200 rounded-lg p-4 text-rose-700">
+                    {selectedCallError}
+                  </div>
+                ) : selectedCall ? (
+                  <CallCard
+                    key={selectedCall.id}
+                    call={selectedCall}
+                    isSelected={true}
+                    highlightTerms={isSearching ? searchTerms : null}
+                    onLoadOriginal={user.can_view_pii ? loadCallOriginal : null}
+                    onLoadWaveform={loadWaveform}
+                    onLoadCallbacks={canMakeCalls ? loadCallbacks : null}
+                    onScheduleCallback={canMakeCalls ? scheduleCallback : null}
+                    onRecordingPlay={reportRecordingPlay}
+                  />
+                ) : selectedCallId ? (
+                  <div className="flex justify-center items-center h-64">
+                    <div className="w-8 h-8 rounded-full border-2 border-t-indigo-500 border-r-transparent border-b-transparent border-l-transparent animate-spin" />
+                  </div>
+                ) : null}
+              </div>
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default CallViewer;
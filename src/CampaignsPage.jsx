@@ -0,0 +1,616 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { io } from 'socket.io-client';
+import { baseUrl, useApiFetch, useAgentProfiles } from './api.js';
+import { CAMPAIGNS_PATH } from './routes.js';
+import StatusPill from './StatusPill.jsx';
+import AgentContextFields from './AgentContextFields.jsx';
+import AppHeader from './AppHeader.jsx';
+
+const CONTACT_PAGE_SIZE = 50;
+
+// /campaigns/:id selects a campaign, /campaigns/new opens the create form
+const campaignIdFromPath = (pathname) => {
+  const match = pathname.match(/^\/campaigns\/(\d+)\/?$/);
+  return match ? Number(match[1]) : null;
+};
+
+const CAMPAIGN_STATUS_STYLES = {
+  draft: 'bg-slate-100 text-slate-700',
+  running: 'bg-emerald-100 text-emerald-800',
+  paused: 'bg-amber-100 text-amber-800',
+  completed: 'bg-indigo-100 text-indigo-800'
+};
+
+const CONTACT_STATUS_STYLES = {
+  pending: 'bg-slate-100 text-slate-700',
+  dialing: 'bg-sky-100 text-sky-800',
+  completed: 'bg-emerald-100 text-emerald-800',
+  failed: 'bg-rose-100 text-rose-800'
+};
+
+const DEFAULT_CAMPAIGN = {
+  name: '',
+  concurrency: 2,
+  timezone: 'Asia/Kolkata',
+  calling_hours_start: '09:00',
+  calling_hours_end: '20:00',
+  max_attempts: 3,
+  retry_delay_minutes: 60,
+  retry_on: ['no-answer', 'busy'],
+  profile_id: null,
+  context: {}
+};
+
+// Settings form for a new or existing campaign. New campaigns also take the
+// contacts CSV. `onSubmit(values, file)` may throw to show an error.
+const CampaignForm = ({ initial, retryResults, profiles, isNew, onSubmit, onCancel }) => {
+  const [values, setValues] = useState(() => ({ ...DEFAULT_CAMPAIGN, ...initial }));
+  const [file, setFile] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const update = (key, parse = (value) => value) => (e) => setValues({ ...values, [key]: parse(e.target.value) });
+  const toggleRetry = (result) => setValues({
+    ...values,
+    retry_on: values.retry_on.includes(result)
+      ? values.retry_on.filter(item => item !== result)
+      : [...values.retry_on, result]
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      await onSubmit(values, file);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-slate-300 rounded-lg text-sm bg-white';
+  const labelClass = 'block text-xs font-medium text-slate-500 mb-1';
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm p-6 space-y-4">
+      <div>
+        <label className={labelClass}>Name</label>
+        <input value={values.name} onChange={update('name')} className={inputClass} required />
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div>
+          <label className={labelClass}>Concurrent calls</label>
+          <input type="number" min="1" max="20" value={values.concurrency}
+            onChange={update('concurrency', Number)} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Default timezone</label>
+          <input value={values.timezone} onChange={update('timezone')} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Calling from</label>
+          <input type="time" value={values.calling_hours_start} onChange={update('calling_hours_start')}
+            className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Calling until</label>
+          <input type="time" value={values.calling_hours_end} onChange={update('calling_hours_end')}
+            className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Attempts per contact</label>
+          <input type="number" min="1" max="10" value={values.max_attempts}
+            onChange={update('max_attempts', Number)} className={inputClass} />
+        </div>
+        <div>
+          <label className={labelClass}>Minutes between attempts</label>
+          <input type="number" min="1" value={values.retry_delay_minutes}
+            onChange={update('retry_delay_minutes', Number)} className={inputClass} />
+        </div>
+        <div className="col-span-2">
+          <span className={labelClass}>Retry when the call ends as</span>
+          <div className="flex flex-wrap gap-3 text-sm text-slate-700">
+            {retryResults.map(result => (
+              <label key={result} className="flex items-center gap-1">
+                <input type="checkbox" checked={values.retry_on.includes(result)} onChange={() => toggleRetry(result)} />
+                {result}
+              </label>
+            ))}
+          </div>
+        </div>
+        <AgentContextFields
+          profiles={profiles}
+          profileId={values.profile_id}
+          context={values.context}
+          provided={['customer_name']}
+          onChange={({ profileId, context }) => setValues({ ...values, profile_id: profileId, context })}
+          inputClass={inputClass}
+          labelClass={labelClass}
+        />
+      </div>
+      <p className="text-xs text-slate-500">
+        The contact name fills customer_name, and CSV columns named after a prompt variable override these values.
+      </p>
+      {isNew && (
+        <div>
+          <label className={labelClass}>Contacts (CSV with a phone column; name and timezone optional)</label>
+          <input type="file" accept=".csv,text/csv" onChange={(e) => setFile(e.target.files[0] || null)}
+            className="text-sm text-slate-600" />
+        </div>
+      )}
+      {error && <p className="text-sm text-rose-600">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className={`px-4 py-2 rounded-lg text-sm text-white ${saving ? 'bg-slate-400' : 'bg-indigo-500 hover:bg-indigo-600'}`}
+        >
+          {saving ? 'Saving…' : isNew ? 'Create campaign' : 'Save settings'}
+        </button>
+        <button type="button" onClick={onCancel}
+          className="px-4 py-2 text-sm text-slate-600 border border-slate-300 rounded-lg hover:bg-slate-50">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Upload a contacts CSV; resolves to { added, duplicates, errors, campaign }
+const uploadContacts = async (apiFetch, campaignId, file) => {
+  const response = await apiFetch(`/campaigns/${campaignId}/contacts`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/csv' },
+    body: await file.text()
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to upload contacts');
+  }
+  return data;
+};
+
+// One campaign: progress, controls and the per-contact outcomes
+const CampaignDashboard = ({ campaign, retryResults, profiles, apiFetch, onNavigate, onCampaignChange }) => {
+  const [contacts, setContacts] = useState([]);
+  const [totalContacts, setTotalContacts] = useState(0);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [contactsError, setContactsError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [uploadResult, setUploadResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+
+  // Refetch the visible page whenever the campaign's counts change
+  const countsKey = JSON.stringify(campaign.counts);
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({ limit: CONTACT_PAGE_SIZE, offset });
+    if (statusFilter) params.set('status', statusFilter);
+    apiFetch(`/campaigns/${campaign.id}/contacts?${params}`)
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load contacts');
+        if (cancelled) return;
+        setContacts(data.contacts);
+        setTotalContacts(data.total);
+        setContactsError(null);
+      })
+      .catch((err) => {
+        console.error('Error fetching contacts:', err);
+        if (!cancelled) setContactsError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [apiFetch, campaign.id, countsKey, statusFilter, offset]);
+
+  const post = async (path, options = {}) => {
+    setBusy(true);
+    setActionError(null);
+    try {
+      const response = await apiFetch(path, { method: 'POST', ...options });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Request failed');
+      return data;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const changeStatus = async (action) => {
+    try {
+      onCampaignChange(await post(`/campaigns/${campaign.id}/${action}`));
+    } catch (err) {
+      setActionError(err.message);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setBusy(true);
+    setActionError(null);
+    try {
+      const result = await uploadContacts(apiFetch, campaign.id, file);
+      setUploadResult(result);
+      onCampaignChange(result.campaign);
+    } catch (err) {
+      setActionError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const saveSettings = async (values) => {
+    const response = await apiFetch(`/campaigns/${campaign.id}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(values)
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to save settings');
+    onCampaignChange(data);
+    setEditing(false);
+  };
+
+  const toggleAttempts = async (contact) => {
+    if (expanded?.id === contact.id) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      const response = await apiFetch(`/campaigns/${campaign.id}/contacts/${contact.id}`);
+      if (!response.ok) throw new Error('Failed to load attempts');
+      setExpanded(await response.json());
+    } catch (err) {
+      setContactsError(err.message);
+    }
+  };
+
+  const { counts } = campaign;
+  const finished = counts.completed + counts.failed;
+  const buttonClass = 'px-3 py-1 text-sm border rounded-lg disabled:opacity-50';
+
+  if (editing) {
+    return (
+      <CampaignForm
+        initial={campaign}
+        retryResults={retryResults}
+        profiles={profiles}
+        onSubmit={saveSettings}
+        onCancel={() => setEditing(false)}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-sm p-6">
+        <div className="flex justify-between items-start">
+          <div>
+            <div className="flex items-center gap-3">
+              <h2 className="text-lg font-semibold text-slate-800">{campaign.name}</h2>
+              <StatusPill status={campaign.status} styles={CAMPAIGN_STATUS_STYLES} />
+            </div>
+            <p className="text-sm text-slate-500 mt-1">
+              {campaign.concurrency} at a time · {campaign.calling_hours_start}–{campaign.calling_hours_end} ({campaign.timezone})
+              {' · '}up to {campaign.max_attempts} attempt{campaign.max_attempts === 1 ? '' : 's'}, {campaign.retry_delay_minutes} min apart
+              {campaign.retry_on.length > 0 && ` on ${campaign.retry_on.join(', ')}`}
+              {campaign.profile_name && ` · ${campaign.profile_name} agent`}
+            </p>
+          </div>
+          <div className="flex gap-2">
+            {(campaign.status === 'draft' || campaign.status === 'paused') && (
+              <button onClick={() => changeStatus('start')} disabled={busy}
+                className={`${buttonClass} border-emerald-500 text-emerald-700 hover:bg-emerald-50`}>
+                {campaign.status === 'draft' ? 'Start' : 'Resume'}
+              </button>
+            )}
+            {campaign.status === 'running' && (
+              <button onClick={() => changeStatus('pause')} disabled={busy}
+                className={`${buttonClass} border-amber-500 text-amber-700 hover:bg-amber-50`}>
+                Pause
+              </button>
+            )}
+            {campaign.status !== 'completed' && (
+              <>
+                <label className={`${buttonClass} border-slate-300 text-slate-600 hover:bg-slate-50 cursor-pointer`}>
+                  Add contacts
+                  <input type="file" accept=".csv,text/csv" onChange={handleUpload} disabled={busy} className="hidden" />
+                </label>
+                <button onClick={() => setEditing(true)}
+                  className={`${buttonClass} border-slate-300 text-slate-600 hover:bg-slate-50`}>
+                  Settings
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {actionError && <p className="mt-3 text-sm text-rose-600">{actionError}</p>}
+        {uploadResult && (
+          <div className="mt-3 text-sm text-slate-600">
+            Added {uploadResult.added} contact{uploadResult.added === 1 ? '' : 's'}
+            {uploadResult.duplicates > 0 && `, skipped ${uploadResult.duplicates} already in the campaign`}
+            {uploadResult.errors.length > 0 && `, rejected ${uploadResult.errors.length}:`}
+            {uploadResult.errors.length > 0 && (
+              <ul className="mt-1 text-xs text-rose-600 list-disc list-inside">
+                {uploadResult.errors.slice(0, 10).map(error => (
+                  <li key={error.line}>Line {error.line}: {error.error}</li>
+                ))}
+                {uploadResult.errors.length > 10 && <li>…and {uploadResult.errors.length - 10} more</li>}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="grid grid-cols-5 gap-4 mt-6">
+          {[['Contacts', counts.total], ['Waiting', counts.pending], ['Dialing', counts.dialing],
+            ['Completed', counts.completed], ['Failed', counts.failed]].map(([label, value]) => (
+            <div key={label} className="bg-slate-50 rounded-lg p-3">
+              <p className="text-xs text-slate-500">{label}</p>
+              <p className="text-xl font-semibold text-slate-800">{value.toLocaleString()}</p>
+            </div>
+          ))}
+        </div>
+        <div className="mt-4 h-2 rounded bg-slate-100 overflow-hidden flex">
+          <div className="bg-emerald-500" style={{ width: `${counts.total ? (counts.completed / counts.total) * 100 : 0}%` }} />
+          <div className="bg-rose-400" style={{ width: `${counts.total ? (counts.failed / counts.total) * 100 : 0}%` }} />
+        </div>
+        <p className="text-xs text-slate-400 mt-1">
+          {finished.toLocaleString()} of {counts.total.toLocaleString()} contacts finished
+        </p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm overflow-x-auto">
+        <div className="flex justify-between items-center p-4">
+          <h3 className="font-semibold text-slate-800">Contacts</h3>
+          <select
+            value={statusFilter}
+            onChange={(e) => {
+              setStatusFilter(e.target.value);
+              setOffset(0);
+            }}
+            className="px-2 py-1 border border-slate-300 rounded-lg text-sm bg-white"
+          >
+            <option value="">All statuses</option>
+            {Object.keys(CONTACT_STATUS_STYLES).map(status => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+        </div>
+        {contactsError && <p className="px-4 pb-2 text-sm text-rose-600">{contactsError}</p>}
+        <table className="w-full text-sm text-left">
+          <thead className="bg-slate-50 text-slate-500">
+            <tr>
+              <th className="px-4 py-2 font-medium">Name</th>
+              <th className="px-4 py-2 font-medium">Phone</th>
+              <th className="px-4 py-2 font-medium">Status</th>
+              <th className="px-4 py-2 font-medium">Attempts</th>
+              <th className="px-4 py-2 font-medium">Last outcome</th>
+              <th className="px-4 py-2 font-medium">Next attempt</th>
+              <th className="px-4 py-2 font-medium">Call</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100 text-slate-700">
+            {contacts.map(contact => (
+              <Fragment key={contact.id}>
+                <tr onClick={() => contact.attempts > 0 && toggleAttempts(contact)}
+                  className={contact.attempts > 0 ? 'cursor-pointer hover:bg-slate-50' : ''}>
+                  <td className="px-4 py-2">{contact.name || '—'}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">{contact.phone}</td>
+                  <td className="px-4 py-2"><StatusPill status={contact.status} styles={CONTACT_STATUS_STYLES} /></td>
+                  <td className="px-4 py-2">{contact.attempts} / {campaign.max_attempts}</td>
+                  <td className="px-4 py-2">
+                    {contact.last_result || '—'}
+                    {contact.last_error && <span className="block text-xs text-rose-600">{contact.last_error}</span>}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap text-slate-500">
+                    {contact.status === 'pending' && contact.attempts > 0
+                      ? new Date(contact.next_attempt_at).toLocaleString()
+                      : ''}
+                  </td>
+                  <td className="px-4 py-2">
+                    {contact.call_id && (
+                      <a
+                        href={`/calls/${encodeURIComponent(contact.call_id)}`}
+                        onClick={(e) => {
+                          e.preventDefault();
+                          e.stopPropagation();
+                          onNavigate(`/calls/${encodeURIComponent(contact.call_id)}`);
+                        }}
+                        className="text-indigo-600 hover:underline"
+                      >
+                        View call
+                      </a>
+                    )}
+                  </td>
+                </tr>
+                {expanded?.id === contact.id && (
+                  <tr className="bg-slate-50">
+                    <td colSpan={7} className="px-8 py-2 text-xs text-slate-600">
+                      {expanded.attempt_history.map(attempt => (
+                        <div key={attempt.attempt}>
+                          Attempt {attempt.attempt}: {new Date(attempt.started_at).toLocaleString()}
+                          {' · '}{attempt.result || 'in progress'}
+                          {attempt.error && ` (${attempt.error})`}
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+        {contacts.length === 0 && (
+          <p className="p-6 text-center text-sm text-slate-500">
+            {counts.total ? 'No contacts with this status' : 'Add contacts from a CSV file to start calling'}
+          </p>
+        )}
+        {totalContacts > CONTACT_PAGE_SIZE && (
+          <div className="flex justify-between items-center p-4 text-sm text-slate-500">
+            <span>
+              {offset + 1}–{Math.min(offset + CONTACT_PAGE_SIZE, totalContacts)} of {totalContacts.toLocaleString()}
+            </span>
+            <div className="flex gap-2">
+              <button onClick={() => setOffset(Math.max(offset - CONTACT_PAGE_SIZE, 0))} disabled={offset === 0}
+                className={`${buttonClass} border-slate-300 text-slate-600`}>
+                Previous
+              </button>
+              <button onClick={() => setOffset(offset + CONTACT_PAGE_SIZE)}
+                disabled={offset + CONTACT_PAGE_SIZE >= totalContacts}
+                className={`${buttonClass} border-slate-300 text-slate-600`}>
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Supervisor page: campaign list on the left, the selected campaign (or the
+// create form) on the right. Live counts arrive as campaignUpdated events.
+const CampaignsPage = ({ user, path, onSignOut, onNavigate, onUnauthorized }) => {
+  const apiFetch = useApiFetch(onUnauthorized);
+  const agentProfiles = useAgentProfiles(apiFetch);
+  const [campaigns, setCampaigns] = useState([]);
+  const [retryResults, setRetryResults] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const selectedId = campaignIdFromPath(path);
+  const creating = path === `${CAMPAIGNS_PATH}/new`;
+  const selected = campaigns.find(campaign => campaign.id === selectedId);
+
+  useEffect(() => {
+    apiFetch(CAMPAIGNS_PATH, { headers: { Accept: 'application/json' } })
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load campaigns');
+        setCampaigns(data.campaigns);
+        setRetryResults(data.retry_results);
+      })
+      .catch((err) => {
+        console.error('Error fetching campaigns:', err);
+        setError(err.message);
+      })
+      .finally(() => setLoading(false));
+  }, [apiFetch]);
+
+  const mergeCampaign = useCallback((campaign) => {
+    setCampaigns(prevCampaigns => (
+      prevCampaigns.some(item => item.id === campaign.id)
+        ? prevCampaigns.map(item => (item.id === campaign.id ? campaign : item))
+        : [campaign, ...prevCampaigns]
+    ));
+  }, []);
+
+  useEffect(() => {
+    const socket = io(baseUrl, { withCredentials: true });
+    socket.on('connect_error', (err) => {
+      console.error('Socket connection error:', err.message);
+      if (err.message === 'Unauthorized') onUnauthorized();
+    });
+    socket.on('campaignUpdated', mergeCampaign);
+    return () => socket.disconnect();
+  }, [mergeCampaign, onUnauthorized]);
+
+  const createCampaign = async (values, file) => {
+    const response = await apiFetch(CAMPAIGNS_PATH, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(values)
+    });
+    const campaign = await response.json();
+    if (!response.ok) throw new Error(campaign.error || 'Failed to create campaign');
+    mergeCampaign(campaign);
+    if (file) {
+      try {
+        mergeCampaign((await uploadContacts(apiFetch, campaign.id, file)).campaign);
+      } catch (err) {
+        // The campaign exists; contacts can be added again from its page
+        console.error('Error uploading contacts:', err);
+      }
+    }
+    onNavigate(`${CAMPAIGNS_PATH}/${campaign.id}`);
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-100">
+      <AppHeader user={user} onSignOut={onSignOut} onNavigate={onNavigate} />
+
+      <main className="max-w-[1920px] mx-auto p-8 flex gap-8">
+        <aside className="w-80 shrink-0">
+          <div className="flex justify-between items-center mb-4">
+            <h2 className="text-lg font-semibold text-slate-800">Campaigns</h2>
+            <button
+              onClick={() => onNavigate(`${CAMPAIGNS_PATH}/new`)}
+              className="px-3 py-1 text-sm text-white bg-indigo-500 rounded-lg hover:bg-indigo-600"
+            >
+              New campaign
+            </button>
+          </div>
+          {error && <p className="text-sm text-rose-600 mb-2">{error}</p>}
+          <div className="space-y-2">
+            {campaigns.map(campaign => (
+              <button
+                key={campaign.id}
+                onClick={() => onNavigate(`${CAMPAIGNS_PATH}/${campaign.id}`)}
+                className={`w-full text-left p-3 rounded-lg ${
+                  campaign.id === selectedId ? 'bg-indigo-50 border border-indigo-500' : 'bg-white hover:bg-slate-50'
+                }`}
+              >
+                <div className="flex justify-between items-center">
+                  <span className="font-medium text-slate-800 truncate">{campaign.name}</span>
+                  <StatusPill status={campaign.status} styles={CAMPAIGN_STATUS_STYLES} />
+                </div>
+                <p className="text-xs text-slate-500 mt-1">
+                  {(campaign.counts.completed + campaign.counts.failed).toLocaleString()} of {campaign.counts.total.toLocaleString()} finished
+                  {campaign.counts.dialing > 0 && ` · ${campaign.counts.dialing} dialing`}
+                </p>
+              </button>
+            ))}
+            {!loading && campaigns.length === 0 && (
+              <p className="text-sm text-slate-500">No campaigns yet</p>
+            )}
+          </div>
+        </aside>
+
+        <section className="flex-1 min-w-0">
+          {creating ? (
+            <CampaignForm
+              isNew
+              retryResults={retryResults}
+              profiles={agentProfiles}
+              onSubmit={createCampaign}
+              onCancel={() => onNavigate(CAMPAIGNS_PATH)}
+            />
+          ) : selected ? (
+            <CampaignDashboard
+              key={selected.id}
+              campaign={selected}
+              retryResults={retryResults}
+              profiles={agentProfiles}
+              apiFetch={apiFetch}
+              onNavigate={onNavigate}
+              onCampaignChange={mergeCampaign}
+            />
+          ) : !loading && (
+            <p className="text-sm text-slate-500">
+              {selectedId ? 'Campaign not found' : 'Select a campaign or create a new one'}
+            </p>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default CampaignsPage;
@@ -0,0 +1,328 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { io } from 'socket.io-client';
+import { baseUrl, useApiFetch, useAgentProfiles } from './api.js';
+import { SCHEDULED_CALLS_PATH } from './routes.js';
+import StatusPill from './StatusPill.jsx';
+import AgentContextFields from './AgentContextFields.jsx';
+import AppHeader from './AppHeader.jsx';
+
+const SCHEDULE_STATUS_STYLES = {
+  scheduled: 'bg-indigo-100 text-indigo-800',
+  dialing: 'bg-sky-100 text-sky-800',
+  placed: 'bg-emerald-100 text-emerald-800',
+  failed: 'bg-rose-100 text-rose-800',
+  missed: 'bg-amber-100 text-amber-800',
+  canceled: 'bg-slate-100 text-slate-700'
+};
+
+// Scheduled calls that can still be rescheduled or canceled
+const OPEN_SCHEDULE_STATUSES = ['scheduled', 'failed', 'missed'];
+
+// Value for a datetime-local input, in the browser's timezone
+const toDateTimeInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+// An hour from now, on the next quarter hour
+const defaultScheduleTime = () => {
+  const date = new Date(Date.now() + 60 * 60 * 1000);
+  date.setMinutes(Math.ceil(date.getMinutes() / 15) * 15, 0, 0);
+  return date;
+};
+
+// Time and notes for a scheduled call, plus the number and name unless the
+// call rings back the caller of an existing call. Given `profiles`, the form
+// also picks the agent profile and its prompt variables; callbacks without
+// them reuse the original call's. `onSubmit(fields)` may throw to show an
+// error.
+const ScheduleForm = ({ initial = {}, withContact, profiles, submitLabel, onSubmit, onCancel }) => {
+  const [phone, setPhone] = useState(initial.phone || '');
+  const [name, setName] = useState(initial.name || '');
+  const [notes, setNotes] = useState(initial.notes || '');
+  const [agent, setAgent] = useState({ profileId: initial.profile_id ?? null, context: initial.context || {} });
+  const [when, setWhen] = useState(() => toDateTimeInput(
+    initial.scheduled_at && new Date(initial.scheduled_at) > new Date() ? new Date(initial.scheduled_at) : defaultScheduleTime()
+  ));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    const fields = { scheduled_at: new Date(when).toISOString(), notes };
+    // Masked numbers are left as they are
+    if (withContact && phone !== initial.phone) fields.phone = phone;
+    if (withContact) fields.name = name;
+    if (profiles) {
+      fields.profile_id = agent.profileId;
+      fields.context = agent.context;
+    }
+    try {
+      await onSubmit(fields);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-slate-300 rounded-lg text-sm bg-white';
+  const labelClass = 'block text-xs font-medium text-slate-500 mb-1';
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        {withContact && (
+          <>
+            <div>
+              <label className={labelClass}>Phone number</label>
+              <input value={phone} onChange={(e) => setPhone(e.target.value)} className={inputClass} required />
+            </div>
+            <div>
+              <label className={labelClass}>Name</label>
+              <input value={name} onChange={(e) => setName(e.target.value)} className={inputClass} />
+            </div>
+          </>
+        )}
+        <div>
+          <label className={labelClass}>When</label>
+          <input type="datetime-local" value={when} onChange={(e) => setWhen(e.target.value)}
+            className={inputClass} required />
+        </div>
+        <div>
+          <label className={labelClass}>Notes</label>
+          <input value={notes} onChange={(e) => setNotes(e.target.value)} maxLength={500} className={inputClass} />
+        </div>
+        {profiles && (
+          <AgentContextFields
+            profiles={profiles}
+            profileId={agent.profileId}
+            context={agent.context}
+            provided={withContact ? ['customer_name'] : []}
+            onChange={setAgent}
+            inputClass={inputClass}
+            labelClass={labelClass}
+          />
+        )}
+      </div>
+      {error && <p className="text-sm text-rose-600">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className={`px-3 py-1 rounded-lg text-sm text-white ${saving ? 'bg-slate-400' : 'bg-indigo-500 hover:bg-indigo-600'}`}
+        >
+          {saving ? 'Saving…' : submitLabel}
+        </button>
+        <button type="button" onClick={onCancel}
+          className="px-3 py-1 text-sm text-slate-600 border border-slate-300 rounded-lg hover:bg-slate-50">
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Supervisor page: upcoming scheduled calls and callbacks, then past ones.
+// Any change on the server (including calls being placed) reloads the list.
+const ScheduledCallsPage = ({ user, onSignOut, onNavigate, onUnauthorized }) => {
+  const apiFetch = useApiFetch(onUnauthorized);
+  const agentProfiles = useAgentProfiles(apiFetch);
+  const [scheduledCalls, setScheduledCalls] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+
+  const loadScheduledCalls = useCallback(async () => {
+    try {
+      const params = statusFilter ? `?${new URLSearchParams({ status: statusFilter })}` : '';
+      const response = await apiFetch(`${SCHEDULED_CALLS_PATH}${params}`, { headers: { Accept: 'application/json' } });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to load scheduled calls');
+      setScheduledCalls(data.scheduled_calls);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching scheduled calls:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiFetch, statusFilter]);
+
+  useEffect(() => {
+    loadScheduledCalls();
+  }, [loadScheduledCalls]);
+
+  useEffect(() => {
+    const socket = io(baseUrl, { withCredentials: true });
+    socket.on('connect_error', (err) => {
+      console.error('Socket connection error:', err.message);
+      if (err.message === 'Unauthorized') onUnauthorized();
+    });
+    socket.on('scheduledCallUpdated', loadScheduledCalls);
+    return () => socket.disconnect();
+  }, [loadScheduledCalls, onUnauthorized]);
+
+  const post = async (path, fields) => {
+    const response = await apiFetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(fields || {})
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Request failed');
+    await loadScheduledCalls();
+    return data;
+  };
+
+  const cancelCall = async (scheduled) => {
+    if (!window.confirm(`Cancel the call to ${scheduled.name || scheduled.phone}?`)) return;
+    try {
+      await post(`${SCHEDULED_CALLS_PATH}/${scheduled.id}/cancel`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const callLink = (callId, label) => (
+    <a
+      href={`/calls/${encodeURIComponent(callId)}`}
+      onClick={(e) => {
+        e.preventDefault();
+        onNavigate(`/calls/${encodeURIComponent(callId)}`);
+      }}
+      className="text-indigo-600 hover:underline"
+    >
+      {label}
+    </a>
+  );
+
+  return (
+    <div className="min-h-screen bg-slate-100">
+      <AppHeader user={user} onSignOut={onSignOut} onNavigate={onNavigate} />
+
+      <main className="max-w-[1920px] mx-auto p-8 space-y-6">
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-semibold text-slate-800">Scheduled calls</h2>
+          <div className="flex gap-2">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="px-2 py-1 border border-slate-300 rounded-lg text-sm bg-white"
+            >
+              <option value="">All statuses</option>
+              {Object.keys(SCHEDULE_STATUS_STYLES).map(status => (
+                <option key={status} value={status}>{status}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => setCreating(true)}
+              className="px-3 py-1 text-sm text-white bg-indigo-500 rounded-lg hover:bg-indigo-600"
+            >
+              Schedule a call
+            </button>
+          </div>
+        </div>
+
+        {creating && (
+          <div className="bg-white rounded-xl shadow-sm p-6">
+            <ScheduleForm
+              withContact
+              profiles={agentProfiles}
+              submitLabel="Schedule call"
+              onSubmit={async (fields) => {
+                await post(SCHEDULED_CALLS_PATH, fields);
+                setCreating(false);
+              }}
+              onCancel={() => setCreating(false)}
+            />
+          </div>
+        )}
+
+        {error && <p className="text-sm text-rose-600">{error}</p>}
+
+        <div className="bg-white rounded-xl shadow-sm overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <thead className="bg-slate-50 text-slate-500">
+              <tr>
+                <th className="px-4 py-2 font-medium">When</th>
+                <th className="px-4 py-2 font-medium">Name</th>
+                <th className="px-4 py-2 font-medium">Phone</th>
+                <th className="px-4 py-2 font-medium">Status</th>
+                <th className="px-4 py-2 font-medium">Notes</th>
+                <th className="px-4 py-2 font-medium">Booked</th>
+                <th className="px-4 py-2 font-medium">Outcome</th>
+                <th className="px-4 py-2 font-medium" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100 text-slate-700">
+              {scheduledCalls.map(scheduled => (
+                <Fragment key={scheduled.id}>
+                  <tr>
+                    <td className="px-4 py-2 whitespace-nowrap">{new Date(scheduled.scheduled_at).toLocaleString()}</td>
+                    <td className="px-4 py-2">
+                      {scheduled.name || '—'}
+                      {scheduled.profile_name && <span className="block text-xs text-slate-400">{scheduled.profile_name}</span>}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">{scheduled.phone}</td>
+                    <td className="px-4 py-2"><StatusPill status={scheduled.status} styles={SCHEDULE_STATUS_STYLES} /></td>
+                    <td className="px-4 py-2 text-slate-500">{scheduled.notes}</td>
+                    <td className="px-4 py-2 text-slate-500 whitespace-nowrap">
+                      {scheduled.source === 'suggested' ? 'Suggested' : scheduled.created_by || '—'}
+                      {scheduled.source_call_id && <> · {callLink(scheduled.source_call_id, 'from call')}</>}
+                    </td>
+                    <td className="px-4 py-2">
+                      {scheduled.call_id && callLink(scheduled.call_id, 'View call')}
+                      {scheduled.error && <span className="block text-xs text-rose-600">{scheduled.error}</span>}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-right">
+                      {OPEN_SCHEDULE_STATUSES.includes(scheduled.status) && (
+                        <div className="flex gap-2 justify-end">
+                          <button onClick={() => setEditingId(editingId === scheduled.id ? null : scheduled.id)}
+                            className="px-3 py-1 text-sm text-slate-600 border border-slate-300 rounded-lg hover:bg-slate-50">
+                            Reschedule
+                          </button>
+                          <button onClick={() => cancelCall(scheduled)}
+                            className="px-3 py-1 text-sm text-rose-700 border border-rose-300 rounded-lg hover:bg-rose-50">
+                            Cancel
+                          </button>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                  {editingId === scheduled.id && (
+                    <tr className="bg-slate-50">
+                      <td colSpan={8} className="px-4 py-4">
+                        <ScheduleForm
+                          initial={scheduled}
+                          withContact
+                          profiles={agentProfiles}
+                          submitLabel="Save"
+                          onSubmit={async (fields) => {
+                            await post(`${SCHEDULED_CALLS_PATH}/${scheduled.id}`, fields);
+                            setEditingId(null);
+                          }}
+                          onCancel={() => setEditingId(null)}
+                        />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+          {!loading && scheduledCalls.length === 0 && (
+            <p className="p-6 text-center text-sm text-slate-500">No scheduled calls</p>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export { ScheduleForm };
+
+export default ScheduledCallsPage;
@@ -0,0 +1,7 @@
+const StatusPill = ({ status, styles }) => (
+  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${styles[status] || 'bg-slate-100 text-slate-700'}`}>
+    {status}
+  </span>
+);
+
+export default StatusPill;
@@ -0,0 +1,35 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Get base URL for API calls
+export const baseUrl = import.meta.env.PROD
+  ? 'https://jtxviewer.onrender.com'
+  : 'http://localhost:3000';
+
+// Mirrors the server's role order (viewer < supervisor < admin)
+export const ROLE_RANK = { viewer: 0, supervisor: 1, admin: 2 };
+
+// API requests carry the session cookie; a 401 means the session ended
+export const useApiFetch = (onUnauthorized) => useCallback(async (path, options = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, { credentials: 'include', ...options });
+  if (response.status === 401) {
+    onUnauthorized();
+  }
+  return response;
+}, [onUnauthorized]);
+
+// Agent profiles calls can be placed with, default first; empty until loaded
+export const useAgentProfiles = (apiFetch) => {
+  const [profiles, setProfiles] = useState([]);
+
+  useEffect(() => {
+    apiFetch('/agent-profiles')
+      .then(async (response) => {
+        if (!response.ok) throw new Error('Failed to load agent profiles');
+        const data = await response.json();
+        setProfiles(data.profiles);
+      })
+      .catch((err) => console.error('Error fetching agent profiles:', err));
+  }, [apiFetch]);
+
+  return profiles;
+};
@@ -0,0 +1,18 @@
+// Background enrichment of webhook calls; 'done' calls show no badge
+const PROCESSING_STATUS_BADGES = {
+  pending: { label: 'Pending', className: 'bg-slate-200 text-slate-700' },
+  enriching: { label: 'Analyzing…', className: 'bg-indigo-100 text-indigo-700 animate-pulse' },
+  failed: { label: 'Processing failed', className: 'bg-rose-100 text-rose-700' }
+};
+
+const IN_PROGRESS_BADGE = { label: 'In progress', className: 'bg-emerald-100 text-emerald-700 animate-pulse' };
+
+// A live call shows as in progress; after it ends, its processing status
+export const callStatusBadge = (call) => (
+  call.call_status === 'in_progress'
+    ? IN_PROGRESS_BADGE
+    : PROCESSING_STATUS_BADGES[call.processing_status]
+);
+
+// Twilio call length in seconds, e.g. 2m 5s
+export const formatCallDuration = (seconds) => (seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`);
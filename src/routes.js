@@ -0,0 +1,5 @@
+// Paths of the pages besides the call viewer, shared by the header and App
+export const AUDIT_PATH = '/admin/audit';
+export const CAMPAIGNS_PATH = '/campaigns';
+export const SCHEDULED_CALLS_PATH = '/scheduled-calls';
+export const AGENT_PROFILES_PATH = '/admin/agent-profiles';
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database; read when the server modules are first loaded
+process.env.RENDER_VOLUME_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'jtx-call-status-'));
+
+const database = require('../server/db.cjs');
+const sqlite = require('../server/sqlite.cjs');
+const agentProfiles = require('../server/agentProfiles.cjs');
+const callStatus = require('../server/callStatus.cjs');
+
+test.before(() => database.init());
+
+test.after(() => {
+  database.getDb().close();
+  fs.rmSync(process.env.RENDER_VOLUME_PATH, { recursive: true, force: true });
+});
+
+async function placedCall(callId, callSid) {
+  const profile = await agentProfiles.getDefaultProfile();
+  await agentProfiles.recordOutboundCall({ callId, callSid, to: '+919876543210', profile, context: {}, systemPrompt: 'x' });
+}
+
+async function outboundStatus(callId) {
+  return sqlite.get(database.getDb(), 'SELECT status, duration FROM outbound_calls WHERE call_id = ?', [callId]);
+}
+
+test('parses a Twilio status callback body', () => {
+  assert.deepEqual(callStatus.parseStatusCallback({ CallSid: 'CA1', CallStatus: 'ringing', AccountSid: 'AC1' }),
+    { callSid: 'CA1', twilioStatus: 'ringing', duration: null });
+  assert.deepEqual(callStatus.parseStatusCallback({ CallSid: 'CA1', CallStatus: 'completed', CallDuration: '42' }),
+    { callSid: 'CA1', twilioStatus: 'completed', duration: 42 });
+  assert.equal(callStatus.parseStatusCallback({ CallSid: 'CA1', CallStatus: 'completed', CallDuration: 'n/a' }).duration, null);
+});
+
+test('rejects a status callback without CallSid or CallStatus', () => {
+  assert.equal(callStatus.parseStatusCallback({ CallStatus: 'ringing' }), null);
+  assert.equal(callStatus.parseStatusCallback({ CallSid: 'CA1' }), null);
+  assert.equal(callStatus.parseStatusCallback(undefined), null);
+});
+
+test('maps Twilio statuses and ignores ones it does not track', async () => {
+  await placedCall('call-mapped', 'CA-mapped');
+
+  assert.deepEqual(await callStatus.recordStatus('CA-mapped', 'in-progress'), { status: 'answered', duplicate: false });
+  assert.deepEqual(await callStatus.recordStatus('CA-mapped', 'in-progress'), { status: 'answered', duplicate: true });
+  assert.equal(await callStatus.recordStatus('CA-mapped', 'paused'), null);
+  assert.equal((await outboundStatus('call-mapped')).status, 'answered');
+});
+
+test('keeps the final status when ringing arrives after completed', async () => {
+  await placedCall('call-late', 'CA-late');
+  const updates = [];
+  const onUpdated = (update) => updates.push(update.status);
+  callStatus.events.on('updated', onUpdated);
+
+  await callStatus.recordStatus('CA-late', 'completed', { duration: 42 });
+  await callStatus.recordStatus('CA-late', 'ringing');
+  callStatus.events.off('updated', onUpdated);
+
+  assert.deepEqual(await outboundStatus('call-late'), { status: 'completed', duration: 42 });
+  assert.deepEqual(updates, ['completed']);
+  assert.deepEqual((await callStatus.listStatusEvents('call-late')).map(event => event.status), ['completed', 'ringing']);
+});
+
+test('applies statuses that arrived before the call was recorded', async () => {
+  await callStatus.recordStatus('CA-early', 'ringing');
+  await callStatus.recordStatus('CA-early', 'initiated');
+  await placedCall('call-early', 'CA-early');
+  await callStatus.applyStatuses('CA-early');
+
+  assert.equal((await outboundStatus('call-early')).status, 'ringing');
+  assert.deepEqual((await callStatus.listStatusEvents('call-early')).map(event => event.status), ['ringing', 'initiated']);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withinCallingHours } = require('../server/campaigns.cjs');
+
+const DAYTIME = { calling_hours_start: '09:00', calling_hours_end: '18:00' };
+const OVERNIGHT = { calling_hours_start: '20:00', calling_hours_end: '02:00' };
+
+function at(iso) {
+  return new Date(iso);
+}
+
+test('checks calling hours in the given time zone', () => {
+  // 03:45 UTC is 09:15 in Kolkata but still the previous evening in New York
+  const date = at('2024-03-01T03:45:00Z');
+
+  assert.equal(withinCallingHours(DAYTIME, 'Asia/Kolkata', date), true);
+  assert.equal(withinCallingHours(DAYTIME, 'America/New_York', date), false);
+  assert.equal(withinCallingHours(DAYTIME, 'UTC', date), false);
+});
+
+test('includes the start of the window and excludes the end', () => {
+  assert.equal(withinCallingHours(DAYTIME, 'Asia/Kolkata', at('2024-03-01T03:30:00Z')), true);
+  assert.equal(withinCallingHours(DAYTIME, 'Asia/Kolkata', at('2024-03-01T03:29:00Z')), false);
+  assert.equal(withinCallingHours(DAYTIME, 'Asia/Kolkata', at('2024-03-01T12:29:00Z')), true);
+  assert.equal(withinCallingHours(DAYTIME, 'Asia/Kolkata', at('2024-03-01T12:30:00Z')), false);
+});
+
+test('runs a window that ends before it starts past midnight', () => {
+  // 20:00-02:00 in Kolkata is 14:30-20:30 UTC
+  assert.equal(withinCallingHours(OVERNIGHT, 'Asia/Kolkata', at('2024-03-01T14:30:00Z')), true);
+  assert.equal(withinCallingHours(OVERNIGHT, 'Asia/Kolkata', at('2024-03-01T18:30:00Z')), true);
+  assert.equal(withinCallingHours(OVERNIGHT, 'Asia/Kolkata', at('2024-03-01T20:29:00Z')), true);
+  assert.equal(withinCallingHours(OVERNIGHT, 'Asia/Kolkata', at('2024-03-01T20:30:00Z')), false);
+  assert.equal(withinCallingHours(OVERNIGHT, 'Asia/Kolkata', at('2024-03-01T08:00:00Z')), false);
+});
+
+test('follows daylight saving time changes', () => {
+  // 09:00 in New York is 14:00 UTC in winter and 13:00 UTC in summer
+  assert.equal(withinCallingHours(DAYTIME, 'America/New_York', at('2024-03-08T13:30:00Z')), false);
+  assert.equal(withinCallingHours(DAYTIME, 'America/New_York', at('2024-03-11T13:30:00Z')), true);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv } = require('../server/csv.cjs');
+
+// Rows without their `line` property, for comparing fields
+function fields(text) {
+  return parseCsv(text).map(row => [...row]);
+}
+
+test('splits rows and fields', () => {
+  assert.deepEqual(fields('phone,name\n+919876543210,Asha\n'), [['phone', 'name'], ['+919876543210', 'Asha']]);
+});
+
+test('reads quoted fields with embedded commas, quotes and newlines', () => {
+  const rows = fields('name,notes\n"Rao, Asha","said ""call later""\nafter 6pm"\n');
+
+  assert.deepEqual(rows, [['name', 'notes'], ['Rao, Asha', 'said "call later"\nafter 6pm']]);
+});
+
+test('accepts CRLF line endings and a last line without one', () => {
+  assert.deepEqual(fields('phone,name\r\n1,A\r\n2,B'), [['phone', 'name'], ['1', 'A'], ['2', 'B']]);
+});
+
+test('drops a leading byte order mark', () => {
+  const [header] = fields('\uFEFFphone,name\n1,A');
+
+  assert.deepEqual(header, ['phone', 'name']);
+});
+
+test('skips blank lines and keeps the line each row started on', () => {
+  const rows = parseCsv('phone\n\n"1\n2"\r\n\r\n3\n');
+
+  assert.deepEqual(rows.map(row => [...row]), [['phone'], ['1\n2'], ['3']]);
+  assert.deepEqual(rows.map(row => row.line), [1, 3, 6]);
+});
+
+test('keeps empty fields', () => {
+  assert.deepEqual(fields('a,,c\n,"",\n'), [['a', '', 'c'], ['', '', '']]);
+});
+
+test('rejects an unterminated quoted field', () => {
+  assert.throws(() => parseCsv('phone,name\n1,"Asha\n2,Ravi'), /Unterminated quoted field starting on line 2/);
+});
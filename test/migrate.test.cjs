@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const sqlite = require('../server/sqlite.cjs');
+const { migrate, loadMigrations } = require('../server/migrate.cjs');
+
+// The calls table as the old DROP/CREATE boot code made it; db.js-era
+// databases lacked agent_assessment and recording_url
+const LEGACY_CALLS_TABLE = ({ assessment }) => `
+  CREATE TABLE calls (
+    id TEXT PRIMARY KEY,
+    timestamp TEXT NOT NULL,
+    transcript TEXT NOT NULL,
+    caller_name TEXT NOT NULL,
+    caller_phone TEXT NOT NULL,
+    sentiment TEXT NOT NULL,
+    summary TEXT NOT NULL,
+    ${assessment ? 'agent_assessment TEXT, recording_url TEXT,' : ''}
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(id)
+  )
+`;
+
+const LEGACY_ASSESSMENT = [
+  '1. Sentiment Progression: Improved',
+  '2. Frustration Level: Medium',
+  '3. Escalation Needed: Yes',
+  '4. Customer Intents: billing, upgrade',
+  '5. Churn Risk: [High]'
+].join('\n');
+
+function openDb() {
+  return new sqlite3.Database(':memory:');
+}
+
+async function insertCall(db, id, extra = {}) {
+  const columns = ['id', 'timestamp', 'transcript', 'caller_name', 'caller_phone', 'sentiment', 'summary',
+    ...Object.keys(extra)];
+  const values = [id, `2024-01-0${id.slice(-1)}T10:00:00Z`, `Transcript ${id}`, 'Asha', '+919876543210', 'Neutral',
+    `Summary ${id}`, ...Object.values(extra)];
+  await sqlite.run(db, `INSERT INTO calls (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`, values);
+}
+
+test('upgrades the baseline calls schema without losing rows', async () => {
+  const db = openDb();
+  try {
+    await sqlite.exec(db, LEGACY_CALLS_TABLE({ assessment: true }));
+    await insertCall(db, 'call-1', { agent_assessment: LEGACY_ASSESSMENT, recording_url: 'https://example.test/1' });
+    await insertCall(db, 'call-2', { agent_assessment: '1. Churn Risk: Low\n2. Escalation Needed: No' });
+    await insertCall(db, 'call-3');
+
+    const applied = await migrate(db);
+    assert.deepEqual(applied, loadMigrations().map(migration => migration.version));
+
+    const rows = await sqlite.all(db, 'SELECT * FROM calls ORDER BY id');
+    assert.equal(rows.length, 3);
+    assert.deepEqual(rows.map(row => row.transcript), ['Transcript call-1', 'Transcript call-2', 'Transcript call-3']);
+    assert.equal(rows[0].recording_url, 'https://example.test/1');
+
+    assert.equal(rows[0].churn_risk, 'High');
+    assert.equal(rows[0].escalation, 'Yes');
+    assert.deepEqual(JSON.parse(rows[0].assessment_json), {
+      sentimentProgression: 'Improved',
+      frustrationLevel: 'Medium',
+      escalationNeeded: true,
+      customerIntents: ['billing', 'upgrade'],
+      churnRisk: 'High'
+    });
+    assert.equal(rows[1].churn_risk, 'Low');
+    assert.equal(rows[1].escalation, 'No');
+    assert.equal(rows[2].churn_risk, null);
+    assert.equal(rows[2].assessment_json, null);
+
+    // The upgraded rows are searchable
+    const matches = await sqlite.all(db, "SELECT id FROM calls_fts WHERE calls_fts MATCH 'billing'");
+    assert.deepEqual(matches.map(row => row.id), ['call-1']);
+  } finally {
+    db.close();
+  }
+});
+
+test('adds the assessment and recording columns to older schemas', async () => {
+  const db = openDb();
+  try {
+    await sqlite.exec(db, LEGACY_CALLS_TABLE({ assessment: false }));
+    await insertCall(db, 'call-1');
+    await insertCall(db, 'call-2');
+
+    await migrate(db);
+
+    const columns = await sqlite.columnNames(db, 'calls');
+    for (const column of ['agent_assessment', 'recording_url', 'churn_risk', 'escalation', 'assessment_json']) {
+      assert.ok(columns.includes(column), `calls.${column} is missing`);
+    }
+    const { count } = await sqlite.get(db, 'SELECT COUNT(*) AS count FROM calls');
+    assert.equal(count, 2);
+  } finally {
+    db.close();
+  }
+});
+
+test('running again applies nothing', async () => {
+  const db = openDb();
+  try {
+    await migrate(db);
+    assert.deepEqual(await migrate(db), []);
+  } finally {
+    db.close();
+  }
+});
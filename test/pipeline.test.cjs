@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The mock provider and a throwaway database; both are read when the server
+// modules are first loaded
+process.env.LLM_PROVIDER = 'mock';
+process.env.RENDER_VOLUME_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'jtx-pipeline-'));
+
+// enrichCall fetches the transcript from Ultravox; serve it from here instead
+const ultravox = require('../server/ultravox.cjs');
+const fetchedMessages = {};
+ultravox.fetchCallMessages = async (callId) => fetchedMessages[callId] || [];
+
+const database = require('../server/db.cjs');
+const sqlite = require('../server/sqlite.cjs');
+const { analyzeCall } = require('../server/analysis.cjs');
+const { enrichCall } = require('../server/enrichment.cjs');
+
+const COMPLAINT = [
+  { ordinal: 0, speaker: 'agent', text: 'Hello, how can I help you today?', start_ms: 0, end_ms: 1500 },
+  { ordinal: 1, speaker: 'user', text: 'Hi, my name is Asha Rao and my internet is not working. This is terrible.', start_ms: 1600, end_ms: 5200 },
+  { ordinal: 2, speaker: 'agent', text: 'I am sorry about the problem, let me check.', start_ms: 5300, end_ms: 7000 }
+];
+
+test.before(() => database.init());
+
+test.after(() => {
+  database.getDb().close();
+  fs.rmSync(process.env.RENDER_VOLUME_PATH, { recursive: true, force: true });
+});
+
+test('analyzeCall returns a validated analysis and its usage from the mock provider', async () => {
+  const analysis = await analyzeCall(COMPLAINT.map(message => message.text).join('\n'));
+
+  assert.equal(analysis.customerName, 'Asha Rao');
+  assert.equal(analysis.sentiment, 'negative');
+  assert.match(analysis.summary, /^Mock summary: Hello/);
+  assert.equal(analysis.assessment.churnRisk, 'High');
+  assert.equal(analysis.assessment.escalationNeeded, true);
+  assert.equal(analysis.usage.length, 1);
+  assert.equal(analysis.usage[0].task, 'analysis');
+  assert.equal(analysis.usage[0].provider, 'mock');
+  assert.ok(analysis.usage[0].total_tokens > 0);
+});
+
+test('enrichCall analyzes a saved call and stores the result', async () => {
+  const callId = 'call-enrich';
+  await database.saveCall({
+    id: callId,
+    timestamp: '2024-03-01T10:00:00Z',
+    transcript: '',
+    caller: { name: 'Unknown Caller', phone: '+919876543210' },
+    sentiment: 'neutral',
+    summary: 'Call ended',
+    processing_status: 'pending'
+  });
+  fetchedMessages[callId] = COMPLAINT;
+
+  const statuses = [];
+  await enrichCall(callId, {
+    onStatus: async (id) => {
+      statuses.push((await database.getCallById(id)).processing_status);
+    }
+  });
+  assert.deepEqual(statuses, ['enriching', 'done']);
+
+  const call = await database.getCallById(callId);
+  assert.equal(call.processing_status, 'done');
+  assert.equal(call.caller.name, 'Asha Rao');
+  assert.equal(call.sentiment, 'negative');
+  assert.equal(call.churn_risk, 'High');
+  assert.equal(call.escalation, 'Yes');
+  assert.equal(call.assessment.keyIssue, 'General customer enquiry');
+  assert.equal(call.transcript, COMPLAINT.map(message => message.text).join('\n'));
+  assert.deepEqual(call.messages.map(message => message.speaker), ['agent', 'user', 'agent']);
+
+  const usage = await sqlite.all(database.getDb(), 'SELECT * FROM llm_usage WHERE call_id = ?', [callId]);
+  assert.equal(usage.length, 1);
+  assert.equal(usage[0].task, 'analysis');
+  assert.equal(usage[0].provider, 'mock');
+  assert.equal(usage[0].total_tokens, usage[0].prompt_tokens + usage[0].completion_tokens);
+});
+
+test('enrichCall keeps the webhook summary when there are no messages', async () => {
+  const callId = 'call-silent';
+  await database.saveCall({
+    id: callId,
+    timestamp: '2024-03-02T10:00:00Z',
+    transcript: '',
+    caller: { name: 'Unknown Caller', phone: '+919876543211' },
+    sentiment: 'neutral',
+    summary: 'Call ended',
+    processing_status: 'pending'
+  });
+
+  await enrichCall(callId);
+
+  const call = await database.getCallById(callId);
+  assert.equal(call.processing_status, 'done');
+  assert.equal(call.transcript, 'No transcript available');
+  assert.equal(call.summary, 'Call ended');
+  const { count } = await sqlite.get(database.getDb(), 'SELECT COUNT(*) AS count FROM llm_usage WHERE call_id = ?', [callId]);
+  assert.equal(count, 0);
+});
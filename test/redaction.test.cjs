@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BUILT_IN_RULES, redactText } = require('../server/redaction.cjs');
+
+function redact(text) {
+  return redactText(text, BUILT_IN_RULES);
+}
+
+test('redacts card numbers that pass the Luhn check', () => {
+  assert.deepEqual(redact('card 4111 1111 1111 1111 expires soon'),
+    { text: 'card [CARD] expires soon', counts: { card: 1 } });
+  assert.equal(redact('card 4111-1111-1111-1111').text, 'card [CARD]');
+});
+
+test('does not treat a number failing the Luhn check as a card', () => {
+  const result = redact('reference 4111111111111112');
+
+  assert.equal(result.counts.card, undefined);
+  assert.equal(result.text, 'reference [NUMBER]');
+});
+
+test('redacts Aadhaar numbers, grouped or not', () => {
+  assert.deepEqual(redact('aadhaar 2345 6789 0123'), { text: 'aadhaar [AADHAAR]', counts: { aadhaar: 1 } });
+  assert.equal(redact('aadhaar 234567890123').text, 'aadhaar [AADHAAR]');
+});
+
+test('does not treat 12 digits starting with 0 or 1 as Aadhaar', () => {
+  assert.deepEqual(redact('ticket 1234 5678 9012'), { text: 'ticket 1234 5678 9012', counts: {} });
+});
+
+test('redacts Indian mobile numbers with and without a prefix', () => {
+  for (const phone of ['9876543210', '+91 98765 43210', '+919876543210', '098765 43210', '987-654-3210']) {
+    assert.deepEqual(redact(`call me on ${phone} today`), { text: 'call me on [PHONE] today', counts: { phone: 1 } }, phone);
+  }
+});
+
+test('does not treat other 10-digit or longer numbers as phone numbers', () => {
+  for (const number of ['1234567890', '5876543210', '98765432101']) {
+    const result = redact(`account ${number}`);
+    assert.equal(result.counts.phone, undefined, number);
+    assert.equal(result.text, 'account [NUMBER]', number);
+  }
+});
+
+test('redacts PIN codes introduced as such and keeps the keyword', () => {
+  assert.deepEqual(redact('my pincode is 560001'), { text: 'my pincode is [PINCODE]', counts: { pincode: 1 } });
+  assert.equal(redact('PIN code: 110 001').text, 'PIN code: [PINCODE]');
+});
+
+test('leaves 6-digit numbers that are not introduced as a PIN code', () => {
+  assert.deepEqual(redact('order 560001 was shipped'), { text: 'order 560001 was shipped', counts: {} });
+  assert.deepEqual(redact('pin code 060001'), { text: 'pin code 060001', counts: {} });
+});
+
+test('redacts house and flat numbers and keeps the keyword', () => {
+  assert.deepEqual(redact('flat no. 12B, MG Road'), { text: 'flat no. [ADDRESS], MG Road', counts: { address: 1 } });
+  assert.equal(redact('house number 221/B').text, 'house number [ADDRESS]');
+});
+
+test('leaves address words without a number', () => {
+  assert.deepEqual(redact('I live in a flat near the station'), { text: 'I live in a flat near the station', counts: {} });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCallbackRequest } = require('../server/scheduledCalls.cjs');
+
+// Monday 4 March 2024, 10:00 in Kolkata
+const FROM = new Date('2024-03-04T04:30:00Z');
+const KOLKATA = { from: FROM, timeZone: 'Asia/Kolkata' };
+
+function parse(text, options = KOLKATA) {
+  return parseCallbackRequest(text, options)?.toISOString() ?? null;
+}
+
+test('returns null when the text does not ask for a callback', () => {
+  assert.equal(parse('Send the invoice by email'), null);
+  assert.equal(parse(''), null);
+  assert.equal(parse(null), null);
+});
+
+test('reads a day and a clock time', () => {
+  assert.equal(parse('Call back tomorrow at 5 PM'), '2024-03-05T11:30:00.000Z');
+  assert.equal(parse('Customer asked us to call back tomorrow at 11:15am'), '2024-03-05T05:45:00.000Z');
+  assert.equal(parse('Follow-up call the day after tomorrow'), '2024-03-06T04:30:00.000Z');
+});
+
+test('reads relative times', () => {
+  assert.equal(parse('Call back in 2 hours'), '2024-03-04T06:30:00.000Z');
+  assert.equal(parse('Call them back in an hour'), '2024-03-04T05:30:00.000Z');
+  assert.equal(parse('Call back in 3 days'), '2024-03-07T04:30:00.000Z');
+});
+
+test('takes hours 1-7 without am/pm as afternoon', () => {
+  assert.equal(parse('Call back at 3'), '2024-03-04T09:30:00.000Z');
+  assert.equal(parse('Call back today at 11'), '2024-03-04T05:30:00.000Z');
+});
+
+test('moves a time that has already passed today to the next day', () => {
+  assert.equal(parse('Call back at 9'), '2024-03-05T03:30:00.000Z');
+});
+
+test('reads weekdays and parts of the day', () => {
+  assert.equal(parse('Call back on Friday morning'), '2024-03-08T04:30:00.000Z');
+  assert.equal(parse('Call back tonight'), '2024-03-04T13:30:00.000Z');
+  // Today's weekday means the same day next week
+  assert.equal(parse('Call back on Monday'), '2024-03-11T04:30:00.000Z');
+});
+
+test('falls back to the next day at 10:00 for a vague request', () => {
+  assert.equal(parse('Please call back'), '2024-03-05T04:30:00.000Z');
+});
+
+test('reads times in the given time zone, across daylight saving changes', () => {
+  // The same instant is Sunday evening in New York
+  assert.equal(parse('Call back tomorrow at 5 PM', { from: FROM, timeZone: 'America/New_York' }),
+    '2024-03-04T22:00:00.000Z');
+  // Clocks go forward on Sunday 10 March, so 10:00 is 14:00 UTC instead of 15:00
+  assert.equal(parse('Call back tomorrow at 10 am', { from: new Date('2024-03-09T15:00:00Z'), timeZone: 'America/New_York' }),
+    '2024-03-10T14:00:00.000Z');
+});
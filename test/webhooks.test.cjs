@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database for the redelivery tests; read when the server modules
+// are first loaded
+process.env.RENDER_VOLUME_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'jtx-webhooks-'));
+
+const database = require('../server/db.cjs');
+const { signPayload, verifySignature, recordEvent, processEvent } = require('../server/webhooks.cjs');
+
+// A call.ended body exactly as it arrives on the wire, signed here with a
+// local secret the way Ultravox signs it
+const RAW_BODY = fs.readFileSync(path.join(__dirname, 'fixtures', 'ultravox-call-ended.json'));
+const SECRET = 'test-webhook-secret';
+const OLD_SECRET = 'previous-webhook-secret';
+const NOW = Date.parse('2024-03-01T10:03:45.000Z');
+const TIMESTAMP = '2024-03-01T10:03:42.000Z';
+
+test.before(() => database.init());
+
+test.after(() => {
+  database.getDb().close();
+  fs.rmSync(process.env.RENDER_VOLUME_PATH, { recursive: true, force: true });
+});
+
+function signedRequest({ rawBody = RAW_BODY, timestamp = TIMESTAMP, secret = SECRET } = {}) {
+  return { rawBody, timestamp, signature: signPayload(rawBody, timestamp, secret) };
+}
+
+test('accepts a correctly signed request', () => {
+  assert.deepEqual(verifySignature({ ...signedRequest(), secret: SECRET, now: NOW }), { valid: true, reason: null });
+});
+
+test('rejects a tampered body', () => {
+  const request = signedRequest();
+  const tampered = Buffer.from(RAW_BODY.toString().replace('hangup', 'timeout'));
+  assert.deepEqual(verifySignature({ ...request, rawBody: tampered, secret: SECRET, now: NOW }),
+    { valid: false, reason: 'signature mismatch' });
+});
+
+test('rejects a changed timestamp', () => {
+  const request = signedRequest();
+  assert.deepEqual(verifySignature({ ...request, timestamp: '2024-03-01T10:03:43.000Z', secret: SECRET, now: NOW }),
+    { valid: false, reason: 'signature mismatch' });
+});
+
+test('rejects a request signed with another secret', () => {
+  assert.deepEqual(verifySignature({ ...signedRequest({ secret: 'wrong-secret' }), secret: SECRET, now: NOW }),
+    { valid: false, reason: 'signature mismatch' });
+});
+
+test('rejects a stale timestamp even when the signature matches', () => {
+  const timestamp = new Date(NOW - 6 * 60 * 1000).toISOString();
+  assert.deepEqual(verifySignature({ ...signedRequest({ timestamp }), secret: SECRET, now: NOW }),
+    { valid: false, reason: 'stale timestamp' });
+
+  const future = new Date(NOW + 6 * 60 * 1000).toISOString();
+  assert.deepEqual(verifySignature({ ...signedRequest({ timestamp: future }), secret: SECRET, now: NOW }),
+    { valid: false, reason: 'stale timestamp' });
+});
+
+test('rejects a timestamp that is not a date', () => {
+  assert.deepEqual(verifySignature({ ...signedRequest({ timestamp: 'yesterday' }), secret: SECRET, now: NOW }),
+    { valid: false, reason: 'invalid timestamp' });
+});
+
+test('rejects missing signature headers', () => {
+  const request = signedRequest();
+  for (const missing of ['signature', 'timestamp']) {
+    assert.deepEqual(verifySignature({ ...request, [missing]: undefined, secret: SECRET, now: NOW }),
+      { valid: false, reason: 'missing signature headers' });
+  }
+});
+
+test('accepts any of several comma-separated signatures while a secret is rotated', () => {
+  const current = signPayload(RAW_BODY, TIMESTAMP, SECRET);
+  const previous = signPayload(RAW_BODY, TIMESTAMP, OLD_SECRET);
+  const request = { rawBody: RAW_BODY, timestamp: TIMESTAMP, signature: `${previous}, ${current}` };
+
+  assert.equal(verifySignature({ ...request, secret: SECRET, now: NOW }).valid, true);
+  assert.equal(verifySignature({ ...request, secret: OLD_SECRET, now: NOW }).valid, true);
+  assert.deepEqual(verifySignature({ ...request, secret: 'wrong-secret', now: NOW }),
+    { valid: false, reason: 'signature mismatch' });
+});
+
+test('a redelivery is a duplicate while the first delivery is being processed', async () => {
+  const received = new Date(NOW);
+  const first = await recordEvent('call-in-flight', 'call.ended', { n: 1 }, received);
+  const again = await recordEvent('call-in-flight', 'call.ended', { n: 1 }, new Date(NOW + 30 * 1000));
+
+  assert.equal(first.duplicate, false);
+  assert.equal(again.duplicate, true);
+  assert.equal(again.event.id, first.event.id);
+});
+
+test('a redelivery reprocesses an event abandoned past the lease, once', async () => {
+  await recordEvent('call-abandoned', 'call.ended', { n: 1 }, new Date(NOW));
+  const later = new Date(NOW + 10 * 60 * 1000);
+  const retry = await recordEvent('call-abandoned', 'call.ended', { n: 1 }, later);
+  const concurrent = await recordEvent('call-abandoned', 'call.ended', { n: 1 }, later);
+
+  assert.equal(retry.duplicate, false);
+  assert.equal(retry.event.status, 'received');
+  assert.equal(concurrent.duplicate, true);
+});
+
+test('a redelivery reprocesses a failed event but not a processed one', async () => {
+  const failing = await recordEvent('call-failed', 'call.ended', {}, new Date(NOW));
+  await assert.rejects(processEvent(failing.event, { 'call.ended': async () => { throw new Error('boom'); } }));
+  const done = await recordEvent('call-done', 'call.ended', {}, new Date(NOW));
+  await processEvent(done.event, { 'call.ended': async () => 'ok' });
+
+  const soon = new Date(NOW + 1000);
+  assert.equal((await recordEvent('call-failed', 'call.ended', {}, soon)).duplicate, false);
+  assert.equal((await recordEvent('call-done', 'call.ended', {}, new Date(NOW + 60 * 60 * 1000))).duplicate, true);
+});